@@ -0,0 +1,78 @@
+import * as THREE from 'three';
+
+// Animation channels - keyframeable object properties shown as timeline sub-tracks
+// size: number of components in each keyframe value
+// step: hold the previous keyframe's value instead of interpolating
+// quaternion: values are [x, y, z, w] and interpolate along the shortest arc
+export const channels = {
+    position: { label: 'Position', size: 3 },
+    rotation: { label: 'Rotation', size: 4, quaternion: true },
+    scale: { label: 'Scale', size: 3 },
+    visible: { label: 'Visibility', size: 1, step: true },
+    color: { label: 'Color', size: 3 },
+    intensity: { label: 'Intensity', size: 1 },
+    fov: { label: 'FOV', size: 1 },
+    orthoSize: { label: 'Ortho Height', size: 1 }
+};
+
+// Per-keyframe interpolation modes - a keyframe's mode shapes the segment that follows it
+export const interpolationModes = {
+    constant: { label: 'Constant' },
+    linear: { label: 'Linear' },
+    easeIn: { label: 'Ease In', bezier: [0.42, 0, 1, 1] },
+    easeOut: { label: 'Ease Out', bezier: [0, 0, 0.58, 1] },
+    easeInOut: { label: 'Ease In/Out', bezier: [0.42, 0, 0.58, 1] },
+    bezier: { label: 'Bézier' }
+};
+
+// Timeline playback modes and the frame rates offered in the fps picker
+export const playbackModes = {
+    loop: 'Loop',
+    pingpong: 'Ping-Pong',
+    once: 'Once'
+};
+
+export const frameRatePresets = [24, 25, 30, 60];
+
+export const defaultBezier = [0.33, 0, 0.67, 1];
+
+// Timing curve control points [x1, y1, x2, y2] for a keyframe's segment, null when not curved
+export function getBezier(keyframe) {
+    if (keyframe.interpolation === 'bezier') return keyframe.bezier || defaultBezier;
+    return interpolationModes[keyframe.interpolation]?.bezier || null;
+}
+
+// Maps 0-1 progress through a segment to 0-1 progress between the two keyframe values
+export function easeSegment(keyframe, u) {
+    if (keyframe.interpolation === 'constant') return 0;
+    const bezier = getBezier(keyframe);
+    return bezier ? cubicBezier(bezier[0], bezier[1], bezier[2], bezier[3], u) : u;
+}
+
+// CSS-style cubic-bezier timing function through (0,0), (x1,y1), (x2,y2), (1,1)
+export function cubicBezier(x1, y1, x2, y2, u) {
+    const coord = (t, p1, p2) => 3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t;
+
+    // x(t) is monotonic while x1 and x2 stay in [0, 1], so bisection finds t for u
+    let lo = 0;
+    let hi = 1;
+    let t = u;
+    for (let i = 0; i < 30; i++) {
+        t = (lo + hi) / 2;
+        if (coord(t, x1, x2) < u) lo = t; else hi = t;
+    }
+    return coord(t, y1, y2);
+}
+
+// Version 2 scenes keyed rotation as Euler [x, y, z]; convert those keyframes to quaternions in place
+export function migrateEulerRotationClips(clips) {
+    const euler = new THREE.Euler();
+    const quat = new THREE.Quaternion();
+    Object.values(clips || {}).forEach(objClips => {
+        objClips.rotation?.forEach(kf => {
+            if (kf.value.length !== 3) return;
+            kf.value = quat.setFromEuler(euler.fromArray(kf.value)).toArray();
+        });
+    });
+    return clips;
+}
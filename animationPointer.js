@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+
+// KHR_animation_pointer for GLTFExporter - animates material colors, light color/intensity and camera
+// lenses, which core glTF can't target. GLTFExporter drops a whole clip over one non-TRS track, so these
+// channels are written once the scene is parsed and appended to the clip's animation.
+
+// Pointer track: { node: exported Object3D, property: 'color' | 'intensity' | 'fov' | 'orthoSize', track: THREE.KeyframeTrack }.
+// onSkip gets the tracks glTF has nothing to point at, such as ambient light colors.
+export function animationPointerPlugin(pointerTracks, clipName, onSkip) {
+    return writer => ({
+        name: 'KHR_animation_pointer',
+        afterParse() {
+            writePointerTracks(writer, pointerTracks, clipName, onSkip);
+        }
+    });
+}
+
+// The JSON pointers a track drives and the values for each, read off what the exporter wrote for the node
+function resolveTargets(json, nodeDef, property, values) {
+    const light = nodeDef.extensions?.KHR_lights_punctual?.light;
+    const camera = nodeDef.camera !== undefined ? json.cameras[nodeDef.camera] : null;
+
+    if (property === 'color' && nodeDef.mesh !== undefined) {
+        const material = json.meshes[nodeDef.mesh].primitives[0].material;
+        if (material === undefined) return [];
+        // baseColorFactor is RGBA; opacity isn't keyframed, so alpha stays what was exported
+        const alpha = json.materials[material].pbrMetallicRoughness?.baseColorFactor?.[3] ?? 1;
+        const rgba = [];
+        for (let i = 0; i < values.length; i += 3) rgba.push(values[i], values[i + 1], values[i + 2], alpha);
+        return [{ pointer: `/materials/${material}/pbrMetallicRoughness/baseColorFactor`, values: rgba, itemSize: 4 }];
+    }
+    if ((property === 'color' || property === 'intensity') && light !== undefined) {
+        return [{ pointer: `/extensions/KHR_lights_punctual/lights/${light}/${property}`, values: [...values], itemSize: property === 'color' ? 3 : 1 }];
+    }
+    if (property === 'fov' && camera?.type === 'perspective') {
+        return [{ pointer: `/cameras/${nodeDef.camera}/perspective/yfov`, values: [...values].map(THREE.MathUtils.degToRad), itemSize: 1 }];
+    }
+    if (property === 'orthoSize' && camera?.type === 'orthographic') {
+        // Both magnifications follow the height, keeping the exported aspect
+        const aspect = camera.orthographic.xmag / camera.orthographic.ymag;
+        return [
+            { pointer: `/cameras/${nodeDef.camera}/orthographic/ymag`, values: [...values], itemSize: 1 },
+            { pointer: `/cameras/${nodeDef.camera}/orthographic/xmag`, values: [...values].map(v => v * aspect), itemSize: 1 }
+        ];
+    }
+    return [];
+}
+
+function writePointerTracks(writer, pointerTracks, clipName, onSkip) {
+    const json = writer.json;
+    const samplers = [];
+    const channels = [];
+
+    pointerTracks.forEach(pointerTrack => {
+        const { node, property, track } = pointerTrack;
+        const nodeIndex = writer.nodeMap.get(node);
+        const targets = nodeIndex !== undefined ? resolveTargets(json, json.nodes[nodeIndex], property, track.values) : [];
+        if (targets.length === 0) onSkip?.(pointerTrack);
+        const interpolation = track.getInterpolation() === THREE.InterpolateDiscrete ? 'STEP' : 'LINEAR';
+        targets.forEach(({ pointer, values, itemSize }) => {
+            samplers.push({
+                input: writer.processAccessor(new THREE.BufferAttribute(new Float32Array(track.times), 1)),
+                output: writer.processAccessor(new THREE.BufferAttribute(new Float32Array(values), itemSize)),
+                interpolation
+            });
+            channels.push({
+                sampler: samplers.length - 1,
+                target: { path: 'pointer', extensions: { KHR_animation_pointer: { pointer } } }
+            });
+        });
+    });
+    if (channels.length === 0) return;
+
+    json.animations = json.animations || [];
+    let animation = json.animations.find(a => a.name === clipName);
+    if (!animation) {
+        animation = { name: clipName, samplers: [], channels: [] };
+        json.animations.push(animation);
+    }
+    const offset = animation.samplers.length;
+    animation.samplers.push(...samplers);
+    animation.channels.push(...channels.map(channel => ({ ...channel, sampler: channel.sampler + offset })));
+    writer.extensionsUsed.KHR_animation_pointer = true;
+}
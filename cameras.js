@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+
+// Scene camera lens - editable properties and the THREE.Camera built from them
+// Cameras look down their local -Z axis like lights, so the object's rotation aims them.
+export const aspectPresets = {
+    '16:9': 16 / 9,
+    '4:3': 4 / 3,
+    '1:1': 1,
+    '2.39:1': 2.39,
+    '9:16': 9 / 16
+};
+
+export const cameraProps = {
+    projection: { label: 'Projection', value: 'perspective', type: 'select', options: { perspective: 'Perspective', orthographic: 'Orthographic' } },
+    fov: { label: 'FOV (°)', value: 60, min: 1, max: 170, step: 1 },
+    orthoSize: { label: 'Ortho Height', value: 4, min: 0.01, step: 0.1 },
+    near: { label: 'Near', value: 0.1, min: 0.001, step: 0.01 },
+    far: { label: 'Far', value: 100, min: 0.01, step: 1 },
+    aspect: { label: 'Aspect', value: '16:9', type: 'select', options: Object.fromEntries(Object.keys(aspectPresets).map(k => [k, k])) }
+};
+
+// Focal length on a 35mm full-frame gate (THREE's default filmGauge), matching Camera.setFocalLength()
+const filmGauge = 35;
+
+export function fovToFocalLength(fov, aspect) {
+    const filmHeight = filmGauge / Math.max(aspect, 1);
+    return (0.5 * filmHeight) / Math.tan(THREE.MathUtils.degToRad(fov) / 2);
+}
+
+export function focalLengthToFov(focalLength, aspect) {
+    const filmHeight = filmGauge / Math.max(aspect, 1);
+    return THREE.MathUtils.radToDeg(2 * Math.atan((0.5 * filmHeight) / focalLength));
+}
+
+// Fill in defaults and clamp to each property's range
+export function resolveCameraProps(props = {}) {
+    const resolved = {};
+
+    Object.entries(cameraProps).forEach(([key, def]) => {
+        if (def.type === 'select') {
+            resolved[key] = Object.prototype.hasOwnProperty.call(def.options, props[key]) ? props[key] : def.value;
+        } else {
+            let val = Number(props[key]);
+            if (!Number.isFinite(val)) val = def.value;
+            if (def.min !== undefined) val = Math.max(def.min, val);
+            if (def.max !== undefined) val = Math.min(def.max, val);
+            resolved[key] = val;
+        }
+    });
+    resolved.far = Math.max(resolved.far, resolved.near + 0.01);
+
+    return resolved;
+}
+
+export function getAspect(props) {
+    return aspectPresets[props.aspect] || aspectPresets['16:9'];
+}
+
+// aspect overrides the preset, e.g. when rendering at a custom resolution
+export function createCamera(props, aspect = getAspect(props)) {
+    const p = resolveCameraProps(props);
+    const camera = p.projection === 'orthographic'
+        ? new THREE.OrthographicCamera()
+        : new THREE.PerspectiveCamera();
+    updateCamera(camera, p, aspect);
+    return camera;
+}
+
+// Applies lens properties to an existing camera of the matching projection
+export function updateCamera(camera, props, aspect = getAspect(props)) {
+    camera.near = props.near;
+    camera.far = props.far;
+    if (camera.isOrthographicCamera) {
+        const halfHeight = props.orthoSize / 2;
+        camera.top = halfHeight;
+        camera.bottom = -halfHeight;
+        camera.left = -halfHeight * aspect;
+        camera.right = halfHeight * aspect;
+    } else {
+        camera.fov = props.fov;
+        camera.aspect = aspect;
+    }
+    camera.updateProjectionMatrix();
+}
+
+// Line segment endpoints outlining the view volume from the near plane out to a display
+// distance (the far plane is usually too far away to be useful in the viewport)
+export function frustumLinePoints(props, displayDistance = 1.5) {
+    const aspect = getAspect(props);
+    const near = props.near;
+    const end = Math.max(near, Math.min(props.far, displayDistance));
+    const halfHeight = d => props.projection === 'orthographic'
+        ? props.orthoSize / 2
+        : d * Math.tan(THREE.MathUtils.degToRad(props.fov) / 2);
+    const rect = d => {
+        const h = halfHeight(d);
+        const w = h * aspect;
+        return [
+            new THREE.Vector3(-w, -h, -d), new THREE.Vector3(w, -h, -d),
+            new THREE.Vector3(w, h, -d), new THREE.Vector3(-w, h, -d)
+        ];
+    };
+
+    const nearRect = rect(near);
+    const endRect = rect(end);
+    const points = [];
+    for (let i = 0; i < 4; i++) {
+        const j = (i + 1) % 4;
+        points.push(nearRect[i], nearRect[j], endRect[i], endRect[j], nearRect[i], endRect[i]);
+    }
+    if (props.projection !== 'orthographic') {
+        // Perspective frustums also run back to the eye point
+        endRect.forEach(corner => points.push(new THREE.Vector3(), corner));
+    }
+
+    // "Up" triangle above the far edge
+    const h = halfHeight(end);
+    const w = h * aspect;
+    const tip = new THREE.Vector3(0, h * 1.5, -end);
+    const left = new THREE.Vector3(-w * 0.4, h * 1.1, -end);
+    const right = new THREE.Vector3(w * 0.4, h * 1.1, -end);
+    points.push(left, right, right, tip, tip, left);
+
+    return points;
+}
@@ -0,0 +1,290 @@
+import * as THREE from 'three';
+
+// Boolean (CSG) operations - union, subtract and intersect on closed meshes with BSP trees, after
+// Evan Wallace's csg.js. Operands are polygon lists in one shared space; the result is a welded
+// { vertices, faces } mesh like the ones in editmesh.js.
+export const booleanOperations = {
+    union: { label: 'Union', icon: '∪' },
+    subtract: { label: 'Subtract', icon: '∖' },
+    intersect: { label: 'Intersect', icon: '∩' }
+};
+
+const EPSILON = 1e-5;
+const COPLANAR = 0;
+const FRONT = 1;
+const BACK = 2;
+const SPANNING = 3;
+
+// ==================== POLYGONS ====================
+
+function createPolygon(vertices) {
+    // Newell's method copes with slightly non-planar faces
+    const normal = new THREE.Vector3();
+    vertices.forEach((a, i) => {
+        const b = vertices[(i + 1) % vertices.length];
+        normal.x += (a.y - b.y) * (a.z + b.z);
+        normal.y += (a.z - b.z) * (a.x + b.x);
+        normal.z += (a.x - b.x) * (a.y + b.y);
+    });
+    if (normal.lengthSq() < 1e-20) return null;
+    normal.normalize();
+    return { vertices, normal, w: normal.dot(vertices[0]) };
+}
+
+function flipPolygon(polygon) {
+    polygon.vertices.reverse();
+    polygon.normal.negate();
+    polygon.w = -polygon.w;
+}
+
+// Polygons of a { vertices, faces } mesh moved into the shared space by `matrix`
+export function operandPolygons(mesh, matrix) {
+    const points = mesh.vertices.map(v => new THREE.Vector3().fromArray(v).applyMatrix4(matrix));
+    // A mirroring matrix turns the faces inside out
+    const mirrored = matrix.determinant() < 0;
+    const polygons = [];
+    const add = vertices => {
+        const polygon = createPolygon(mirrored ? [...vertices].reverse() : vertices);
+        if (polygon) polygons.push(polygon);
+        return polygon;
+    };
+    mesh.faces.forEach(face => {
+        const vertices = face.map(v => points[v]);
+        const polygon = add(vertices);
+        // Every polygon must lie on its own plane, or splitting it never ends; warped faces go in as triangles
+        if (polygon && vertices.some(v => Math.abs(polygon.normal.dot(v) - polygon.w) > EPSILON)) {
+            polygons.pop();
+            for (let i = 1; i + 1 < vertices.length; i++) add([vertices[0], vertices[i], vertices[i + 1]]);
+        }
+    });
+    return polygons;
+}
+
+// Sorts the polygon into the lists by which side of the plane it lies on, splitting it if it spans the plane
+function splitPolygon(plane, polygon, coplanarFront, coplanarBack, front, back) {
+    let polygonType = 0;
+    const types = polygon.vertices.map(v => {
+        const t = plane.normal.dot(v) - plane.w;
+        const type = t < -EPSILON ? BACK : t > EPSILON ? FRONT : COPLANAR;
+        polygonType |= type;
+        return type;
+    });
+
+    if (polygonType === COPLANAR) {
+        (plane.normal.dot(polygon.normal) > 0 ? coplanarFront : coplanarBack).push(polygon);
+    } else if (polygonType === FRONT) {
+        front.push(polygon);
+    } else if (polygonType === BACK) {
+        back.push(polygon);
+    } else {
+        const f = [];
+        const b = [];
+        polygon.vertices.forEach((vi, i) => {
+            const j = (i + 1) % polygon.vertices.length;
+            const ti = types[i];
+            const tj = types[j];
+            const vj = polygon.vertices[j];
+            if (ti !== BACK) f.push(vi);
+            if (ti !== FRONT) b.push(vi);
+            if ((ti | tj) === SPANNING) {
+                const t = (plane.w - plane.normal.dot(vi)) / plane.normal.dot(new THREE.Vector3().subVectors(vj, vi));
+                const v = vi.clone().lerp(vj, t);
+                f.push(v);
+                b.push(v);
+            }
+        });
+        if (f.length >= 3) {
+            const polygonF = createPolygon(f);
+            if (polygonF) front.push(polygonF);
+        }
+        if (b.length >= 3) {
+            const polygonB = createPolygon(b);
+            if (polygonB) back.push(polygonB);
+        }
+    }
+}
+
+// ==================== BSP TREES ====================
+
+// Trees are walked with explicit stacks; large imported meshes can nest deeper than the call stack allows
+const createNode = () => ({ plane: null, front: null, back: null, polygons: [] });
+
+function allNodes(root) {
+    const nodes = [];
+    const stack = [root];
+    while (stack.length) {
+        const node = stack.pop();
+        nodes.push(node);
+        if (node.front) stack.push(node.front);
+        if (node.back) stack.push(node.back);
+    }
+    return nodes;
+}
+
+// Picks the splitting plane from a sample of the polygons, preferring ones that cut few others and
+// divide the rest evenly; the first polygon alone makes curved meshes split into huge trees
+function choosePlane(polygons) {
+    const step = Math.max(1, Math.floor(polygons.length / 8));
+    let best = null;
+    let bestScore = Infinity;
+    for (let c = 0; c < polygons.length; c += step) {
+        const plane = polygons[c];
+        let front = 0;
+        let back = 0;
+        let spanning = 0;
+        polygons.forEach(polygon => {
+            let type = 0;
+            polygon.vertices.forEach(v => {
+                const t = plane.normal.dot(v) - plane.w;
+                type |= t < -EPSILON ? BACK : t > EPSILON ? FRONT : COPLANAR;
+            });
+            if (type === SPANNING) spanning++;
+            else if (type === FRONT) front++;
+            else if (type === BACK) back++;
+        });
+        const score = spanning * 8 + Math.abs(front - back);
+        if (score < bestScore) {
+            bestScore = score;
+            best = plane;
+        }
+    }
+    return { normal: best.normal.clone(), w: best.w };
+}
+
+function build(root, polygons) {
+    const stack = [[root, polygons]];
+    while (stack.length) {
+        const [node, list] = stack.pop();
+        if (list.length === 0) continue;
+        if (!node.plane) node.plane = choosePlane(list);
+        const front = [];
+        const back = [];
+        list.forEach(polygon => splitPolygon(node.plane, polygon, node.polygons, node.polygons, front, back));
+        if (front.length) stack.push([node.front = node.front || createNode(), front]);
+        if (back.length) stack.push([node.back = node.back || createNode(), back]);
+    }
+}
+
+function createTree(polygons) {
+    const root = createNode();
+    build(root, polygons);
+    return root;
+}
+
+// Turns solid into empty space and back
+function invert(root) {
+    allNodes(root).forEach(node => {
+        node.polygons.forEach(flipPolygon);
+        if (node.plane) {
+            node.plane.normal.negate();
+            node.plane.w = -node.plane.w;
+        }
+        [node.front, node.back] = [node.back, node.front];
+    });
+}
+
+// Removes the parts of the polygons that lie inside the tree's solid
+function clipPolygons(root, polygons) {
+    const result = [];
+    const stack = [[root, polygons]];
+    while (stack.length) {
+        const [node, list] = stack.pop();
+        if (!node.plane) {
+            list.forEach(polygon => result.push(polygon));
+            continue;
+        }
+        const front = [];
+        const back = [];
+        list.forEach(polygon => splitPolygon(node.plane, polygon, front, back, front, back));
+        if (node.front) stack.push([node.front, front]);
+        else front.forEach(polygon => result.push(polygon));
+        if (node.back) stack.push([node.back, back]);
+    }
+    return result;
+}
+
+function clipTo(root, other) {
+    allNodes(root).forEach(node => {
+        node.polygons = clipPolygons(other, node.polygons);
+    });
+}
+
+const allPolygons = root => allNodes(root).flatMap(node => node.polygons);
+
+const combine = {
+    union(a, b) {
+        clipTo(a, b);
+        clipTo(b, a);
+        invert(b);
+        clipTo(b, a);
+        invert(b);
+        build(a, allPolygons(b));
+    },
+    subtract(a, b) {
+        invert(a);
+        clipTo(a, b);
+        clipTo(b, a);
+        invert(b);
+        clipTo(b, a);
+        invert(b);
+        build(a, allPolygons(b));
+        invert(a);
+    },
+    intersect(a, b) {
+        invert(a);
+        clipTo(b, a);
+        invert(b);
+        clipTo(a, b);
+        clipTo(b, a);
+        build(a, allPolygons(b));
+        invert(a);
+    }
+};
+
+// ==================== RESULT ====================
+
+// Combines the operands in order - the first is the base the others are added to, cut from or intersected with
+export function evaluateBoolean(operation, operands) {
+    let polygons = operands[0] || [];
+    operands.slice(1).forEach(operand => {
+        // Operands that don't touch need no trees
+        if (!bounds(polygons).intersectsBox(bounds(operand))) {
+            if (operation === 'union') polygons = polygons.concat(operand);
+            if (operation === 'intersect') polygons = [];
+            return;
+        }
+        const a = createTree(polygons);
+        const b = createTree(operand);
+        combine[operation](a, b);
+        polygons = allPolygons(a);
+    });
+    return weld(polygons);
+}
+
+function bounds(polygons) {
+    const box = new THREE.Box3();
+    polygons.forEach(polygon => polygon.vertices.forEach(v => box.expandByPoint(v)));
+    return box;
+}
+
+// Merges coincident points so faces share vertices
+function weld(polygons, tolerance = 1e-5) {
+    const lookup = new Map();
+    const vertices = [];
+    const faces = [];
+    polygons.forEach(polygon => {
+        const face = [];
+        polygon.vertices.forEach(v => {
+            const key = `${Math.round(v.x / tolerance)},${Math.round(v.y / tolerance)},${Math.round(v.z / tolerance)}`;
+            if (!lookup.has(key)) {
+                lookup.set(key, vertices.length);
+                vertices.push([v.x, v.y, v.z]);
+            }
+            const index = lookup.get(key);
+            if (face[face.length - 1] !== index) face.push(index);
+        });
+        if (face.length > 1 && face[0] === face[face.length - 1]) face.pop();
+        if (new Set(face).size >= 3) faces.push(face);
+    });
+    return { vertices, faces };
+}
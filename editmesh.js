@@ -0,0 +1,337 @@
+import * as THREE from 'three';
+import { toCreasedNormals } from 'three/addons/utils/BufferGeometryUtils.js';
+
+// Editable polygon meshes - { vertices: [[x, y, z]], faces: [[a, b, c, ...]] } in object space,
+// faces wound counter-clockwise. Vertices and faces are addressed by index, edges by edgeKey().
+// Every operation returns a new mesh and leaves its input untouched, so history can diff them.
+export const elementModes = {
+    vertex: { label: 'Vertex', plural: 'Vertices', key: '1' },
+    edge: { label: 'Edge', plural: 'Edges', key: '2' },
+    face: { label: 'Face', plural: 'Faces', key: '3' }
+};
+
+// Normals are smoothed across edges flatter than this, so spheres stay round and boxes stay sharp
+const creaseAngle = THREE.MathUtils.degToRad(35);
+
+export function edgeKey(a, b) {
+    return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+export function parseEdgeKey(key) {
+    return key.split('-').map(Number);
+}
+
+// [a, b] pairs going round the face
+export function faceEdges(face) {
+    return face.map((v, i) => [v, face[(i + 1) % face.length]]);
+}
+
+function cloneMesh(mesh) {
+    return { vertices: mesh.vertices.map(v => [...v]), faces: mesh.faces.map(f => [...f]) };
+}
+
+// { edgeKey: [a, b] } for every edge of the mesh
+export function meshEdges(mesh) {
+    const edges = new Map();
+    mesh.faces.forEach(face => faceEdges(face).forEach(([a, b]) => {
+        const key = edgeKey(a, b);
+        if (!edges.has(key)) edges.set(key, [Math.min(a, b), Math.max(a, b)]);
+    }));
+    return edges;
+}
+
+export function faceCenter(mesh, face) {
+    const center = new THREE.Vector3();
+    face.forEach(v => center.add(new THREE.Vector3().fromArray(mesh.vertices[v])));
+    return center.divideScalar(face.length);
+}
+
+export function faceNormal(mesh, face) {
+    // Newell's method, so ngons and slightly bent quads still get a sensible normal
+    const normal = new THREE.Vector3();
+    faceEdges(face).forEach(([a, b]) => {
+        const [ax, ay, az] = mesh.vertices[a];
+        const [bx, by, bz] = mesh.vertices[b];
+        normal.x += (ay - by) * (az + bz);
+        normal.y += (az - bz) * (ax + bx);
+        normal.z += (ax - bx) * (ay + by);
+    });
+    return normal.normalize();
+}
+
+// Vertices touched by a selection in any element mode
+export function selectionVertices(mesh, mode, selection) {
+    if (mode === 'vertex') return [...selection];
+    if (mode === 'edge') return [...new Set([...selection].flatMap(parseEdgeKey))];
+    return [...new Set([...selection].flatMap(f => mesh.faces[f]))];
+}
+
+// Faces entirely covered by a selection in any element mode
+export function selectionFaces(mesh, mode, selection) {
+    if (mode === 'face') return [...selection];
+    return [...mesh.faces.keys()].filter(f => {
+        const face = mesh.faces[f];
+        if (mode === 'vertex') return face.every(v => selection.has(v));
+        return faceEdges(face).every(([a, b]) => selection.has(edgeKey(a, b)));
+    });
+}
+
+// Faces that use any selected element - what Delete removes
+export function touchedFaces(mesh, mode, selection) {
+    if (mode === 'face') return [...selection];
+    return [...mesh.faces.keys()].filter(f => {
+        const face = mesh.faces[f];
+        if (mode === 'vertex') return face.some(v => selection.has(v));
+        return faceEdges(face).some(([a, b]) => selection.has(edgeKey(a, b)));
+    });
+}
+
+// Selection in an element mode that covers exactly these faces
+export function facesToSelection(mesh, mode, faceIds) {
+    if (mode === 'face') return new Set(faceIds);
+    if (mode === 'vertex') return new Set(faceIds.flatMap(f => mesh.faces[f]));
+    return new Set(faceIds.flatMap(f => faceEdges(mesh.faces[f]).map(([a, b]) => edgeKey(a, b))));
+}
+
+// Carries a selection over to another element mode through the vertices it covers
+export function convertSelection(mesh, from, to, selection) {
+    if (from === to) return new Set(selection);
+    const vertices = new Set(selectionVertices(mesh, from, selection));
+    if (to === 'vertex') return vertices;
+    if (to === 'face') return new Set(selectionFaces(mesh, 'vertex', vertices));
+    return new Set([...meshEdges(mesh).entries()].filter(([, [a, b]]) => vertices.has(a) && vertices.has(b)).map(([key]) => key));
+}
+
+// Pairs coplanar triangles across their longest edge into quads, which is how primitives lay out their grids
+function pairTriangles(mesh, triangles) {
+    const normals = triangles.map(t => faceNormal(mesh, t));
+    const longest = triangles.map(t => {
+        const edges = faceEdges(t).map(([a, b]) => ({ key: edgeKey(a, b), length: new THREE.Vector3().fromArray(mesh.vertices[a]).distanceTo(new THREE.Vector3().fromArray(mesh.vertices[b])) }));
+        return edges.reduce((best, e) => (e.length > best.length ? e : best)).key;
+    });
+    const byEdge = new Map();
+    longest.forEach((key, i) => byEdge.set(key, [...(byEdge.get(key) || []), i]));
+
+    const paired = new Set();
+    const faces = [];
+    triangles.forEach((t, i) => {
+        if (paired.has(i)) return;
+        const partner = byEdge.get(longest[i]).find(j => j !== i && !paired.has(j) && normals[i].dot(normals[j]) > 0.9999);
+        if (partner === undefined) {
+            faces.push(t);
+            return;
+        }
+        paired.add(i);
+        paired.add(partner);
+
+        // Replace the shared edge x -> y of t with x -> w -> y
+        const u = triangles[partner];
+        const k = t.findIndex((v, n) => u.includes(v) && u.includes(t[(n + 1) % 3]));
+        const w = u.find(v => !t.includes(v));
+        faces.push([t[k], w, t[(k + 1) % 3], t[(k + 2) % 3]]);
+    });
+    return faces;
+}
+
+// Welds a BufferGeometry's split vertices back together
+export function meshFromGeometry(geometry, tolerance = 1e-4) {
+    const position = geometry.attributes.position;
+    const index = geometry.index;
+    const lookup = new Map();
+    const vertices = [];
+    const remap = [];
+    for (let i = 0; i < position.count; i++) {
+        const p = [position.getX(i), position.getY(i), position.getZ(i)];
+        const key = p.map(v => Math.round(v / tolerance)).join(',');
+        if (!lookup.has(key)) {
+            lookup.set(key, vertices.length);
+            vertices.push(p);
+        }
+        remap.push(lookup.get(key));
+    }
+
+    const triangles = [];
+    const count = index ? index.count : position.count;
+    for (let i = 0; i + 2 < count; i += 3) {
+        const t = [0, 1, 2].map(k => remap[index ? index.getX(i + k) : i + k]);
+        if (new Set(t).size === 3) triangles.push(t);
+    }
+    return { vertices, faces: pairTriangles({ vertices }, triangles) };
+}
+
+// Triangulated geometry for display; userData.triangleFaces maps each triangle back to its face
+export function geometryFromMesh(mesh) {
+    const positions = [];
+    const triangleFaces = [];
+    mesh.faces.forEach((face, f) => {
+        for (let i = 1; i + 1 < face.length; i++) {
+            [face[0], face[i], face[i + 1]].forEach(v => positions.push(...mesh.vertices[v]));
+            triangleFaces.push(f);
+        }
+    });
+    const flat = new THREE.BufferGeometry();
+    flat.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    const geometry = toCreasedNormals(flat, creaseAngle);
+    geometry.userData.triangleFaces = triangleFaces;
+    return geometry;
+}
+
+// Drops vertices no face uses
+export function compact(mesh) {
+    const remap = new Map();
+    const vertices = [];
+    mesh.faces.forEach(face => face.forEach(v => {
+        if (!remap.has(v)) {
+            remap.set(v, vertices.length);
+            vertices.push(mesh.vertices[v]);
+        }
+    }));
+    return { vertices, faces: mesh.faces.map(face => face.map(v => remap.get(v))) };
+}
+
+// Applies an object-space matrix to the vertices
+export function transformVertices(mesh, ids, matrix) {
+    const result = cloneMesh(mesh);
+    ids.forEach(v => { result.vertices[v] = new THREE.Vector3().fromArray(mesh.vertices[v]).applyMatrix4(matrix).toArray(); });
+    return result;
+}
+
+// Extrudes the faces as one region along their average normal; the moved faces keep their indices
+export function extrudeFaces(mesh, faceIds, distance) {
+    const normal = new THREE.Vector3();
+    faceIds.forEach(f => normal.add(faceNormal(mesh, mesh.faces[f])));
+    // Faces pointing opposite ways (two sides of a box) have no average; each goes along its own normal
+    if (normal.lengthSq() < 1e-8 && faceIds.length > 1) {
+        return faceIds.reduce((result, f) => extrudeFaces(result, [f], distance), mesh);
+    }
+    normal.normalize();
+
+    const result = cloneMesh(mesh);
+
+    // Edges used by only one selected face form the region's outline and get a side wall
+    const edgeUse = new Map();
+    faceIds.forEach(f => faceEdges(mesh.faces[f]).forEach(([a, b]) => {
+        const key = edgeKey(a, b);
+        edgeUse.set(key, (edgeUse.get(key) || 0) + 1);
+    }));
+    const copies = new Map();
+    const copy = (v) => {
+        if (!copies.has(v)) {
+            copies.set(v, result.vertices.length);
+            result.vertices.push(new THREE.Vector3().fromArray(mesh.vertices[v]).addScaledVector(normal, distance).toArray());
+        }
+        return copies.get(v);
+    };
+    faceIds.forEach(f => {
+        const face = mesh.faces[f];
+        faceEdges(face).forEach(([a, b]) => {
+            if (edgeUse.get(edgeKey(a, b)) === 1) result.faces.push([a, b, copy(b), copy(a)]);
+        });
+        result.faces[f] = face.map(copy);
+    });
+    return result;
+}
+
+// Shrinks each face towards its center by amount (0-1), bridging the gap with a ring of quads
+export function insetFaces(mesh, faceIds, amount) {
+    const result = cloneMesh(mesh);
+    faceIds.forEach(f => {
+        const face = mesh.faces[f];
+        const center = faceCenter(mesh, face);
+        const inner = face.map(v => {
+            result.vertices.push(new THREE.Vector3().fromArray(mesh.vertices[v]).lerp(center, amount).toArray());
+            return result.vertices.length - 1;
+        });
+        face.forEach((v, i) => {
+            const j = (i + 1) % face.length;
+            result.faces.push([v, face[j], inner[j], inner[i]]);
+        });
+        result.faces[f] = inner;
+    });
+    return result;
+}
+
+// Splits the ring of quads that crosses edge a-b through the middle of each ring edge.
+// Returns { mesh, edges } with the new loop's edge keys, or null when no quad touches the edge.
+export function loopCut(mesh, a, b) {
+    const result = cloneMesh(mesh);
+    const edgeFaces = new Map();
+    mesh.faces.forEach((face, f) => faceEdges(face).forEach(([x, y]) => {
+        const key = edgeKey(x, y);
+        edgeFaces.set(key, [...(edgeFaces.get(key) || []), f]);
+    }));
+
+    const midpoints = new Map();
+    const midpoint = (x, y) => {
+        const key = edgeKey(x, y);
+        if (!midpoints.has(key)) {
+            midpoints.set(key, result.vertices.length);
+            result.vertices.push(new THREE.Vector3().fromArray(mesh.vertices[x]).lerp(new THREE.Vector3().fromArray(mesh.vertices[y]), 0.5).toArray());
+        }
+        return midpoints.get(key);
+    };
+
+    // Walk across quads from one side to the opposite one; a triangle or ngon ends the ring
+    const visited = new Set();
+    const quads = [];
+    const ends = [];
+    const walk = (edge, f) => {
+        while (f !== undefined && !visited.has(f)) {
+            visited.add(f);
+            const face = mesh.faces[f];
+            const i = face.findIndex((v, k) => edgeKey(v, face[(k + 1) % face.length]) === edgeKey(edge[0], edge[1]));
+            if (face.length !== 4) {
+                ends.push([f, i]);
+                return;
+            }
+            quads.push([f, i]);
+            edge = [face[(i + 2) % 4], face[(i + 3) % 4]];
+            const current = f;
+            f = edgeFaces.get(edgeKey(edge[0], edge[1])).find(g => g !== current);
+        }
+    };
+    const [first, second] = edgeFaces.get(edgeKey(a, b)) || [];
+    walk([a, b], first);
+    walk([a, b], second);
+    if (quads.length === 0) return null;
+
+    const edges = [];
+    quads.forEach(([f, i]) => {
+        const p = [0, 1, 2, 3].map(k => mesh.faces[f][(i + k) % 4]);
+        const m1 = midpoint(p[0], p[1]);
+        const m2 = midpoint(p[2], p[3]);
+        result.faces[f] = [p[0], m1, m2, p[3]];
+        result.faces.push([m1, p[1], p[2], m2]);
+        edges.push(edgeKey(m1, m2));
+    });
+    // Faces at the ends of an open ring take the new vertex into their outline so no crack opens
+    ends.forEach(([f, i]) => {
+        const face = mesh.faces[f];
+        result.faces[f] = [...face.slice(0, i + 1), midpoint(face[i], face[(i + 1) % face.length]), ...face.slice(i + 1)];
+    });
+    return { mesh: result, edges };
+}
+
+// Collapses the vertices into one at their center; returns { mesh, vertex }
+export function mergeVertices(mesh, ids) {
+    const center = new THREE.Vector3();
+    ids.forEach(v => center.add(new THREE.Vector3().fromArray(mesh.vertices[v])));
+    center.divideScalar(ids.length);
+
+    const target = ids[0];
+    const merged = new Set(ids);
+    const vertices = mesh.vertices.map((v, i) => (i === target ? center.toArray() : [...v]));
+    const faces = mesh.faces
+        .map(face => face.map(v => (merged.has(v) ? target : v)).filter((v, i, f) => v !== f[(i + 1) % f.length]))
+        .filter(face => new Set(face).size >= 3);
+    const result = compact({ vertices, faces });
+
+    // compact() renumbers vertices; find the merged one again by position
+    const vertex = result.vertices.findIndex(v => v === vertices[target]);
+    return { mesh: result, vertex };
+}
+
+export function deleteFaces(mesh, faceIds) {
+    const removed = new Set(faceIds);
+    return compact({ vertices: mesh.vertices, faces: mesh.faces.filter((face, f) => !removed.has(f)) });
+}
@@ -2,7 +2,26 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
 import { defaultTheme, applyTheme } from './theme.js';
+import { primitives, isPrimitive, resolvePrimitiveParams, buildPrimitiveGeometry } from './primitives.js';
+import { lightTypes, isLight, resolveLightProps, createLight, lightSpawnData } from './lights.js';
+import { channels, interpolationModes, playbackModes, frameRatePresets, defaultBezier, getBezier, easeSegment } from './animation.js';
+import { animationPointerPlugin } from './animationPointer.js';
+import { cameraProps, aspectPresets, resolveCameraProps, getAspect, createCamera, updateCamera, frustumLinePoints, fovToFocalLength, focalLengthToFov } from './cameras.js';
+import { pathCurveTypes, resolvePathData, convertPathPoints, buildPathCurve } from './paths.js';
+import { viewPresets, viewShortcuts, quadLayout, isOrthographicView } from './views.js';
+import { pivotModes, transformSpaces, gizmoDelta, carryMatrix, alignEdges, alignReferences, gridPlaneNormals, distributeModes, boxEdge, alignOffsets, gridAlignOffsets, distributeOffsets } from './transforms.js';
+import { modifierTypes, resolveModifier, applyModifiers } from './modifiers.js';
+import { booleanOperations, operandPolygons, evaluateBoolean } from './csg.js';
+import { snapTargets, snapBases, snapElements, nearestOnScreen } from './snapping.js';
+import { elementModes, edgeKey, parseEdgeKey, meshEdges, selectionVertices, selectionFaces, touchedFaces, facesToSelection, convertSelection, meshFromGeometry, geometryFromMesh, transformVertices, extrudeFaces, insetFaces, loopCut, mergeVertices, deleteFaces } from './editmesh.js';
+import { sceneVersion, migrateScene, validateScene } from './schema.js';
+import { createZipWriter } from './zip.js';
+import { createWebMWriter, findWebMConfig } from './webm.js';
+import { createProjectId, listProjects, loadProject, saveProject, renameProject, duplicateProject, deleteProject, saveRecovery, loadRecovery, clearRecovery } from './projects.js';
 
 class MeshEditor {
     constructor() {
@@ -10,24 +29,80 @@ class MeshEditor {
         this.objects = [];
         this.selectedObjects = []; // Multi-select support
         this.clipboard = null;
-        this.undoStack = [];
-        this.redoStack = [];
+        this.history = []; // [{ label, objects, clips, order }] - only what each action changed
+        this.historyIndex = 0; // Entries before this index are applied
+        this.historySnapshot = null; // Serialized scene as of the last history step, diffed on the next save
+        this.historyBaseLabel = 'New Scene';
         this.isShiftHeld = false;
         this.isAltHeld = false;
         this.isCtrlHeld = false;
         this.gridSnapEnabled = false;
+        this.snapTarget = 'none'; // Key of snapTargets - other objects' elements a translate drag snaps to
+        this.snapBase = 'pivot'; // Key of snapBases
+        this.snapAlign = false; // Turn the dragged object's up axis onto the target normal
+        this.snapResult = null; // { point, normal, obj } while a drag is snapped
+        this.snapCache = new WeakMap(); // Geometry -> its snap elements
+        this.pointerNDC = null;
         this.objectIdCounter = 0;
         this.currentGridPlane = 'xz';
         this.grids = {};
+        this.collapsedIds = new Set(); // Outliner rows with hidden children
+        this.draggedObjectId = null;
+        this.boxSelectArmed = false; // B arms a one-shot rectangle selection
+        this.boxSelect = null; // { startX, startY, mode, box } while dragging
+        this.suppressClick = false;
+        this.pivotMode = 'median'; // Key of pivotModes
+        this.transformSpace = 'world'; // 'world' | 'local'
+        this.pivotDrag = null; // Start matrices while the gizmo drags a multi-object selection
+        this.transformPanelMode = 'absolute'; // 'absolute' | 'offset' - how the Transform panel edits several objects
+        this.alignReference = 'selection'; // Key of alignReferences
+        this.distributeMode = 'spacing'; // Key of distributeModes
+        this.editMode = null; // { objId, selection, data } while editing a mesh's vertices, edges or faces
+        this.editOverlay = null;
+        this.elementMode = 'vertex'; // Key of elementModes
+        this.meshEditSettings = { extrude: 0.5, inset: 0.25 };
+        this.booleanLive = false; // Whether new booleans keep their operands and re-evaluate
         
         // Camera/Animation
         this.sceneCameras = [];
         this.activeSceneCamera = null;
+        this.cameraOverlays = { safeFrames: true, thirds: true };
         this.currentFrame = 0;
         this.totalFrames = this.theme.timeline.defaultDuration;
+        this.fps = this.theme.timeline.fps;
+        this.frameIn = 0; // Playback range, looped by ping-pong/loop modes
+        this.frameOut = this.totalFrames;
+        this.playbackMode = 'loop'; // 'loop' | 'pingpong' | 'once'
+        this.playDirection = 1;
+        this.playPosition = 0; // Fractional frame advanced by the playback clock
+        this.lastTickTime = 0;
+        this.timeDisplay = 'timecode'; // 'timecode' | 'frames'
         this.isPlaying = false;
         this.clips = {}; // { objectId: { property: [{ frame, value }] } }
+        this.expandedTracks = new Set(); // Timeline tracks showing per-property sub-tracks
+        this.graphEditorOpen = false;
+        this.hiddenGraphChannels = new Set();
+        this.graphSelection = null; // { objId, prop, keyframe }
+        this.graphDrag = null;
+        this.selectedKeyframes = new Set(); // Keyframe objects selected on the timeline
+        this.timelineMarkers = []; // [{ el, keyframes }] rebuilt by updateTimeline()
+        this.keyframeDrag = null;
+        this.keyframeMarquee = null;
+        this.keyframeClipboard = null;
+        this.clipboardKind = 'objects'; // What Ctrl+V pastes: 'objects' or 'keyframes'
         this.cameraTrackTargets = {}; // { cameraId: targetObjectId }
+        this.pathFollows = {}; // { objectId: { pathId, start, end, orient, bank } }
+        this.activePathPoint = null; // { obj, index } - path control point attached to the gizmo
+        
+        // Imported assets
+        this.assets = {}; // { assetId: { name, object } } - Object3D JSON, shared by all instances
+        this.assetCache = {}; // { assetId: Object3D } - parsed once, cloned per instance
+        
+        // Local projects
+        this.currentProject = null; // { id, name, created } once saved to the project store
+        this.unsavedChanges = false; // Since the last project save
+        this.autosavePending = false; // Since the last recovery autosave
+        this.projectBrowser = null;
         
         this.init();
     }
@@ -38,36 +113,64 @@ class MeshEditor {
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(this.theme.colors.background);
         
-        // Main camera
-        this.camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
-        this.setTopDownView();
-        
         // Renderer
         const canvas = document.getElementById('viewport');
         this.renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        
+        // Viewports - one pane per quad-layout slot, each with its own camera and orbit controls.
+        // this.camera/this.orbitControls always point at the active pane's. The pane under the
+        // pointer becomes active before the controls see the event (capture phase).
+        canvas.addEventListener('pointerdown', (e) => this.activateViewportAt(e), true);
+        canvas.addEventListener('wheel', (e) => this.activateViewportAt(e), true);
+        canvas.addEventListener('pointerdown', (e) => this.onBoxSelectStart(e), true);
+        canvas.addEventListener('pointermove', (e) => { this.pointerNDC = this.getPointerNDC(e); }, true);
+        this.quadView = false;
+        this.viewports = quadLayout.map(view => this.createViewport(view));
+        this.setActiveViewport(this.viewports[quadLayout.indexOf('perspective')]);
+        this.setTopDownView();
         this.updateRendererSize();
         
         // Controls
-        this.orbitControls = new OrbitControls(this.camera, this.renderer.domElement);
-        this.orbitControls.enableDamping = true;
-        this.orbitControls.dampingFactor = 0.08;
-        
-        this.transformControls = new TransformControls(this.camera, this.renderer.domElement);
+        // TransformControls would map pointers over the whole canvas, so it gets an element of its own that
+        // never sees events and the canvas's pointers are passed in mapped to the active pane
+        this.transformControls = new TransformControls(this.camera, document.createElement('div'));
+        this.routeGizmoPointer(canvas);
         this.transformControls.addEventListener('dragging-changed', (e) => {
             this.orbitControls.enabled = !e.value;
         });
+        this.transformControls.addEventListener('mouseDown', () => {
+            if (this.transformControls.object === this.transformPivot) this.startPivotDrag();
+        });
         this.transformControls.addEventListener('objectChange', () => {
+            const follow = () => {
+                if (this.activePathPoint) this.movePathPoint();
+                if (this.pivotDrag) this.dragPivot();
+            };
+            // Snapping needs the dragged objects in place to find their closest vertex, then they follow the snap
+            follow();
+            if (this.applySnap()) follow();
             this.updateTransformPanel();
             this.updateStatus();
         });
-        this.transformControls.addEventListener('mouseUp', () => this.saveState());
+        this.transformControls.addEventListener('mouseUp', () => {
+            const drag = this.pivotDrag;
+            this.pivotDrag = null;
+            this.endSnap();
+            if (!this.editMode) this.saveState(this.describeTransform(), this.activePathPoint ? [this.activePathPoint.obj.id] : this.selectedObjects.map(o => o.id));
+            else if (drag?.result) this.commitMeshEdit(drag.result, this.describeTransform());
+        });
         this.scene.add(this.transformControls);
         
-        // Lights
-        this.scene.add(new THREE.AmbientLight(0xffffff, 0.6));
-        const dirLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        dirLight.position.set(5, 10, 5);
-        this.scene.add(dirLight);
+        // Several selected objects (or a pivot away from the origin) are moved through a proxy at the pivot
+        this.transformPivot = new THREE.Object3D();
+        this.scene.add(this.transformPivot);
+        this.cursor3D = this.createCursor3D();
+        this.scene.add(this.cursor3D);
+        this.snapIndicator = this.createSnapIndicator();
+        this.scene.add(this.snapIndicator);
+        canvas.addEventListener('contextmenu', (e) => this.placeCursor(e));
         
         // Grids
         this.createGrids();
@@ -75,7 +178,8 @@ class MeshEditor {
         
         // Axes
         if (this.theme.viewport.showAxes) {
-            this.scene.add(new THREE.AxesHelper(2));
+            this.axesHelper = new THREE.AxesHelper(2);
+            this.scene.add(this.axesHelper);
         }
         
         // Raycaster
@@ -84,44 +188,232 @@ class MeshEditor {
         
         // Setup
         this.setupEventListeners();
+        this.setupSelectionTools();
         this.buildGridPanel();
         this.setupTimeline();
         this.setupCameraPreview();
         
-        // Initial object
+        // Initial objects
+        this.defaultLightData().forEach(data => this.createObjectFromData(data));
         this.addQuad();
-        this.saveState();
+        this.resetHistory();
+        this.setUnsaved(false);
+        
+        this.startAutosave();
+        this.checkRecovery();
         
         this.animate();
     }
     
     // ==================== UNDO/REDO ====================
     
-    saveState() {
-        const state = {
-            objects: this.objects.map(o => this.serializeObject(o)),
-            clips: JSON.parse(JSON.stringify(this.clips))
-        };
-        this.undoStack.push(JSON.stringify(state));
-        if (this.undoStack.length > this.theme.controls.undoLimit) {
-            this.undoStack.shift();
+    saveState(label = 'Edit', touchedIds = null) {
+        this.updateBooleans();
+        
+        // Record only the objects, clips and ordering that changed since the last step. Actions that
+        // know which objects they changed pass their ids, so the rest of the scene isn't serialized again
+        const snapshot = this.takeSnapshot(touchedIds && new Set(touchedIds));
+        const entry = this.historySnapshot && this.diffSnapshots(this.historySnapshot, snapshot);
+        this.historySnapshot = snapshot;
+        if (!entry) return;
+        
+        entry.label = label;
+        this.history.splice(this.historyIndex);
+        this.history.push(entry);
+        if (this.history.length > this.theme.controls.undoLimit) {
+            this.history.shift();
+            this.historyBaseLabel = 'Earlier Changes';
         }
-        this.redoStack = [];
+        this.historyIndex = this.history.length;
+        this.setUnsaved(true);
+        this.updateHistoryPanel();
+    }
+    
+    resetHistory(label = 'New Scene') {
+        this.history = [];
+        this.historyIndex = 0;
+        this.historyBaseLabel = label;
+        this.historySnapshot = this.takeSnapshot();
+        this.updateHistoryPanel();
+    }
+    
+    takeSnapshot(touchedIds = null) {
+        // Objects and clips outside touchedIds keep their serialized form from the last snapshot;
+        // added and removed ones are picked up either way
+        const previous = touchedIds && this.historySnapshot;
+        const serialize = (cache, id, value) => previous && !touchedIds.has(id) && previous[cache].has(id)
+            ? previous[cache].get(id)
+            : JSON.stringify(value());
+        return {
+            objects: new Map(this.objects.map(o => [o.id, serialize('objects', o.id, () => this.serializeObject(o))])),
+            clips: new Map(Object.entries(this.clips).map(([key, objClips]) => {
+                const id = parseInt(key);
+                return [id, serialize('clips', id, () => objClips)];
+            })),
+            order: this.objects.map(o => o.id)
+        };
+    }
+    
+    diffSnapshots(before, after) {
+        const diff = (a, b) => [...new Set([...a.keys(), ...b.keys()])]
+            .filter(id => a.get(id) !== b.get(id))
+            .map(id => ({ id, before: a.get(id) ?? null, after: b.get(id) ?? null }));
+        
+        const objects = diff(before.objects, after.objects);
+        const clips = diff(before.clips, after.clips);
+        const order = before.order.join() !== after.order.join() ? { before: before.order, after: after.order } : null;
+        if (objects.length === 0 && clips.length === 0 && !order) return null;
+        return { objects, clips, order };
     }
     
     undo() {
-        if (this.undoStack.length <= 1) return;
-        const current = this.undoStack.pop();
-        this.redoStack.push(current);
-        const prev = this.undoStack[this.undoStack.length - 1];
-        this.restoreState(JSON.parse(prev));
+        if (this.historyIndex === 0) return;
+        this.historyIndex--;
+        this.applyHistoryEntry(this.history[this.historyIndex], 'before');
     }
     
     redo() {
-        if (this.redoStack.length === 0) return;
-        const state = this.redoStack.pop();
-        this.undoStack.push(state);
-        this.restoreState(JSON.parse(state));
+        if (this.historyIndex === this.history.length) return;
+        this.historyIndex++;
+        this.applyHistoryEntry(this.history[this.historyIndex - 1], 'after');
+    }
+    
+    goToHistory(index) {
+        while (this.historyIndex > index) this.undo();
+        while (this.historyIndex < index) this.redo();
+    }
+    
+    applyHistoryEntry(entry, side) {
+        // Selection is kept by id (and keyframes by channel and frame) across the change
+        const selectedIds = this.selectedObjects.map(o => o.id);
+        const selectedKeys = new Set();
+        this.forEachKeyframeTrack((objId, prop, keyframes) => keyframes.forEach(kf => {
+            if (this.selectedKeyframes.has(kf)) selectedKeys.add(`${objId}/${prop}/${kf.frame}`);
+        }));
+        this.deselectAll();
+        
+        // Create, remove or rebuild objects first so parents exist, then patch transforms in place
+        const changes = entry.objects.map(change => ({ id: change.id, data: change[side] && JSON.parse(change[side]) }));
+        changes.forEach(({ id, data }) => {
+            const obj = this.objects.find(o => o.id === id);
+            if (!data) {
+                if (obj) this.removeObject(obj);
+            } else if (!obj) {
+                this.createObjectFromData(data);
+            } else if (this.needsRebuild(obj, data)) {
+                this.rebuildObject(obj, data);
+            }
+        });
+        changes.forEach(({ id, data }) => {
+            const obj = data && this.objects.find(o => o.id === id);
+            if (obj) this.applyObjectTransform(obj, data);
+        });
+        this.resolveParents();
+        if (entry.order) {
+            const order = entry.order[side];
+            this.objects.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+        }
+        
+        entry.clips.forEach(change => {
+            if (change[side]) this.clips[change.id] = JSON.parse(change[side]);
+            else delete this.clips[change.id];
+        });
+        if (entry.clips.length > 0) this.graphSelection = null;
+        
+        this.objectIdCounter = Math.max(this.objectIdCounter, ...this.objects.map(o => o.id));
+        this.historySnapshot = this.takeSnapshot(new Set([...entry.objects, ...entry.clips].map(change => change.id)));
+        
+        selectedIds.forEach(id => {
+            const obj = this.objects.find(o => o.id === id);
+            if (obj) this.addToSelection(obj);
+        });
+        this.selectedKeyframes.clear();
+        this.forEachKeyframeTrack((objId, prop, keyframes) => keyframes.forEach(kf => {
+            if (selectedKeys.has(`${objId}/${prop}/${kf.frame}`)) this.selectedKeyframes.add(kf);
+        }));
+        
+        this.updateConstraints();
+        this.updateBooleans();
+        if (this.editMode) this.refreshEditMode();
+        this.updateObjectList();
+        this.updateCameraList();
+        this.updateTimeline();
+        this.updatePropertyPanels();
+        this.setUnsaved(true);
+        this.updateHistoryPanel();
+    }
+    
+    needsRebuild(obj, data) {
+        // Anything beyond name, transform, parent and constraints means rebuilding the object's mesh
+        const structure = ({ name, parentId, position, rotation, scale, visible, trackTarget, followPath, ...rest }) => JSON.stringify(rest);
+        return structure(this.serializeObject(obj)) !== structure(data);
+    }
+    
+    applyObjectTransform(obj, data) {
+        obj.name = data.name;
+        obj.parentId = data.parentId ?? null;
+        obj.mesh.position.fromArray(data.position);
+        obj.mesh.rotation.set(data.rotation[0], data.rotation[1], data.rotation[2]);
+        obj.mesh.scale.fromArray(data.scale);
+        obj.mesh.visible = data.visible !== false;
+        
+        if (data.trackTarget) this.cameraTrackTargets[obj.id] = data.trackTarget;
+        else delete this.cameraTrackTargets[obj.id];
+        if (data.followPath) this.pathFollows[obj.id] = { ...data.followPath };
+        else delete this.pathFollows[obj.id];
+    }
+    
+    removeObject(obj) {
+        // Child meshes would be disposed along with the parent; resolveParents() rehomes them
+        this.getChildren(obj).forEach(child => this.scene.add(child.mesh));
+        this.disposeObject(obj);
+        this.objects = this.objects.filter(o => o !== obj);
+        this.sceneCameras = this.sceneCameras.filter(c => c !== obj);
+        delete this.cameraTrackTargets[obj.id];
+        delete this.pathFollows[obj.id];
+    }
+    
+    rebuildObject(obj, data) {
+        const index = this.objects.indexOf(obj);
+        const children = this.getChildren(obj);
+        this.removeObject(obj);
+        
+        const count = this.objects.length;
+        this.createObjectFromData(data);
+        if (this.objects.length === count) return;
+        
+        // Keep the object's place in the list and move its children onto the new mesh
+        const rebuilt = this.objects.pop();
+        this.objects.splice(index, 0, rebuilt);
+        children.forEach(child => rebuilt.mesh.add(child.mesh));
+    }
+    
+    updateHistoryPanel() {
+        const container = document.getElementById('panel-content-history');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        [{ label: this.historyBaseLabel }, ...this.history].forEach((entry, index) => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            if (index === this.historyIndex) item.classList.add('current');
+            if (index > this.historyIndex) item.classList.add('undone');
+            item.textContent = entry.label;
+            item.addEventListener('click', () => this.goToHistory(index));
+            container.appendChild(item);
+        });
+        if (this.historyIndex === this.history.length) container.scrollTop = container.scrollHeight;
+    }
+    
+    describeObjects(objects) {
+        return objects.length === 1 ? objects[0].name : `${objects.length} Objects`;
+    }
+    
+    describeTransform() {
+        const verbs = { translate: 'Move', rotate: 'Rotate', scale: 'Scale' };
+        if (this.editMode) return `${verbs[this.transformControls.mode]} ${this.describeElements(this.editMode.selection.size)}`;
+        if (this.activePathPoint) return `Move Point ${this.activePathPoint.index} of ${this.activePathPoint.obj.name}`;
+        return `${verbs[this.transformControls.mode]} ${this.describeObjects(this.selectedObjects)}`;
     }
     
     serializeObject(o) {
@@ -129,24 +421,34 @@ class MeshEditor {
             id: o.id,
             name: o.name,
             type: o.type,
+            parentId: o.parentId ?? null,
+            params: o.params ? { ...o.params } : null,
+            asset: o.asset || null,
+            material: o.material ? { ...o.material } : null,
+            light: o.light ? { ...o.light } : null,
+            camera: o.camera ? { ...o.camera } : null,
+            path: o.path ? { ...o.path, points: o.path.points.map(p => [...p]) } : null,
+            geometry: o.geometry ? { vertices: o.geometry.vertices.map(v => [...v]), faces: o.geometry.faces.map(f => [...f]) } : null,
+            modifiers: o.modifiers?.length ? o.modifiers.map(m => ({ ...m })) : null,
+            boolean: o.boolean ? { ...o.boolean, operands: [...o.boolean.operands] } : null,
             position: o.mesh.position.toArray(),
             rotation: [o.mesh.rotation.x, o.mesh.rotation.y, o.mesh.rotation.z],
             scale: o.mesh.scale.toArray(),
-            trackTarget: this.cameraTrackTargets[o.id] || null
+            visible: o.mesh.visible,
+            trackTarget: this.cameraTrackTargets[o.id] || null,
+            followPath: this.pathFollows[o.id] ? { ...this.pathFollows[o.id] } : null
         };
     }
     
     restoreState(state) {
         // Clear current objects
+        if (this.editMode) this.exitEditMode();
         this.deselectAll();
-        this.objects.forEach(o => {
-            this.scene.remove(o.mesh);
-            o.mesh.geometry?.dispose();
-            o.mesh.material?.dispose();
-        });
+        this.objects.forEach(o => this.disposeObject(o));
         this.objects = [];
         this.sceneCameras = [];
         this.cameraTrackTargets = {};
+        this.pathFollows = {};
         
         // Restore objects
         state.objects.forEach(data => {
@@ -154,33 +456,90 @@ class MeshEditor {
             if (data.trackTarget) {
                 this.cameraTrackTargets[data.id] = data.trackTarget;
             }
+            if (data.followPath) {
+                this.pathFollows[data.id] = { ...data.followPath };
+            }
         });
+        this.resolveParents();
+        this.updateBooleans();
         
         this.clips = state.clips || {};
+        this.graphSelection = null;
+        this.selectedKeyframes.clear();
         this.objectIdCounter = Math.max(0, ...this.objects.map(o => o.id));
         this.updateObjectList();
+        this.updateCameraList();
         this.updateTimeline();
     }
     
     createObjectFromData(data) {
         let mesh;
+        let params = null;
+        let material = null;
+        let light = null;
+        let camera = null;
+        let path = null;
+        let geometry = null;
+        let modifiers = null;
+        let booleanData = null;
         
-        if (data.type === 'quad') {
-            mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), this.createObjectMaterial());
-        } else if (data.type === 'cube') {
-            mesh = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), this.createObjectMaterial());
+        if (isPrimitive(data.type) || data.type === 'mesh') {
+            if (data.type === 'mesh') geometry = { vertices: data.geometry.vertices.map(v => [...v]), faces: data.geometry.faces.map(f => [...f]) };
+            else params = resolvePrimitiveParams(data.type, data.params || {});
+            modifiers = (data.modifiers || []).map(resolveModifier);
+            material = { ...this.defaultMaterialProps(), ...data.material };
+            mesh = new THREE.Mesh(this.buildObjectGeometry({ type: data.type, params, geometry, modifiers }), this.createObjectMaterial(material));
+        } else if (data.type === 'boolean') {
+            booleanData = { operation: data.boolean.operation, operands: [...data.boolean.operands] };
+            material = { ...this.defaultMaterialProps(), ...data.material };
+            // updateBooleans() fills in the geometry once the operands exist
+            mesh = new THREE.Mesh(new THREE.BufferGeometry(), this.createObjectMaterial(material));
         } else if (data.type === 'camera') {
-            mesh = this.createCameraHelper();
+            camera = resolveCameraProps(data.camera || {});
+            mesh = this.createCameraHelper(camera);
+        } else if (data.type === 'imported') {
+            mesh = this.createImportedMesh(data.asset);
+            if (!mesh) return;
+        } else if (isLight(data.type)) {
+            light = resolveLightProps(data.type, data.light || {});
+            mesh = new THREE.Group();
+            this.buildLightContent(mesh, data.type, light);
+        } else if (data.type === 'group') {
+            mesh = this.createGroupHelper();
+        } else if (data.type === 'path') {
+            path = resolvePathData(data.path || {});
+            mesh = new THREE.Group();
+            this.buildPathContent(mesh, path);
         } else {
+            console.error('Unknown object type:', data.type);
             return;
         }
         
+        if (params || geometry || booleanData || data.type === 'imported') {
+            mesh.traverse(child => {
+                if (child.isMesh) child.castShadow = child.receiveShadow = true;
+            });
+        }
+        
         mesh.position.fromArray(data.position);
         mesh.rotation.set(data.rotation[0], data.rotation[1], data.rotation[2]);
         mesh.scale.fromArray(data.scale);
+        mesh.visible = data.visible !== false;
         
-        const objData = { id: data.id, name: data.name, type: data.type, mesh };
-        this.scene.add(mesh);
+        const objData = { id: data.id, name: data.name, type: data.type, parentId: data.parentId ?? null, mesh };
+        if (params) objData.params = params;
+        if (material) objData.material = material;
+        if (data.asset) objData.asset = data.asset;
+        if (light) objData.light = light;
+        if (camera) objData.camera = camera;
+        if (path) objData.path = path;
+        if (geometry) objData.geometry = geometry;
+        if (modifiers) objData.modifiers = modifiers;
+        if (booleanData) objData.boolean = booleanData;
+        
+        // Transforms are local to the parent; a parent that isn't created yet is hooked up by resolveParents()
+        const parent = this.objects.find(o => o.id === objData.parentId);
+        (parent ? parent.mesh : this.scene).add(mesh);
         this.objects.push(objData);
         
         if (data.type === 'camera') {
@@ -191,11 +550,20 @@ class MeshEditor {
     // ==================== COPY/PASTE ====================
     
     copy() {
+        if (this.selectedKeyframes.size > 0) {
+            this.copyKeyframes();
+            return;
+        }
         if (this.selectedObjects.length === 0) return;
         this.clipboard = this.selectedObjects.map(o => this.serializeObject(o));
+        this.clipboardKind = 'objects';
     }
     
     paste() {
+        if (this.clipboardKind === 'keyframes') {
+            this.pasteKeyframes();
+            return;
+        }
         if (!this.clipboard) return;
         this.deselectAll();
         
@@ -210,13 +578,14 @@ class MeshEditor {
             if (newObj) this.addToSelection(newObj);
         });
         
-        this.saveState();
+        this.saveState(`Paste ${this.describeObjects(this.selectedObjects)}`);
         this.updateObjectList();
     }
     
     // ==================== MULTI-SELECT ====================
     
     selectObject(objData, additive = false) {
+        if (this.editMode && objData.id !== this.editMode.objId) this.exitEditMode();
         if (!additive) {
             this.deselectAll();
         }
@@ -236,20 +605,13 @@ class MeshEditor {
         if (this.selectedObjects.includes(objData)) return;
         
         this.selectedObjects.push(objData);
-        if (objData.mesh.material) {
-            objData.mesh.material.emissive = new THREE.Color(
-                this.selectedObjects.length > 1 ? this.theme.colors.multiSelect : this.theme.colors.selection
-            );
-            objData.mesh.material.emissiveIntensity = 0.3;
-        }
+        this.updateObjectHighlight(objData);
         
-        // Attach transform to last selected
-        if (this.selectedObjects.length === 1) {
-            this.transformControls.attach(objData.mesh);
-        }
+        this.activePathPoint = null;
+        this.attachGizmo();
         
         this.updateObjectList();
-        this.updateTransformPanel();
+        this.updatePropertyPanels();
         this.updateStatus();
     }
     
@@ -257,230 +619,2054 @@ class MeshEditor {
         const idx = this.selectedObjects.indexOf(objData);
         if (idx === -1) return;
         
-        if (objData.mesh.material) {
-            objData.mesh.material.emissiveIntensity = 0;
-        }
         this.selectedObjects.splice(idx, 1);
-        
-        if (this.selectedObjects.length > 0) {
-            this.transformControls.attach(this.selectedObjects[this.selectedObjects.length - 1].mesh);
-        } else {
-            this.transformControls.detach();
-        }
+        this.updateObjectHighlight(objData);
+        if (this.activePathPoint?.obj === objData) this.activePathPoint = null;
+        this.attachGizmo();
         
         this.updateObjectList();
-        this.updateTransformPanel();
+        this.updatePropertyPanels();
         this.updateStatus();
     }
     
     deselectAll() {
-        this.selectedObjects.forEach(o => {
-            if (o.mesh.material) o.mesh.material.emissiveIntensity = 0;
-        });
+        const deselected = this.selectedObjects;
         this.selectedObjects = [];
+        deselected.forEach(o => this.updateObjectHighlight(o));
+        this.activePathPoint = null;
         this.transformControls.detach();
         this.updateObjectList();
-        this.updateTransformPanel();
+        this.updatePropertyPanels();
         this.updateStatus();
     }
     
-    // ==================== OBJECTS ====================
-    
-    createObjectMaterial() {
-        return new THREE.MeshStandardMaterial({
-            color: this.theme.colors.objectDefault,
-            side: THREE.DoubleSide,
-            roughness: 0.7
+    updateObjectHighlight(objData) {
+        // Selection tints emissive; the material's own emissive is kept in userData and restored on deselect
+        const index = this.selectedObjects.indexOf(objData);
+        if (objData.type === 'path') objData.mesh.userData.handles.visible = index !== -1;
+        this.getObjectMaterials(objData).forEach(material => {
+            if (!material.emissive) return;
+            if (index === -1) {
+                material.emissive.set(material.userData.baseEmissive ?? '#000000');
+                material.emissiveIntensity = material.userData.baseEmissiveIntensity ?? 1;
+            } else {
+                material.emissive.set(index > 0 ? this.theme.colors.multiSelect : this.theme.colors.selection);
+                material.emissiveIntensity = 0.3;
+            }
         });
     }
     
-    createCameraHelper() {
-        const group = new THREE.Group();
-        
-        // Camera body
-        const body = new THREE.Mesh(
-            new THREE.BoxGeometry(0.3, 0.2, 0.4),
-            new THREE.MeshStandardMaterial({ color: this.theme.colors.camera })
-        );
-        group.add(body);
+    getObjectMaterials(objData) {
+        if (objData.mesh.isMesh) return [].concat(objData.mesh.material);
+        if (objData.type !== 'imported') return [];
         
-        // Lens
-        const lens = new THREE.Mesh(
-            new THREE.CylinderGeometry(0.08, 0.1, 0.15, 8),
-            new THREE.MeshStandardMaterial({ color: '#333' })
-        );
-        lens.rotation.x = Math.PI / 2;
-        lens.position.z = -0.25;
-        group.add(lens);
+        const materials = [];
+        objData.mesh.userData.content?.traverse(child => {
+            if (child.isMesh) materials.push(...[].concat(child.material));
+        });
+        return materials;
+    }
+    
+    // ==================== SELECTION TOOLS ====================
+    
+    setupSelectionTools() {
+        const container = document.getElementById('panel-content-objects');
+        if (!container) return;
         
-        // Direction arrow
-        const arrow = new THREE.ArrowHelper(
-            new THREE.Vector3(0, 0, -1), new THREE.Vector3(0, 0, -0.4),
-            0.5, this.theme.colors.camera, 0.15, 0.1
-        );
-        group.add(arrow);
-        
-        // View cone
-        const coneGeo = new THREE.ConeGeometry(0.4, 0.8, 4);
-        const coneMat = new THREE.MeshBasicMaterial({ 
-            color: this.theme.colors.camera, 
-            wireframe: true, 
-            opacity: 0.3, 
-            transparent: true 
-        });
-        const cone = new THREE.Mesh(coneGeo, coneMat);
-        cone.rotation.x = Math.PI / 2;
-        cone.position.z = -0.8;
-        group.add(cone);
-        
-        // Store camera for preview
-        const previewCam = new THREE.PerspectiveCamera(60, 16/9, 0.1, 100);
-        group.userData.camera = previewCam;
-        group.add(previewCam);
+        const typeOptions = [
+            ['type:camera', 'Cameras'],
+            ['type:light', 'Lights'],
+            ['type:path', 'Paths'],
+            ['type:group', 'Groups'],
+            ['type:imported', 'Imported'],
+            ...Object.entries(primitives).map(([type, def]) => [`type:${type}`, `${def.label}s`])
+        ];
+        container.innerHTML = `
+            <div class="selection-tools">
+                <select id="select-menu" title="Shift adds to the selection, Ctrl removes from it">
+                    <option value="">Select…</option>
+                    <option value="all">All</option>
+                    <option value="none">None</option>
+                    <option value="invert">Invert (Shift+I)</option>
+                    <option value="children">Children</option>
+                    <option value="parent">Parent</option>
+                    <optgroup label="By type">
+                        ${typeOptions.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </optgroup>
+                </select>
+                <input type="text" id="select-pattern" placeholder="Name, e.g. Cube_*" title="Select by name (* and ? wildcards); Shift+Enter adds, Ctrl+Enter removes">
+            </div>
+            <div id="object-list"></div>
+        `;
         
-        return group;
+        container.querySelector('#select-menu').addEventListener('change', (e) => {
+            const value = e.target.value;
+            e.target.value = '';
+            e.target.blur();
+            if (value === 'all') this.selectAll();
+            else if (value === 'none') this.deselectAll();
+            else if (value === 'invert') this.invertSelection();
+            else if (value === 'children') this.selectChildren();
+            else if (value === 'parent') this.selectParents();
+            else if (value.startsWith('type:')) this.selectByType(value.slice(5));
+        });
+        container.querySelector('#select-pattern').addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            this.selectByName(e.target.value, e.shiftKey ? 'add' : e.ctrlKey ? 'subtract' : 'replace');
+        });
     }
     
-    addQuad() {
-        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), this.createObjectMaterial());
-        mesh.rotation.x = -Math.PI / 2;
+    selectionMode() {
+        // Shift adds and Ctrl removes, same as clicking in the viewport
+        if (this.isCtrlHeld) return 'subtract';
+        if (this.isShiftHeld) return 'add';
+        return 'replace';
+    }
+    
+    setSelection(objects) {
+        // Replaces the whole selection with one panel refresh instead of one per object
+        if (this.editMode && !(objects.length === 1 && objects[0].id === this.editMode.objId)) this.exitEditMode();
+        const previous = this.selectedObjects;
+        this.selectedObjects = [...new Set(objects)];
+        previous.forEach(o => this.updateObjectHighlight(o));
+        this.selectedObjects.forEach(o => this.updateObjectHighlight(o));
         
-        const objData = {
-            id: ++this.objectIdCounter,
-            name: `Quad_${this.objectIdCounter}`,
-            type: 'quad',
-            mesh
-        };
+        this.activePathPoint = null;
+        this.attachGizmo();
         
-        this.scene.add(mesh);
-        this.objects.push(objData);
-        this.selectObject(objData);
-        this.saveState();
+        this.updateObjectList();
+        this.updatePropertyPanels();
+        this.updateStatus();
     }
     
-    addCube() {
-        const mesh = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), this.createObjectMaterial());
-        mesh.position.y = 0.5;
-        
-        const objData = {
-            id: ++this.objectIdCounter,
-            name: `Cube_${this.objectIdCounter}`,
-            type: 'cube',
-            mesh
-        };
+    applySelection(objects, mode = this.selectionMode()) {
+        if (mode === 'add') this.setSelection([...this.selectedObjects, ...objects]);
+        else if (mode === 'subtract') this.setSelection(this.selectedObjects.filter(o => !objects.includes(o)));
+        else this.setSelection(objects);
+    }
+    
+    selectByType(type, mode) {
+        const matches = type === 'light' ? o => isLight(o.type) : o => o.type === type;
+        this.applySelection(this.objects.filter(matches), mode);
+    }
+    
+    selectByName(pattern, mode) {
+        pattern = pattern.trim();
+        if (!pattern) return;
         
-        this.scene.add(mesh);
-        this.objects.push(objData);
-        this.selectObject(objData);
-        this.saveState();
+        // * and ? are wildcards over the whole name; plain text matches anywhere in it
+        const hasWildcards = /[*?]/.test(pattern);
+        const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+        const regex = new RegExp(hasWildcards ? `^${source}$` : source, 'i');
+        this.applySelection(this.objects.filter(o => regex.test(o.name)), mode);
     }
     
-    addCamera() {
-        const mesh = this.createCameraHelper();
-        mesh.position.set(2, 2, 2);
-        mesh.lookAt(0, 0, 0);
+    invertSelection() {
+        this.setSelection(this.objects.filter(o => !this.selectedObjects.includes(o)));
+    }
+    
+    selectChildren(mode) {
+        // Every descendant of the selection, so a whole group can be picked from its parent
+        const descendants = this.objects.filter(o => this.selectedObjects.some(parent => this.isDescendantOf(o, parent)));
+        this.applySelection(descendants, mode);
+    }
+    
+    selectParents(mode) {
+        const parents = this.selectedObjects.map(o => this.getParent(o)).filter(Boolean);
+        this.applySelection(parents, mode);
+    }
+    
+    isShownInScene(obj) {
+        return this.isNodeShown(obj.mesh);
+    }
+    
+    isNodeShown(object) {
+        for (let node = object; node; node = node.parent) {
+            if (!node.visible) return false;
+        }
+        return true;
+    }
+    
+    toggleBoxSelect(armed = !this.boxSelectArmed) {
+        if (armed && this.editMode) return;
+        this.boxSelectArmed = armed;
+        this.renderer.domElement.classList.toggle('box-select', armed);
+        document.getElementById('btn-boxSelect')?.classList.toggle('active', armed);
+        this.updateStatus();
+    }
+    
+    onBoxSelectStart(e) {
+        // While armed, a left drag draws the rectangle instead of orbiting or grabbing the gizmo
+        if (!this.boxSelectArmed || e.button !== 0 || this.activeViewport.view === 'camera') return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
         
-        const objData = {
-            id: ++this.objectIdCounter,
-            name: `Camera_${this.objectIdCounter}`,
-            type: 'camera',
-            mesh
-        };
+        const box = document.createElement('div');
+        box.className = 'viewport-marquee';
+        document.body.appendChild(box);
+        this.boxSelect = { startX: e.clientX, startY: e.clientY, mode: this.selectionMode(), box };
+        this.updateBoxSelect(e);
         
-        this.scene.add(mesh);
-        this.objects.push(objData);
-        this.sceneCameras.push(objData);
-        this.selectObject(objData);
-        this.saveState();
-        this.updateCameraList();
+        const onMove = (ev) => this.updateBoxSelect(ev);
+        const onUp = (ev) => {
+            window.removeEventListener('pointermove', onMove);
+            window.removeEventListener('pointerup', onUp);
+            this.finishBoxSelect(ev);
+        };
+        window.addEventListener('pointermove', onMove);
+        window.addEventListener('pointerup', onUp);
     }
     
-    duplicateSelected() {
-        if (this.selectedObjects.length === 0) return;
+    updateBoxSelect(e) {
+        const { startX, startY, box } = this.boxSelect;
+        box.style.left = `${Math.min(startX, e.clientX)}px`;
+        box.style.top = `${Math.min(startY, e.clientY)}px`;
+        box.style.width = `${Math.abs(e.clientX - startX)}px`;
+        box.style.height = `${Math.abs(e.clientY - startY)}px`;
+    }
+    
+    finishBoxSelect(e) {
+        const { startX, startY, mode, box } = this.boxSelect;
+        box.remove();
+        this.boxSelect = null;
+        this.toggleBoxSelect(false);
         
-        const toDuplicate = [...this.selectedObjects];
-        this.deselectAll();
+        // The click that ends the drag mustn't also pick or deselect
+        this.suppressClick = true;
+        setTimeout(() => { this.suppressClick = false; });
         
-        toDuplicate.forEach(orig => {
-            const data = this.serializeObject(orig);
-            data.id = ++this.objectIdCounter;
-            data.name = `${orig.name}_copy`;
-            data.position[0] += 1;
-            this.createObjectFromData(data);
-            
-            const newObj = this.objects.find(o => o.id === data.id);
-            if (newObj) this.addToSelection(newObj);
+        // Objects count as inside when their origin projects into the rectangle
+        const a = this.getPointerNDC({ clientX: startX, clientY: startY });
+        const b = this.getPointerNDC(e);
+        const min = new THREE.Vector2(Math.min(a.x, b.x), Math.min(a.y, b.y));
+        const max = new THREE.Vector2(Math.max(a.x, b.x), Math.max(a.y, b.y));
+        const point = new THREE.Vector3();
+        const inside = this.objects.filter(o => {
+            if (!this.isShownInScene(o)) return false;
+            o.mesh.getWorldPosition(point).project(this.camera);
+            return point.z >= -1 && point.z <= 1 && point.x >= min.x && point.x <= max.x && point.y >= min.y && point.y <= max.y;
         });
-        
-        this.saveState();
-        this.updateObjectList();
+        this.applySelection(inside, mode);
     }
     
-    deleteSelected() {
-        if (this.selectedObjects.length === 0) return;
+    // ==================== TRANSFORM PIVOT ====================
+    
+    createCursor3D() {
+        // Crosshair with a ring, drawn over everything so it stays findable inside meshes
+        const color = this.theme.colors.accent;
+        const material = new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true });
+        const cursor = new THREE.Group();
+        const ring = new THREE.EllipseCurve(0, 0, 0.12, 0.12).getPoints(24).map(p => new THREE.Vector3(p.x, 0, p.y));
+        cursor.add(new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(ring), material));
+        cursor.add(new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(-0.25, 0, 0), new THREE.Vector3(0.25, 0, 0),
+            new THREE.Vector3(0, -0.25, 0), new THREE.Vector3(0, 0.25, 0),
+            new THREE.Vector3(0, 0, -0.25), new THREE.Vector3(0, 0, 0.25)
+        ]), material));
+        cursor.renderOrder = 999;
+        cursor.children.forEach(c => { c.renderOrder = 999; });
+        return cursor;
+    }
+    
+    placeCursor(e) {
+        // Shift+right-click drops the 3D cursor on the surface under the pointer, or on the grid plane
+        if (!e.shiftKey || this.activeViewport.view === 'camera') return;
+        e.preventDefault();
         
-        this.selectedObjects.forEach(obj => {
-            this.scene.remove(obj.mesh);
-            obj.mesh.traverse?.(child => {
-                child.geometry?.dispose();
-                child.material?.dispose();
-            });
-            this.objects = this.objects.filter(o => o !== obj);
-            this.sceneCameras = this.sceneCameras.filter(c => c !== obj);
-            delete this.clips[obj.id];
-        });
+        this.raycaster.setFromCamera(this.getPointerNDC(e), this.camera);
+        const hit = this.raycaster.intersectObjects(this.objects.map(o => o.mesh), true).find(h => h.object.isMesh && this.isNodeShown(h.object));
+        const normals = { xz: [0, 1, 0], xy: [0, 0, 1], yz: [1, 0, 0] };
+        const plane = new THREE.Plane(new THREE.Vector3().fromArray(normals[this.currentGridPlane]), 0);
+        const point = hit ? hit.point : this.raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+        if (!point) return;
         
-        this.deselectAll();
-        this.saveState();
-        this.updateObjectList();
-        this.updateCameraList();
+        this.setCursorPosition(point);
     }
     
-    renameObject(objData, newName) {
-        objData.name = newName;
-        this.updateObjectList();
-        this.saveState();
+    setCursorPosition(position) {
+        this.cursor3D.position.copy(position);
+        this.updateTransformPanel();
     }
     
-    // ==================== GRID ====================
+    getActiveObject() {
+        // The last selected object - its values fill the Transform panel
+        return this.selectedObjects[this.selectedObjects.length - 1] || null;
+    }
     
-    createGrids() {
-        const size = this.theme.viewport.gridSize;
-        const divisions = this.theme.viewport.gridDivisions;
-        const color1 = this.theme.colors.grid;
-        const color2 = this.theme.colors.gridSub;
-        
-        this.grids.xz = new THREE.GridHelper(size, divisions, color1, color2);
-        this.grids.xz.visible = false;
-        this.scene.add(this.grids.xz);
+    getTransformRoots() {
+        // Children of selected objects already move with their parent
+        return this.selectedObjects.filter(o => !this.selectedObjects.some(other => this.isDescendantOf(o, other)));
+    }
+    
+    usesPivot() {
+        if (this.activePathPoint || this.selectedObjects.length === 0) return false;
+        return this.selectedObjects.length > 1 || this.pivotMode === 'cursor' || this.pivotMode === 'bounds';
+    }
+    
+    attachGizmo() {
+        if (this.editMode) {
+            // Selected elements move through the pivot proxy
+            if (this.editMode.selection.size > 0) {
+                this.updatePivot();
+                this.transformControls.attach(this.transformPivot);
+            } else {
+                this.transformControls.detach();
+            }
+        } else if (this.activePathPoint) {
+            const { obj, index } = this.activePathPoint;
+            this.transformControls.attach(obj.mesh.userData.handles.children[index]);
+        } else if (this.usesPivot()) {
+            this.updatePivot();
+            this.transformControls.attach(this.transformPivot);
+        } else if (this.selectedObjects.length > 0) {
+            this.transformControls.attach(this.getActiveObject().mesh);
+        } else {
+            this.transformControls.detach();
+        }
+    }
+    
+    updatePivot() {
+        const active = this.getActiveObject();
+        if (!active) return;
+        const pivot = this.transformPivot;
+        // Object origins, or the selected vertices in edit mode
+        const points = this.editMode ? this.getEditPivotPoints() : this.selectedObjects.map(o => o.mesh.getWorldPosition(new THREE.Vector3()));
+        if (points.length === 0) return;
         
-        this.grids.xy = new THREE.GridHelper(size, divisions, color1, color2);
-        this.grids.xy.rotation.x = Math.PI / 2;
-        this.grids.xy.visible = false;
-        this.scene.add(this.grids.xy);
+        if (this.pivotMode === 'cursor') {
+            pivot.position.copy(this.cursor3D.position);
+        } else if (this.pivotMode === 'active' && !this.editMode) {
+            active.mesh.getWorldPosition(pivot.position);
+        } else if (this.pivotMode === 'bounds') {
+            const box = new THREE.Box3();
+            if (this.editMode) box.setFromPoints(points);
+            else this.selectedObjects.forEach(o => box.expandByObject(o.mesh));
+            // Helpers without geometry (empty groups) fall back to their origins
+            if (box.isEmpty()) box.setFromPoints(points);
+            box.getCenter(pivot.position);
+        } else {
+            pivot.position.set(0, 0, 0);
+            points.forEach(p => pivot.position.add(p));
+            pivot.position.divideScalar(points.length);
+        }
         
-        this.grids.yz = new THREE.GridHelper(size, divisions, color1, color2);
-        this.grids.yz.rotation.z = Math.PI / 2;
-        this.grids.yz.visible = false;
-        this.scene.add(this.grids.yz);
+        // Local space borrows the active object's axes
+        if (this.transformSpace === 'local') active.mesh.getWorldQuaternion(pivot.quaternion);
+        else pivot.quaternion.identity();
+        pivot.scale.set(1, 1, 1);
+        pivot.updateMatrixWorld();
     }
     
-    setGridPlane(plane) {
-        Object.values(this.grids).forEach(g => g.visible = false);
-        if (this.grids[plane]) {
-            this.grids[plane].visible = true;
-            this.currentGridPlane = plane;
+    startPivotDrag() {
+        const pivot = this.transformPivot;
+        if (this.editMode) {
+            const { data, selection } = this.editMode;
+            this.pivotDrag = {
+                start: pivot.matrixWorld.clone(),
+                center: pivot.position.clone(),
+                frame: pivot.quaternion.clone(),
+                objectMatrix: this.getEditObject().mesh.matrixWorld.clone(),
+                data,
+                vertices: selectionVertices(data, this.elementMode, selection),
+                result: null
+            };
+            return;
         }
-        this.updateGridPanel();
-        this.updateStatus();
+        
+        const individual = this.pivotMode === 'individual';
+        this.pivotDrag = {
+            start: pivot.matrixWorld.clone(),
+            items: this.getTransformRoots().map(o => ({
+                obj: o,
+                world: o.mesh.matrixWorld.clone(),
+                center: individual ? o.mesh.getWorldPosition(new THREE.Vector3()) : pivot.position.clone(),
+                // Individual origins in local space rotate and scale each object along its own axes
+                frame: individual && this.transformSpace === 'local' ? o.mesh.getWorldQuaternion(new THREE.Quaternion()) : pivot.quaternion.clone()
+            }))
+        };
     }
     
-    buildGridPanel() {
-        const container = document.getElementById('panel-content-grid');
-        if (!container) return;
+    dragPivot() {
+        const { start, items } = this.pivotDrag;
+        const pivot = this.transformPivot;
+        pivot.updateMatrixWorld();
+        const delta = gizmoDelta(start, pivot.matrixWorld);
+        const offset = new THREE.Vector3().setFromMatrixPosition(pivot.matrixWorld).sub(new THREE.Vector3().setFromMatrixPosition(start));
         
-        container.innerHTML = `
-            <div class="grid-controls">
+        if (this.editMode) {
+            // The world-space change, brought into the mesh's own space
+            const { center, frame, objectMatrix, data, vertices } = this.pivotDrag;
+            const world = carryMatrix(new THREE.Matrix4(), center, offset, delta, frame);
+            const local = objectMatrix.clone().invert().multiply(world).multiply(objectMatrix);
+            this.pivotDrag.result = transformVertices(data, vertices, local);
+            this.previewMeshEdit(this.pivotDrag.result);
+            return;
+        }
+        
+        items.forEach(({ obj, world, center, frame }) => {
+            const matrix = carryMatrix(world, center, offset, delta, frame);
+            matrix.premultiply(obj.mesh.parent.matrixWorld.clone().invert());
+            matrix.decompose(obj.mesh.position, obj.mesh.quaternion, obj.mesh.scale);
+            obj.mesh.updateMatrixWorld();
+        });
+    }
+    
+    setPivotMode(mode) {
+        this.pivotMode = mode;
+        this.attachGizmo();
+        this.updateTransformPanel();
+    }
+    
+    setTransformSpace(space) {
+        this.transformSpace = space;
+        this.transformControls.setSpace(space);
+        this.attachGizmo();
+        this.updateTransformPanel();
+    }
+    
+    // ==================== ALIGN & DISTRIBUTE ====================
+    
+    getWorldBounds(obj) {
+        // World box around the object's visible surfaces and its children's; lights, cameras and empty groups are a point
+        const box = new THREE.Box3();
+        const point = new THREE.Vector3();
+        const add = (o) => {
+            if (this.isShownInScene(o)) {
+                this.getSurfaceParts(o).forEach(part => {
+                    const position = part.geometry.attributes.position;
+                    for (let i = 0; i < position.count; i++) box.expandByPoint(point.fromBufferAttribute(position, i).applyMatrix4(part.matrixWorld));
+                });
+            }
+            this.getChildren(o).forEach(add);
+        };
+        add(obj);
+        if (box.isEmpty()) box.setFromCenterAndSize(obj.mesh.getWorldPosition(point), new THREE.Vector3());
+        return box;
+    }
+    
+    shiftObject(obj, offset) {
+        // Moves by a world-space offset, whatever the parent
+        const world = obj.mesh.getWorldPosition(new THREE.Vector3()).add(offset);
+        obj.mesh.position.copy(obj.mesh.parent.worldToLocal(world));
+        obj.mesh.updateMatrixWorld(true);
+    }
+    
+    shiftAlongAxis(objects, axis, offsets, label) {
+        objects.forEach((o, i) => {
+            const offset = new THREE.Vector3();
+            offset[axis] = offsets[i];
+            this.shiftObject(o, offset);
+        });
+        this.saveState(label, objects.map(o => o.id));
+        this.updateTransformPanel();
+    }
+    
+    alignSelected(axis, edge) {
+        const roots = this.getTransformRoots();
+        if (roots.length === 0 || (roots.length === 1 && this.alignReference !== 'grid')) return;
+        
+        this.scene.updateMatrixWorld();
+        const boxes = roots.map(o => this.getWorldBounds(o));
+        let offsets;
+        if (this.alignReference === 'grid') {
+            // Onto the grid plane (through the origin) along its normal, onto the nearest grid line across it
+            offsets = axis === gridPlaneNormals[this.currentGridPlane]
+                ? alignOffsets(boxes, axis, edge, 0)
+                : gridAlignOffsets(boxes, axis, edge, this.theme.viewport.gridSize / this.theme.viewport.gridDivisions);
+        } else {
+            const bounds = this.alignReference === 'active' ? this.getWorldBounds(this.getActiveObject()) : boxes.reduce((union, box) => union.union(box), new THREE.Box3());
+            offsets = alignOffsets(boxes, axis, edge, boxEdge(bounds, axis, edge));
+        }
+        
+        const label = `Align ${this.describeObjects(roots)} ${axis.toUpperCase()} ${alignEdges[edge].label}`;
+        this.shiftAlongAxis(roots, axis, offsets, label);
+    }
+    
+    describeAlignTarget(axis, edge) {
+        const side = `${alignEdges[edge].label.toLowerCase()} ${axis.toUpperCase()}`;
+        if (this.alignReference === 'grid') {
+            return axis === gridPlaneNormals[this.currentGridPlane]
+                ? `Put each object's ${side} on the ${this.currentGridPlane.toUpperCase()} grid plane`
+                : `Put each object's ${side} on its nearest grid line`;
+        }
+        return `Line up each object's ${side} with the ${alignReferences[this.alignReference].label.toLowerCase()}`;
+    }
+    
+    distributeSelected(axis) {
+        const roots = this.getTransformRoots();
+        if (roots.length < 3) return;
+        
+        this.scene.updateMatrixWorld();
+        const boxes = roots.map(o => this.getWorldBounds(o));
+        const label = `Distribute ${this.describeObjects(roots)} along ${axis.toUpperCase()}`;
+        this.shiftAlongAxis(roots, axis, distributeOffsets(boxes, axis, this.distributeMode), label);
+    }
+    
+    dropToGround() {
+        // Rests each object's bounding box on the XZ plane
+        const roots = this.getTransformRoots();
+        if (roots.length === 0) return;
+        
+        this.scene.updateMatrixWorld();
+        const offsets = roots.map(o => -this.getWorldBounds(o).min.y);
+        this.shiftAlongAxis(roots, 'y', offsets, `Drop ${this.describeObjects(roots)} to Ground`);
+    }
+    
+    updateAlignPanel() {
+        const container = document.getElementById('panel-content-align');
+        if (!container) return;
+        
+        const count = this.getTransformRoots().length;
+        if (count === 0 || this.editMode) {
+            container.innerHTML = '<div class="empty">Select objects to align, distribute or drop to the ground</div>';
+            return;
+        }
+        
+        const planeLabels = { xz: 'XZ', xy: 'XY', yz: 'YZ' };
+        container.innerHTML = `
+            <div class="transform-group">
+                <label>Align To</label>
+                <div class="param-row">
+                    <select id="align-reference" class="align-select">
+                        ${Object.entries(alignReferences).map(([key, def]) => `<option value="${key}" ${this.alignReference === key ? 'selected' : ''}>${key === 'grid' ? `${def.label} (${planeLabels[this.currentGridPlane]})` : def.label}</option>`).join('')}
+                    </select>
+                </div>
+                ${['x', 'y', 'z'].map(axis => `
+                    <div class="param-row">
+                        <span class="param-label">${axis.toUpperCase()}</span>
+                        <div class="grid-buttons">
+                            ${Object.entries(alignEdges).map(([edge, def]) => `<button class="grid-btn" data-align-axis="${axis}" data-align-edge="${edge}" title="${this.describeAlignTarget(axis, edge)}">${def.label}</button>`).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="transform-group">
+                <label>Distribute${count < 3 ? ' (3 or more objects)' : ''}</label>
+                <div class="param-row">
+                    <select id="distribute-mode" class="align-select">
+                        ${Object.entries(distributeModes).map(([key, def]) => `<option value="${key}" ${this.distributeMode === key ? 'selected' : ''}>${def.label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="grid-buttons">
+                    ${['x', 'y', 'z'].map(axis => `<button class="grid-btn" data-distribute="${axis}" ${count < 3 ? 'disabled' : ''}>${axis.toUpperCase()}</button>`).join('')}
+                </div>
+            </div>
+            <button class="tl-btn" id="drop-to-ground">Drop to Ground</button>
+        `;
+        
+        container.querySelector('#align-reference').addEventListener('change', (e) => {
+            this.alignReference = e.target.value;
+            this.updateAlignPanel();
+        });
+        container.querySelectorAll('[data-align-axis]').forEach(btn => {
+            btn.addEventListener('click', () => this.alignSelected(btn.dataset.alignAxis, btn.dataset.alignEdge));
+        });
+        container.querySelector('#distribute-mode').addEventListener('change', (e) => {
+            this.distributeMode = e.target.value;
+        });
+        container.querySelectorAll('[data-distribute]').forEach(btn => {
+            btn.addEventListener('click', () => this.distributeSelected(btn.dataset.distribute));
+        });
+        container.querySelector('#drop-to-ground').addEventListener('click', () => this.dropToGround());
+    }
+    
+    // ==================== SNAPPING ====================
+    
+    createSnapIndicator() {
+        // A square on the snapped point, and a stub along the target normal when there is one
+        const color = this.theme.colors.selection;
+        const indicator = new THREE.Group();
+        const marker = new THREE.Points(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3()]),
+            new THREE.PointsMaterial({ color, size: 10, sizeAttenuation: false, depthTest: false, transparent: true })
+        );
+        const normal = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3(0, 0.5, 0)]),
+            new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true })
+        );
+        indicator.add(marker, normal);
+        indicator.userData.normal = normal;
+        indicator.renderOrder = 999;
+        indicator.children.forEach(c => { c.renderOrder = 999; });
+        indicator.visible = false;
+        return indicator;
+    }
+    
+    setSnapTarget(target) {
+        this.snapTarget = target;
+        this.updateGridPanel();
+        this.updateStatus();
+    }
+    
+    getSurfaceParts(obj) {
+        // The THREE meshes that make up an object's surface; imported models have several
+        if (obj.type === 'imported') {
+            const parts = [];
+            obj.mesh.userData.content.traverse(child => { if (child.isMesh) parts.push(child); });
+            return parts;
+        }
+        return this.canBoolean(obj) ? [obj.mesh] : [];
+    }
+    
+    getSnapElements(geometry, target) {
+        // Object-space elements, cached until the geometry is replaced
+        let cached = this.snapCache.get(geometry);
+        if (!cached) {
+            cached = { mesh: meshFromGeometry(geometry) };
+            this.snapCache.set(geometry, cached);
+        }
+        if (!cached[target]) cached[target] = snapElements(cached.mesh, target);
+        return cached[target];
+    }
+    
+    findSnapTarget(exclude) {
+        const targets = this.objects.filter(o => !exclude.has(o) && this.isShownInScene(o))
+            .flatMap(obj => this.getSurfaceParts(obj).map(part => ({ obj, part })));
+        
+        if (this.snapTarget === 'surface') {
+            this.raycaster.setFromCamera(this.pointerNDC, this.camera);
+            const hit = this.raycaster.intersectObjects(targets.map(t => t.part), false)[0];
+            if (!hit) return null;
+            const normal = hit.face.normal.clone().applyMatrix3(new THREE.Matrix3().getNormalMatrix(hit.object.matrixWorld)).normalize();
+            return { point: hit.point, normal, obj: targets.find(t => t.part === hit.object).obj };
+        }
+        
+        const elements = targets.flatMap(({ obj, part }) => {
+            const normalMatrix = new THREE.Matrix3().getNormalMatrix(part.matrixWorld);
+            return this.getSnapElements(part.geometry, this.snapTarget).map(element => ({
+                point: element.point.clone().applyMatrix4(part.matrixWorld),
+                normal: element.normal?.clone().applyMatrix3(normalMatrix).normalize(),
+                obj
+            }));
+        });
+        const rect = this.getViewportRect(this.activeViewport);
+        return nearestOnScreen(elements, this.camera, this.pointerNDC, rect.width, rect.height, this.theme.controls.snapRadius);
+    }
+    
+    getClosestSnapSource(dragged, point) {
+        // The dragged vertex nearest the target, in world space
+        let closest = null;
+        const consider = (v) => {
+            if (!closest || v.distanceToSquared(point) < closest.distanceToSquared(point)) closest = v;
+        };
+        if (this.editMode) {
+            const { data, result, vertices, objectMatrix } = this.pivotDrag;
+            vertices.forEach(v => consider(new THREE.Vector3().fromArray((result || data).vertices[v]).applyMatrix4(objectMatrix)));
+            return closest;
+        }
+        dragged.flatMap(o => this.getSurfaceParts(o)).forEach(part => {
+            const position = part.geometry.attributes.position;
+            for (let i = 0; i < position.count; i++) consider(new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(part.matrixWorld));
+        });
+        return closest;
+    }
+    
+    applySnap() {
+        // Moves whatever the gizmo drags so its pivot or closest vertex lands on the element under the pointer;
+        // returns whether it snapped. Runs after the gizmo's own increment snapping, overriding it.
+        const indicator = this.snapIndicator;
+        this.snapResult = null;
+        indicator.visible = false;
+        const moved = this.transformControls.object;
+        if (this.snapTarget === 'none' || this.transformControls.mode !== 'translate' || !this.pointerNDC || !moved) return false;
+        
+        const dragged = this.editMode ? [this.getEditObject()] : this.selectedObjects;
+        const exclude = new Set(this.objects.filter(o => dragged.some(d => d === o || this.isDescendantOf(o, d))));
+        const target = this.findSnapTarget(exclude);
+        if (!target) return false;
+        
+        // Turn a lone object's up axis onto the target normal before placing it
+        const single = !this.editMode && this.selectedObjects.length === 1 && moved === this.selectedObjects[0].mesh;
+        if (this.snapAlign && target.normal && single) {
+            const worldQuaternion = moved.getWorldQuaternion(new THREE.Quaternion());
+            const up = new THREE.Vector3(0, 1, 0).applyQuaternion(worldQuaternion);
+            worldQuaternion.premultiply(new THREE.Quaternion().setFromUnitVectors(up, target.normal));
+            moved.quaternion.copy(moved.parent.getWorldQuaternion(new THREE.Quaternion()).invert().multiply(worldQuaternion));
+        }
+        moved.updateMatrixWorld(true);
+        
+        const pivot = moved.getWorldPosition(new THREE.Vector3());
+        const source = (this.snapBase === 'closest' && this.getClosestSnapSource(dragged, target.point)) || pivot;
+        moved.position.copy(moved.parent.worldToLocal(target.point.clone().sub(source).add(pivot)));
+        moved.updateMatrixWorld(true);
+        
+        this.snapResult = target;
+        indicator.position.copy(target.point);
+        indicator.userData.normal.visible = !!target.normal;
+        if (target.normal) indicator.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), target.normal);
+        indicator.visible = true;
+        return true;
+    }
+    
+    endSnap() {
+        this.snapResult = null;
+        this.snapIndicator.visible = false;
+        this.updateStatus();
+    }
+    
+    // ==================== EDIT MODE ====================
+    
+    isEditable(obj) {
+        return !!obj && (isPrimitive(obj.type) || obj.type === 'mesh');
+    }
+    
+    toggleEditMode() {
+        if (this.editMode) this.exitEditMode();
+        else this.enterEditMode();
+    }
+    
+    enterEditMode() {
+        const obj = this.getActiveObject();
+        if (this.selectedObjects.length !== 1 || !this.isEditable(obj)) return;
+        
+        this.editMode = { objId: obj.id, selection: new Set(), data: null };
+        this.editOverlay = new THREE.Group();
+        this.editOverlay.matrixAutoUpdate = false;
+        this.scene.add(this.editOverlay);
+        if (this.boxSelectArmed) this.toggleBoxSelect(false);
+        this.refreshEditMode();
+    }
+    
+    exitEditMode() {
+        this.clearEditOverlay();
+        this.scene.remove(this.editOverlay);
+        this.editOverlay = null;
+        this.editMode = null;
+        this.pivotDrag = null;
+        this.attachGizmo();
+        this.updateEditModeUI();
+    }
+    
+    getEditObject() {
+        return this.objects.find(o => o.id === this.editMode.objId);
+    }
+    
+    refreshEditMode() {
+        // Re-reads the mesh after undo/redo may have rebuilt or removed the object
+        const obj = this.getEditObject();
+        if (!this.isEditable(obj)) {
+            this.exitEditMode();
+            return;
+        }
+        
+        // Primitives become polygon meshes on their first edit; until then the mesh is derived from their params
+        const data = this.getBaseMesh(obj);
+        const edges = meshEdges(data);
+        const valid = {
+            vertex: v => v < data.vertices.length,
+            edge: key => edges.has(key),
+            face: f => f < data.faces.length
+        }[this.elementMode];
+        this.editMode.data = data;
+        this.editMode.selection = new Set([...this.editMode.selection].filter(valid));
+        
+        this.updateEditOverlay();
+        this.attachGizmo();
+        this.updateEditModeUI();
+    }
+    
+    updateEditModeUI() {
+        document.getElementById('btn-editMode')?.classList.toggle('active', !!this.editMode);
+        this.updateEditMeshPanel();
+        this.updateStatus();
+    }
+    
+    setElementMode(mode) {
+        if (this.editMode) {
+            this.editMode.selection = convertSelection(this.editMode.data, this.elementMode, mode, this.editMode.selection);
+        }
+        this.elementMode = mode;
+        if (this.editMode) this.refreshEditMode();
+        else this.updateEditMeshPanel();
+    }
+    
+    clearEditOverlay() {
+        [...this.editOverlay.children].forEach(child => {
+            child.geometry.dispose();
+            child.material.dispose();
+            this.editOverlay.remove(child);
+        });
+    }
+    
+    updateEditOverlay(data = this.editMode.data) {
+        this.clearEditOverlay();
+        const { selection } = this.editMode;
+        const mode = this.elementMode;
+        const colors = this.theme.colors;
+        const point = v => new THREE.Vector3().fromArray(data.vertices[v]);
+        
+        // Wireframe of every edge, with the selected ones drawn over the surface
+        const edges = [...meshEdges(data).values()];
+        const selectedVertices = new Set(selectionVertices(data, mode, selection));
+        const selectedEdges = mode === 'edge'
+            ? edges.filter(([a, b]) => selection.has(edgeKey(a, b)))
+            : edges.filter(([a, b]) => selectedVertices.has(a) && selectedVertices.has(b));
+        const lines = (pairs, color, depthTest) => new THREE.LineSegments(
+            new THREE.BufferGeometry().setFromPoints(pairs.flatMap(([a, b]) => [point(a), point(b)])),
+            new THREE.LineBasicMaterial({ color, depthTest, transparent: !depthTest })
+        );
+        this.editOverlay.add(lines(edges, colors.textMuted, true));
+        if (selectedEdges.length > 0) this.editOverlay.add(lines(selectedEdges, colors.selection, false));
+        
+        // Selected faces get a translucent fill
+        const faces = selectionFaces(data, mode, selection);
+        if (faces.length > 0) {
+            const fill = geometryFromMesh({ vertices: data.vertices, faces: faces.map(f => data.faces[f]) });
+            this.editOverlay.add(new THREE.Mesh(fill, new THREE.MeshBasicMaterial({
+                color: colors.selection, transparent: true, opacity: 0.25, side: THREE.DoubleSide,
+                depthWrite: false, polygonOffset: true, polygonOffsetFactor: -1, polygonOffsetUnits: -1
+            })));
+        }
+        
+        if (mode === 'vertex') {
+            const points = (ids, color, size) => new THREE.Points(
+                new THREE.BufferGeometry().setFromPoints(ids.map(point)),
+                new THREE.PointsMaterial({ color, size, sizeAttenuation: false, depthTest: false, transparent: true })
+            );
+            this.editOverlay.add(points([...data.vertices.keys()], colors.text, 5));
+            if (selectedVertices.size > 0) this.editOverlay.add(points([...selectedVertices], colors.selection, 8));
+        }
+        this.editOverlay.children.forEach(child => { child.renderOrder = 998; });
+        this.updateEditOverlayMatrix();
+    }
+    
+    updateEditOverlayMatrix() {
+        const obj = this.getEditObject();
+        if (!obj) return;
+        obj.mesh.updateWorldMatrix(true, false);
+        this.editOverlay.matrix.copy(obj.mesh.matrixWorld);
+        this.editOverlay.matrixWorldNeedsUpdate = true;
+    }
+    
+    pickElement(e) {
+        // Vertices and edges are picked in screen space (through the surface); faces by ray
+        const obj = this.getEditObject();
+        const data = this.editMode.data;
+        const ndc = this.getPointerNDC(e);
+        const rect = this.getViewportRect(this.activeViewport);
+        const toScreen = v => new THREE.Vector3().fromArray(data.vertices[v]).applyMatrix4(obj.mesh.matrixWorld).project(this.camera);
+        const pixels = (a, b) => Math.hypot((a.x - b.x) * rect.width / 2, (a.y - b.y) * rect.height / 2);
+        const threshold = 10;
+        
+        if (this.elementMode === 'vertex') {
+            let best = null;
+            data.vertices.forEach((v, i) => {
+                const p = toScreen(i);
+                const distance = pixels(p, ndc);
+                if (p.z < 1 && distance < threshold && (!best || distance < best.distance)) best = { id: i, distance };
+            });
+            return best?.id ?? null;
+        }
+        
+        if (this.elementMode === 'edge') {
+            let best = null;
+            meshEdges(data).forEach(([a, b], key) => {
+                const pa = toScreen(a);
+                const pb = toScreen(b);
+                if (pa.z >= 1 || pb.z >= 1) return;
+                const segment = new THREE.Line3(pa.setZ(0), pb.setZ(0));
+                const closest = segment.closestPointToPoint(new THREE.Vector3(ndc.x, ndc.y, 0), true, new THREE.Vector3());
+                const distance = pixels(closest, ndc);
+                if (distance < threshold && (!best || distance < best.distance)) best = { id: key, distance };
+            });
+            return best?.id ?? null;
+        }
+        
+        this.raycaster.setFromCamera(ndc, this.camera);
+        const ray = this.raycaster.ray.clone().applyMatrix4(obj.mesh.matrixWorld.clone().invert());
+        let best = null;
+        data.faces.forEach((face, f) => {
+            for (let i = 1; i + 1 < face.length; i++) {
+                const [a, b, c] = [face[0], face[i], face[i + 1]].map(v => new THREE.Vector3().fromArray(data.vertices[v]));
+                const hit = ray.intersectTriangle(a, b, c, false, new THREE.Vector3());
+                const distance = hit && hit.distanceTo(ray.origin);
+                if (hit && (!best || distance < best.distance)) best = { id: f, distance };
+            }
+        });
+        return best?.id ?? null;
+    }
+    
+    onEditModeClick(e) {
+        const id = this.pickElement(e);
+        const selection = this.editMode.selection;
+        if (id === null) {
+            if (!this.isShiftHeld) selection.clear();
+        } else if (this.isShiftHeld) {
+            if (selection.has(id)) selection.delete(id);
+            else selection.add(id);
+        } else {
+            selection.clear();
+            selection.add(id);
+        }
+        this.updateEditOverlay();
+        this.attachGizmo();
+        this.updateEditModeUI();
+    }
+    
+    selectAllElements() {
+        const data = this.editMode.data;
+        const selection = this.editMode.selection;
+        const all = {
+            vertex: () => [...data.vertices.keys()],
+            edge: () => [...meshEdges(data).keys()],
+            face: () => [...data.faces.keys()]
+        }[this.elementMode]();
+        this.editMode.selection = selection.size === all.length ? new Set() : new Set(all);
+        this.updateEditOverlay();
+        this.attachGizmo();
+        this.updateEditModeUI();
+    }
+    
+    describeElements(count, mode = this.elementMode) {
+        return `${count} ${count === 1 ? elementModes[mode].label : elementModes[mode].plural}`;
+    }
+    
+    commitMeshEdit(data, label, selection = this.editMode.selection) {
+        // The first edit turns a primitive into a polygon mesh; its construction parameters no longer apply
+        const obj = this.getEditObject();
+        obj.type = 'mesh';
+        delete obj.params;
+        obj.geometry = data;
+        this.updateObjectGeometry(obj);
+        
+        this.editMode.selection = new Set(selection);
+        this.refreshEditMode();
+        this.saveState(label, [obj.id]);
+        this.updateObjectList();
+        this.updatePropertyPanels();
+    }
+    
+    previewMeshEdit(data) {
+        // Live update while dragging; committed on release
+        const obj = this.getEditObject();
+        obj.mesh.geometry.dispose();
+        obj.mesh.geometry = this.buildObjectGeometry({ ...obj, geometry: data });
+        this.updateEditOverlay(data);
+    }
+    
+    getEditPivotPoints() {
+        const obj = this.getEditObject();
+        if (!obj) return [];
+        const { data, selection } = this.editMode;
+        return selectionVertices(data, this.elementMode, selection)
+            .map(v => new THREE.Vector3().fromArray(data.vertices[v]).applyMatrix4(obj.mesh.matrixWorld));
+    }
+    
+    extrudeElements() {
+        const { data, selection } = this.editMode;
+        const faces = selectionFaces(data, this.elementMode, selection);
+        if (faces.length === 0) return;
+        const result = extrudeFaces(data, faces, this.meshEditSettings.extrude);
+        this.commitMeshEdit(result, `Extrude ${this.describeElements(faces.length, 'face')}`, facesToSelection(result, this.elementMode, faces));
+    }
+    
+    insetElements() {
+        const { data, selection } = this.editMode;
+        const faces = selectionFaces(data, this.elementMode, selection);
+        if (faces.length === 0) return;
+        const result = insetFaces(data, faces, this.meshEditSettings.inset);
+        this.commitMeshEdit(result, `Inset ${this.describeElements(faces.length, 'face')}`, facesToSelection(result, this.elementMode, faces));
+    }
+    
+    loopCutElements() {
+        // Cuts across the most recently picked edge
+        if (this.elementMode !== 'edge' || this.editMode.selection.size === 0) return;
+        const [a, b] = parseEdgeKey([...this.editMode.selection].pop());
+        const cut = loopCut(this.editMode.data, a, b);
+        if (!cut) return;
+        this.commitMeshEdit(cut.mesh, 'Loop Cut', cut.edges);
+    }
+    
+    mergeElements() {
+        const { data, selection } = this.editMode;
+        const vertices = selectionVertices(data, this.elementMode, selection);
+        if (vertices.length < 2) return;
+        const merged = mergeVertices(data, vertices);
+        const kept = this.elementMode === 'vertex' && merged.vertex !== -1 ? [merged.vertex] : [];
+        this.commitMeshEdit(merged.mesh, `Merge ${this.describeElements(vertices.length, 'vertex')}`, kept);
+    }
+    
+    deleteElements() {
+        const { data, selection } = this.editMode;
+        const faces = touchedFaces(data, this.elementMode, selection);
+        if (faces.length === 0) return;
+        this.commitMeshEdit(deleteFaces(data, faces), `Delete ${this.describeElements(faces.length, 'face')}`, []);
+    }
+    
+    onEditModeKey(e) {
+        // Returns true when the key was an edit-mode command
+        const mode = Object.keys(elementModes).find(m => elementModes[m].key === e.key);
+        if (mode && !e.ctrlKey) { this.setElementMode(mode); return true; }
+        if (e.ctrlKey && e.key === 'a') { e.preventDefault(); this.selectAllElements(); return true; }
+        if (e.ctrlKey && e.key === 'r') { e.preventDefault(); this.loopCutElements(); return true; }
+        if (e.ctrlKey) return false;
+        if (e.key === 'e') { this.extrudeElements(); return true; }
+        if (e.key === 'i') { this.insetElements(); return true; }
+        if (e.key === 'm') { this.mergeElements(); return true; }
+        if (e.key === 'x' || e.key === 'Delete' || e.key === 'Backspace') { this.deleteElements(); return true; }
+        return false;
+    }
+    
+    updateEditMeshPanel() {
+        const container = document.getElementById('panel-content-editMesh');
+        if (!container) return;
+        
+        if (!this.editMode) {
+            const obj = this.getActiveObject();
+            container.innerHTML = this.selectedObjects.length === 1 && this.isEditable(obj)
+                ? '<button class="tl-btn" id="edit-mode-enter">Edit Mesh (Tab)</button>'
+                : '<div class="empty">Select one mesh and press Tab to edit its vertices, edges and faces</div>';
+            container.querySelector('#edit-mode-enter')?.addEventListener('click', () => this.enterEditMode());
+            return;
+        }
+        
+        const { data, selection } = this.editMode;
+        const settings = this.meshEditSettings;
+        container.innerHTML = `
+            <div class="transform-group">
+                <div class="grid-buttons">
+                    ${Object.entries(elementModes).map(([mode, def]) => `<button class="grid-btn ${this.elementMode === mode ? 'active' : ''}" data-element-mode="${mode}" title="${def.key}">${def.label}</button>`).join('')}
+                </div>
+            </div>
+            <div class="transform-group">
+                <label>${data.vertices.length} vertices, ${data.faces.length} faces - ${selection.size} selected</label>
+                <div class="param-row"><span class="param-label">Extrude</span><input type="number" step="0.1" value="${settings.extrude}" data-setting="extrude"></div>
+                <div class="param-row"><span class="param-label">Inset</span><input type="number" step="0.05" min="0.01" max="0.99" value="${settings.inset}" data-setting="inset"></div>
+            </div>
+            <div class="edit-mesh-actions">
+                <button class="tl-btn" data-edit="extrude" title="E">Extrude</button>
+                <button class="tl-btn" data-edit="inset" title="I">Inset</button>
+                <button class="tl-btn" data-edit="loopCut" title="Ctrl+R, across the selected edge">Loop Cut</button>
+                <button class="tl-btn" data-edit="merge" title="M">Merge</button>
+                <button class="tl-btn" data-edit="delete" title="X">Delete</button>
+                <button class="tl-btn" data-edit="exit" title="Tab">Done</button>
+            </div>
+        `;
+        
+        container.querySelectorAll('[data-element-mode]').forEach(btn => {
+            btn.addEventListener('click', () => this.setElementMode(btn.dataset.elementMode));
+        });
+        container.querySelectorAll('[data-setting]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const val = parseFloat(e.target.value);
+                if (!Number.isNaN(val)) settings[e.target.dataset.setting] = e.target.dataset.setting === 'inset' ? THREE.MathUtils.clamp(val, 0.01, 0.99) : val;
+            });
+        });
+        const actions = {
+            extrude: () => this.extrudeElements(),
+            inset: () => this.insetElements(),
+            loopCut: () => this.loopCutElements(),
+            merge: () => this.mergeElements(),
+            delete: () => this.deleteElements(),
+            exit: () => this.exitEditMode()
+        };
+        container.querySelectorAll('[data-edit]').forEach(btn => {
+            btn.addEventListener('click', () => actions[btn.dataset.edit]());
+        });
+    }
+    
+    // ==================== MODIFIERS ====================
+    
+    buildObjectGeometry(obj, include = m => m.enabled) {
+        // The base geometry (primitive params or an edited mesh) with the modifier stack on top
+        const modifiers = (obj.modifiers || []).filter(include);
+        if (modifiers.length === 0) return obj.geometry ? geometryFromMesh(obj.geometry) : buildPrimitiveGeometry(obj.type, obj.params);
+        return geometryFromMesh(applyModifiers(this.getBaseMesh(obj), modifiers, () => true));
+    }
+    
+    getBaseMesh(obj) {
+        return obj.geometry || meshFromGeometry(buildPrimitiveGeometry(obj.type, obj.params));
+    }
+    
+    updateObjectGeometry(obj) {
+        obj.mesh.geometry.dispose();
+        obj.mesh.geometry = this.buildObjectGeometry(obj);
+    }
+    
+    addModifier(obj, type) {
+        obj.modifiers.push(resolveModifier({ type }));
+        this.updateObjectGeometry(obj);
+        this.saveState(`Add ${modifierTypes[type].label} to ${obj.name}`, [obj.id]);
+        this.updateModifierPanel();
+    }
+    
+    removeModifier(obj, index) {
+        const [removed] = obj.modifiers.splice(index, 1);
+        this.updateObjectGeometry(obj);
+        this.saveState(`Remove ${modifierTypes[removed.type].label} from ${obj.name}`, [obj.id]);
+        this.updateModifierPanel();
+    }
+    
+    moveModifier(obj, index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= obj.modifiers.length) return;
+        const [moved] = obj.modifiers.splice(index, 1);
+        obj.modifiers.splice(target, 0, moved);
+        this.updateObjectGeometry(obj);
+        this.saveState(`Move ${modifierTypes[moved.type].label} ${direction < 0 ? 'Up' : 'Down'}`, [obj.id]);
+        this.updateModifierPanel();
+    }
+    
+    setModifierParam(obj, index, key, value) {
+        const modifier = resolveModifier({ ...obj.modifiers[index], [key]: value });
+        obj.modifiers[index] = modifier;
+        this.updateObjectGeometry(obj);
+        
+        const def = modifierTypes[modifier.type];
+        if (key === 'enabled') this.saveState(`${value ? 'Enable' : 'Disable'} ${obj.name} ${def.label}`, [obj.id]);
+        else if (key === 'export') this.saveState(`${value ? 'Export' : "Don't Export"} ${obj.name} ${def.label}`, [obj.id]);
+        else this.saveState(`Set ${obj.name} ${def.label} ${def.params[key].label}`, [obj.id]);
+        this.updateModifierPanel();
+    }
+    
+    applyModifier(obj, index) {
+        // Bakes the modifier into the base mesh like a mesh edit. The enabled modifiers above it go in
+        // with it, so the shape stays what the stack showed; disabled ones stay in the stack
+        const modifier = obj.modifiers[index];
+        const bakedIn = obj.modifiers.slice(0, index + 1).filter(m => m.enabled || m === modifier);
+        const baked = applyModifiers(this.getBaseMesh(obj), bakedIn, () => true);
+        obj.modifiers = obj.modifiers.filter(m => !bakedIn.includes(m));
+        obj.type = 'mesh';
+        delete obj.params;
+        obj.geometry = baked;
+        this.updateObjectGeometry(obj);
+        if (this.editMode?.objId === obj.id) this.refreshEditMode();
+        this.saveState(`Apply ${modifierTypes[modifier.type].label} to ${obj.name}`, [obj.id]);
+        this.updateObjectList();
+        this.updatePropertyPanels();
+    }
+    
+    updateModifierPanel() {
+        const container = document.getElementById('panel-content-modifiers');
+        if (!container) return;
+        
+        const obj = this.getActiveObject();
+        if (this.selectedObjects.length !== 1 || !this.isEditable(obj)) {
+            container.innerHTML = '<div class="empty">Select one mesh to add modifiers</div>';
+            return;
+        }
+        
+        const paramInput = (m, key, def) => {
+            if (def.options) {
+                return `<select data-param="${key}">${Object.entries(def.options).map(([value, label]) => `<option value="${value}" ${m[key] === value ? 'selected' : ''}>${label}</option>`).join('')}</select>`;
+            }
+            if (def.boolean) return `<input type="checkbox" data-param="${key}" ${m[key] ? 'checked' : ''}>`;
+            return `<input type="number" step="${def.step}" ${def.min !== undefined ? `min="${def.min}"` : ''} ${def.max !== undefined ? `max="${def.max}"` : ''} value="${m[key]}" data-param="${key}">`;
+        };
+        container.innerHTML = `
+            ${obj.modifiers.map((m, index) => {
+                const def = modifierTypes[m.type];
+                return `
+                    <div class="modifier ${m.enabled ? '' : 'disabled'}" data-index="${index}">
+                        <div class="modifier-header">
+                            <input type="checkbox" data-param="enabled" ${m.enabled ? 'checked' : ''} title="Show in the viewport">
+                            <span class="modifier-title">${def.icon} ${def.label}</span>
+                            <button class="modifier-btn" data-move="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>▲</button>
+                            <button class="modifier-btn" data-move="1" title="Move down" ${index === obj.modifiers.length - 1 ? 'disabled' : ''}>▼</button>
+                            <button class="modifier-btn" data-apply title="Apply - bake this and the enabled modifiers above it into the mesh">✓</button>
+                            <button class="modifier-btn" data-remove title="Remove">✕</button>
+                        </div>
+                        ${Object.entries(def.params).filter(([, p]) => !p.show || p.show(m)).map(([key, p]) => `
+                            <div class="param-row"><span class="param-label">${p.label}</span>${paramInput(m, key, p)}</div>
+                        `).join('')}
+                        <div class="param-row"><span class="param-label">Export</span><input type="checkbox" data-param="export" ${m.export ? 'checked' : ''} title="Apply when exporting GLB"></div>
+                    </div>
+                `;
+            }).join('')}
+            <select id="modifier-add">
+                <option value="">Add Modifier…</option>
+                ${Object.entries(modifierTypes).map(([type, def]) => `<option value="${type}">${def.icon} ${def.label}</option>`).join('')}
+            </select>
+        `;
+        
+        container.querySelectorAll('.modifier').forEach(card => {
+            const index = Number(card.dataset.index);
+            card.querySelectorAll('[data-param]').forEach(input => {
+                input.addEventListener('change', (e) => {
+                    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.tagName === 'SELECT' ? e.target.value : parseFloat(e.target.value);
+                    this.setModifierParam(obj, index, e.target.dataset.param, value);
+                });
+            });
+            card.querySelectorAll('[data-move]').forEach(btn => {
+                btn.addEventListener('click', () => this.moveModifier(obj, index, Number(btn.dataset.move)));
+            });
+            card.querySelector('[data-apply]').addEventListener('click', () => this.applyModifier(obj, index));
+            card.querySelector('[data-remove]').addEventListener('click', () => this.removeModifier(obj, index));
+        });
+        container.querySelector('#modifier-add').addEventListener('change', (e) => {
+            if (e.target.value) this.addModifier(obj, e.target.value);
+        });
+    }
+    
+    // ==================== BOOLEANS ====================
+    
+    canBoolean(obj) {
+        return isPrimitive(obj.type) || ['mesh', 'imported', 'boolean'].includes(obj.type);
+    }
+    
+    isBooleanOperand(obj) {
+        return this.objects.some(o => o.boolean?.operands.includes(obj.id));
+    }
+    
+    getBooleanOperands(obj) {
+        return obj.boolean.operands.map(id => this.objects.find(o => o.id === id)).filter(Boolean);
+    }
+    
+    getBooleanPolygons(obj, inverse) {
+        // The object's surface in the space `inverse` maps world coordinates into
+        return this.getSurfaceParts(obj).flatMap(part => operandPolygons(meshFromGeometry(part.geometry), new THREE.Matrix4().multiplyMatrices(inverse, part.matrixWorld)));
+    }
+    
+    booleanSelected(operation, live = this.booleanLive) {
+        const active = this.getActiveObject();
+        const base = active && this.canBoolean(active) ? active : this.selectedObjects.find(o => this.canBoolean(o));
+        // The active object is the base; its ancestors can't become its operands
+        const operands = [base, ...this.selectedObjects.filter(o => o !== base && this.canBoolean(o) && !this.isDescendantOf(base, o))];
+        if (!base || operands.length < 2) return;
+        
+        this.scene.updateMatrixWorld();
+        const { label } = booleanOperations[operation];
+        const data = {
+            id: ++this.objectIdCounter,
+            name: `${base.name}_${label}`,
+            type: live ? 'boolean' : 'mesh',
+            parentId: base.parentId ?? null,
+            position: base.mesh.position.toArray(),
+            rotation: [base.mesh.rotation.x, base.mesh.rotation.y, base.mesh.rotation.z],
+            scale: base.mesh.scale.toArray(),
+            material: base.material ? { ...base.material } : null
+        };
+        if (live) {
+            data.boolean = { operation, operands: operands.map(o => o.id) };
+        } else {
+            const inverse = base.mesh.matrixWorld.clone().invert();
+            data.geometry = evaluateBoolean(operation, operands.map(o => this.getBooleanPolygons(o, inverse)));
+        }
+        this.createObjectFromData(data);
+        const result = this.objects.find(o => o.id === data.id);
+        
+        // A live boolean keeps its operands as hidden children, so they move with it
+        if (live) {
+            operands.forEach(o => {
+                this.setParent(o, result);
+                o.mesh.visible = false;
+            });
+        } else {
+            operands.forEach(o => this.deleteObject(o));
+        }
+        
+        this.selectObject(result);
+        this.saveState(`${label} ${this.describeObjects(operands)}`);
+        this.updateObjectList();
+    }
+    
+    updateBooleans() {
+        // Live booleans re-evaluate when an operand moves or changes shape; nested booleans go first
+        const booleans = this.objects.filter(o => o.type === 'boolean');
+        if (booleans.length === 0) return;
+        
+        this.scene.updateMatrixWorld();
+        const done = new Set();
+        const update = (obj) => {
+            if (done.has(obj)) return;
+            done.add(obj);
+            const operands = this.getBooleanOperands(obj);
+            operands.filter(o => o.type === 'boolean').forEach(update);
+            
+            const inverse = obj.mesh.matrixWorld.clone().invert();
+            const key = JSON.stringify([obj.boolean.operation, operands.map(o => [
+                o.id,
+                o.asset || o.mesh.geometry.uuid,
+                new THREE.Matrix4().multiplyMatrices(inverse, o.mesh.matrixWorld).toArray()
+            ])]);
+            if (obj.mesh.userData.booleanKey === key) return;
+            
+            const result = evaluateBoolean(obj.boolean.operation, operands.map(o => this.getBooleanPolygons(o, inverse)));
+            obj.mesh.userData.booleanKey = key;
+            obj.mesh.userData.booleanMesh = result;
+            obj.mesh.geometry.dispose();
+            obj.mesh.geometry = geometryFromMesh(result);
+        };
+        booleans.forEach(update);
+    }
+    
+    setBooleanOperation(obj, operation) {
+        if (obj.boolean.operation === operation) return;
+        obj.boolean.operation = operation;
+        this.saveState(`Set ${obj.name} to ${booleanOperations[operation].label}`);
+        this.updateObjectList();
+        this.updateBooleanPanel();
+    }
+    
+    applyBoolean(obj) {
+        // Bakes a live boolean into an editable mesh; the operands go with it
+        const operands = this.getBooleanOperands(obj);
+        this.updateBooleans();
+        const result = obj.mesh.userData.booleanMesh;
+        obj.type = 'mesh';
+        delete obj.boolean;
+        obj.geometry = { vertices: result.vertices.map(v => [...v]), faces: result.faces.map(f => [...f]) };
+        obj.modifiers = [];
+        operands.forEach(o => this.deleteObject(o));
+        this.updateObjectGeometry(obj);
+        
+        this.saveState(`Apply Boolean ${obj.name}`);
+        this.updateObjectList();
+        this.updatePropertyPanels();
+    }
+    
+    updateBooleanPanel() {
+        const container = document.getElementById('panel-content-boolean');
+        if (!container) return;
+        
+        const obj = this.getActiveObject();
+        const operationButtons = (current) => `
+            <div class="grid-buttons">
+                ${Object.entries(booleanOperations).map(([key, def]) => `<button class="grid-btn ${current === key ? 'active' : ''}" data-operation="${key}">${def.icon} ${def.label}</button>`).join('')}
+            </div>
+        `;
+        
+        if (this.selectedObjects.length === 1 && obj.type === 'boolean') {
+            const operands = this.getBooleanOperands(obj);
+            container.innerHTML = `
+                <div class="transform-group">${operationButtons(obj.boolean.operation)}</div>
+                <div class="transform-group">
+                    <label>Operands</label>
+                    ${operands.map((o, i) => `<div class="boolean-operand" data-id="${o.id}">${this.getObjectIcon(o)} ${o.name}${i === 0 ? ' (base)' : ''}</div>`).join('') || '<div class="empty">No operands left</div>'}
+                </div>
+                <button class="tl-btn" id="boolean-apply" title="Bake into an editable mesh and delete the operands">Apply</button>
+            `;
+            container.querySelectorAll('[data-operation]').forEach(btn => {
+                btn.addEventListener('click', () => this.setBooleanOperation(obj, btn.dataset.operation));
+            });
+            container.querySelectorAll('.boolean-operand').forEach(item => {
+                item.addEventListener('click', () => this.selectObject(this.objects.find(o => o.id === Number(item.dataset.id))));
+            });
+            container.querySelector('#boolean-apply').addEventListener('click', () => this.applyBoolean(obj));
+            return;
+        }
+        
+        const operands = this.selectedObjects.filter(o => this.canBoolean(o));
+        if (operands.length < 2) {
+            container.innerHTML = '<div class="empty">Select two or more meshes; the active (last selected) one is the base</div>';
+            return;
+        }
+        const base = obj && this.canBoolean(obj) ? obj : operands[0];
+        container.innerHTML = `
+            <div class="transform-group">
+                <label>Base: ${base.name}</label>
+                ${operationButtons(null)}
+                <div class="param-row">
+                    <span class="param-label">Live</span>
+                    <input type="checkbox" id="boolean-live" ${this.booleanLive ? 'checked' : ''} title="Keep the operands as hidden children and re-evaluate when they change">
+                </div>
+            </div>
+        `;
+        container.querySelector('#boolean-live').addEventListener('change', (e) => {
+            this.booleanLive = e.target.checked;
+        });
+        container.querySelectorAll('[data-operation]').forEach(btn => {
+            btn.addEventListener('click', () => this.booleanSelected(btn.dataset.operation));
+        });
+    }
+    
+    // ==================== MATERIALS ====================
+    
+    defaultMaterialProps() {
+        return {
+            color: this.theme.colors.objectDefault,
+            metalness: 0,
+            roughness: 0.7,
+            opacity: 1,
+            emissive: '#000000',
+            emissiveIntensity: 1,
+            wireframe: false,
+            side: 'double'
+        };
+    }
+    
+    createObjectMaterial(props = this.defaultMaterialProps()) {
+        const material = new THREE.MeshStandardMaterial();
+        this.applyMaterialProps(material, props);
+        return material;
+    }
+    
+    applyMaterialProps(material, props) {
+        const sides = { front: THREE.FrontSide, back: THREE.BackSide, double: THREE.DoubleSide };
+        
+        material.color.set(props.color);
+        material.metalness = props.metalness;
+        material.roughness = props.roughness;
+        material.opacity = props.opacity;
+        material.transparent = props.opacity < 1;
+        material.depthWrite = props.opacity >= 1;
+        material.emissive.set(props.emissive);
+        material.emissiveIntensity = props.emissiveIntensity;
+        material.wireframe = props.wireframe;
+        material.side = sides[props.side] ?? THREE.DoubleSide;
+        material.userData.baseEmissive = props.emissive;
+        material.userData.baseEmissiveIntensity = props.emissiveIntensity;
+        material.needsUpdate = true;
+    }
+    
+    setMaterialProp(key, value) {
+        this.selectedObjects.forEach(o => {
+            if (!o.material) return;
+            o.material[key] = value;
+            this.applyMaterialProps(o.mesh.material, o.material);
+            this.updateObjectHighlight(o);
+        });
+    }
+    
+    // ==================== OBJECTS ====================
+    
+    createCameraHelper(props) {
+        const group = new THREE.Group();
+        this.buildCameraContent(group, props);
+        return group;
+    }
+    
+    buildCameraContent(group, props) {
+        // Rebuilds the lens camera and its viewport helper in place, keeping the group's transform and child objects
+        if (group.userData.content) {
+            group.remove(group.userData.content);
+            group.userData.content.traverse(c => {
+                c.geometry?.dispose();
+                c.material?.dispose();
+                c.dispose?.();
+            });
+        }
+        
+        const content = new THREE.Group();
+        group.add(content);
+        group.userData.content = content;
+        
+        // Camera body
+        const body = new THREE.Mesh(
+            new THREE.BoxGeometry(0.3, 0.2, 0.4),
+            new THREE.MeshStandardMaterial({ color: this.theme.colors.camera })
+        );
+        content.add(body);
+        
+        // Lens
+        const lens = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.08, 0.1, 0.15, 8),
+            new THREE.MeshStandardMaterial({ color: '#333' })
+        );
+        lens.rotation.x = Math.PI / 2;
+        lens.position.z = -0.25;
+        content.add(lens);
+        
+        // Direction arrow
+        const arrow = new THREE.ArrowHelper(
+            new THREE.Vector3(0, 0, -1), new THREE.Vector3(0, 0, -0.4),
+            0.5, this.theme.colors.camera, 0.15, 0.1
+        );
+        content.add(arrow);
+        
+        // View frustum, redrawn whenever the lens changes
+        const frustum = new THREE.LineSegments(
+            new THREE.BufferGeometry().setFromPoints(frustumLinePoints(props)),
+            new THREE.LineBasicMaterial({ color: this.theme.colors.camera, opacity: 0.5, transparent: true })
+        );
+        content.add(frustum);
+        group.userData.frustum = frustum;
+        
+        // Lens camera for the preview, look-through and renders
+        const camera = createCamera(props);
+        content.add(camera);
+        group.userData.camera = camera;
+    }
+    
+    setCameraProp(objData, key, value) {
+        const projection = objData.camera.projection;
+        objData.camera = resolveCameraProps({ ...objData.camera, [key]: value });
+        if (objData.camera.projection !== projection) {
+            this.buildCameraContent(objData.mesh, objData.camera);
+        } else {
+            this.updateCameraLens(objData);
+        }
+    }
+    
+    updateCameraLens(objData) {
+        const { camera, frustum } = objData.mesh.userData;
+        updateCamera(camera, objData.camera);
+        frustum.geometry.setFromPoints(frustumLinePoints(objData.camera));
+        frustum.geometry.computeBoundingSphere();
+    }
+    
+    addPrimitive(type) {
+        const def = primitives[type];
+        const data = {
+            id: ++this.objectIdCounter,
+            name: `${def.label}_${this.objectIdCounter}`,
+            type,
+            params: resolvePrimitiveParams(type),
+            position: def.spawn.position,
+            rotation: def.spawn.rotation || [0, 0, 0],
+            scale: [1, 1, 1]
+        };
+        this.createObjectFromData(data);
+        
+        this.selectObject(this.objects.find(o => o.id === data.id));
+        this.saveState(`Add ${data.name}`);
+    }
+    
+    addQuad() {
+        this.addPrimitive('quad');
+    }
+    
+    addCube() {
+        this.addPrimitive('cube');
+    }
+    
+    setPrimitiveParam(objData, key, value) {
+        objData.params = resolvePrimitiveParams(objData.type, { ...objData.params, [key]: value });
+        this.updateObjectGeometry(objData);
+        this.saveState(`Set ${objData.name} ${primitives[objData.type].params[key].label}`, [objData.id]);
+    }
+    
+    // ==================== LIGHTS ====================
+    
+    defaultLightData() {
+        return [
+            lightSpawnData('ambientLight', ++this.objectIdCounter, 'Ambient'),
+            lightSpawnData('directionalLight', ++this.objectIdCounter, 'Sun')
+        ];
+    }
+    
+    addLight(type) {
+        const data = lightSpawnData(type, ++this.objectIdCounter, `${lightTypes[type].label.replace(' ', '')}_${this.objectIdCounter}`);
+        this.createObjectFromData(data);
+        
+        this.selectObject(this.objects.find(o => o.id === data.id));
+        this.saveState(`Add ${data.name}`);
+    }
+    
+    buildLightContent(group, type, props) {
+        // Rebuilds the light and its viewport helper in place, keeping the group's transform and child objects
+        if (group.userData.content) {
+            group.remove(group.userData.content);
+            group.userData.content.traverse(c => {
+                c.geometry?.dispose();
+                c.material?.dispose();
+                c.dispose?.();
+            });
+        }
+        
+        const content = new THREE.Group();
+        group.add(content);
+        group.userData.content = content;
+        
+        const light = createLight(type, props);
+        content.add(light);
+        group.userData.light = light;
+        
+        const helperMat = new THREE.MeshBasicMaterial({ color: props.color });
+        const bulb = new THREE.Mesh(new THREE.SphereGeometry(0.12, 12, 8), helperMat);
+        content.add(bulb);
+        group.userData.bulb = bulb;
+        
+        if (type === 'spotLight' || type === 'directionalLight') {
+            const arrow = new THREE.ArrowHelper(
+                new THREE.Vector3(0, 0, -1), new THREE.Vector3(0, 0, -0.15),
+                0.6, this.theme.colors.light, 0.15, 0.1
+            );
+            content.add(arrow);
+        }
+        
+        if (type === 'spotLight') {
+            const length = props.distance > 0 ? props.distance : 1.5;
+            const radius = length * Math.tan(THREE.MathUtils.degToRad(props.angle));
+            const cone = new THREE.Mesh(
+                new THREE.ConeGeometry(radius, length, 16, 1, true),
+                new THREE.MeshBasicMaterial({ color: this.theme.colors.light, wireframe: true, opacity: 0.3, transparent: true })
+            );
+            cone.rotation.x = Math.PI / 2;
+            cone.position.z = -length / 2;
+            content.add(cone);
+        }
+    }
+    
+    setLightProp(objData, key, value) {
+        objData.light = resolveLightProps(objData.type, { ...objData.light, [key]: value });
+        this.buildLightContent(objData.mesh, objData.type, objData.light);
+    }
+    
+    addCamera() {
+        const camera = resolveCameraProps();
+        const mesh = this.createCameraHelper(camera);
+        mesh.position.set(2, 2, 2);
+        this.aimAt(mesh, new THREE.Vector3(0, 0, 0));
+        
+        const objData = {
+            id: ++this.objectIdCounter,
+            name: `Camera_${this.objectIdCounter}`,
+            type: 'camera',
+            mesh,
+            camera
+        };
+        
+        this.scene.add(mesh);
+        this.objects.push(objData);
+        this.sceneCameras.push(objData);
+        this.selectObject(objData);
+        this.saveState(`Add ${objData.name}`);
+        this.updateCameraList();
+    }
+    
+    createImportedMesh(assetId) {
+        const asset = this.assets[assetId];
+        if (!asset) return null;
+        
+        if (!this.assetCache[assetId]) {
+            this.assetCache[assetId] = new THREE.ObjectLoader().parse(asset.object);
+        }
+        
+        // Geometry is shared between instances, materials are not (selection highlight mutates them)
+        const content = this.assetCache[assetId].clone();
+        const cloneMaterial = (m) => {
+            const material = m.clone();
+            if (material.emissive && material.userData.baseEmissive === undefined) {
+                material.userData.baseEmissive = `#${material.emissive.getHexString()}`;
+                material.userData.baseEmissiveIntensity = material.emissiveIntensity;
+            }
+            return material;
+        };
+        content.traverse(child => {
+            if (!child.isMesh) return;
+            child.material = Array.isArray(child.material)
+                ? child.material.map(cloneMaterial)
+                : cloneMaterial(child.material);
+        });
+        
+        const group = new THREE.Group();
+        group.add(content);
+        group.userData.content = content;
+        return group;
+    }
+    
+    createGroupHelper() {
+        const group = new THREE.Group();
+        const axes = new THREE.AxesHelper(0.3);
+        group.add(axes);
+        group.userData.content = axes;
+        return group;
+    }
+    
+    duplicateSelected() {
+        if (this.selectedObjects.length === 0) return;
+        
+        const toDuplicate = [...this.selectedObjects];
+        this.deselectAll();
+        
+        toDuplicate.forEach(orig => {
+            const data = this.serializeObject(orig);
+            data.id = ++this.objectIdCounter;
+            data.name = `${orig.name}_copy`;
+            data.position[0] += 1;
+            this.createObjectFromData(data);
+            
+            const newObj = this.objects.find(o => o.id === data.id);
+            if (newObj) this.addToSelection(newObj);
+        });
+        
+        this.saveState(`Duplicate ${this.describeObjects(toDuplicate)}`);
+        this.updateObjectList();
+    }
+    
+    disposeObject(obj) {
+        obj.mesh.removeFromParent();
+        obj.mesh.traverse(child => {
+            child.geometry?.dispose();
+            [].concat(child.material || []).forEach(m => m.dispose());
+            if (child.isLight) child.dispose();
+        });
+    }
+    
+    deleteSelected() {
+        if (this.editMode) {
+            this.deleteElements();
+            return;
+        }
+        if (this.selectedKeyframes.size > 0) {
+            this.deleteSelectedKeyframes();
+            return;
+        }
+        if (this.selectedObjects.length === 0) return;
+        const label = `Delete ${this.describeObjects(this.selectedObjects)}`;
+        
+        this.selectedObjects.forEach(obj => this.deleteObject(obj));
+        
+        this.deselectAll();
+        this.saveState(label);
+        this.updateObjectList();
+        this.updateCameraList();
+    }
+    
+    deleteObject(obj) {
+        // Children survive their parent, moving up a level in place
+        const parent = this.getParent(obj);
+        this.getChildren(obj).forEach(child => this.setParent(child, parent));
+        this.disposeObject(obj);
+        this.objects = this.objects.filter(o => o !== obj);
+        this.sceneCameras = this.sceneCameras.filter(c => c !== obj);
+        delete this.clips[obj.id];
+        delete this.cameraTrackTargets[obj.id];
+        Object.keys(this.cameraTrackTargets).forEach(id => {
+            if (this.cameraTrackTargets[id] === obj.id) delete this.cameraTrackTargets[id];
+        });
+        delete this.pathFollows[obj.id];
+        Object.keys(this.pathFollows).forEach(id => {
+            if (this.pathFollows[id].pathId === obj.id) delete this.pathFollows[id];
+        });
+        this.objects.forEach(o => {
+            if (o.boolean) o.boolean.operands = o.boolean.operands.filter(id => id !== obj.id);
+        });
+    }
+    
+    // ==================== PATHS ====================
+    
+    addPath() {
+        const data = {
+            id: ++this.objectIdCounter,
+            name: `Path_${this.objectIdCounter}`,
+            type: 'path',
+            path: resolvePathData(),
+            position: [0, 0, 0],
+            rotation: [0, 0, 0],
+            scale: [1, 1, 1]
+        };
+        this.createObjectFromData(data);
+        
+        this.selectObject(this.objects.find(o => o.id === data.id));
+        this.saveState(`Add ${data.name}`);
+    }
+    
+    buildPathContent(group, path) {
+        // Rebuilds the curve line and control point handles in place, keeping the group's transform and child objects
+        const handlesVisible = group.userData.handles?.visible ?? false;
+        if (group.userData.content) {
+            group.remove(group.userData.content);
+            group.userData.content.traverse(c => {
+                c.geometry?.dispose();
+                c.material?.dispose();
+            });
+        }
+        
+        const content = new THREE.Group();
+        group.add(content);
+        group.userData.content = content;
+        
+        const line = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: this.theme.colors.path }));
+        content.add(line);
+        group.userData.line = line;
+        
+        // Control points only show while the path is selected; Bézier handles are smaller and tied to their anchor
+        const handles = new THREE.Group();
+        handles.visible = handlesVisible;
+        const handleGeo = new THREE.SphereGeometry(0.06, 12, 8);
+        path.points.forEach((point, i) => {
+            const isHandle = path.curveType === 'bezier' && i % 3 !== 0;
+            const sphere = new THREE.Mesh(handleGeo, new THREE.MeshBasicMaterial({ color: isHandle ? this.theme.colors.textMuted : this.theme.colors.path }));
+            sphere.position.fromArray(point);
+            if (isHandle) sphere.scale.setScalar(0.7);
+            sphere.userData.pointIndex = i;
+            handles.add(sphere);
+        });
+        const tangents = new THREE.LineSegments(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: this.theme.colors.textMuted }));
+        handles.add(tangents);
+        content.add(handles);
+        group.userData.handles = handles;
+        group.userData.tangents = tangents;
+        
+        this.updatePathLine(group, path);
+    }
+    
+    updatePathLine(group, path) {
+        const curve = buildPathCurve(path);
+        group.userData.curve = curve;
+        
+        const line = group.userData.line;
+        line.geometry.setFromPoints(curve.getSpacedPoints(Math.max(64, path.points.length * 24)));
+        line.geometry.computeBoundingSphere();
+        
+        const tangentPoints = [];
+        if (path.curveType === 'bezier') {
+            path.points.forEach((point, i) => {
+                if (i % 3 === 0) return;
+                const anchor = path.points[i % 3 === 1 ? i - 1 : i + 1];
+                tangentPoints.push(new THREE.Vector3().fromArray(anchor), new THREE.Vector3().fromArray(point));
+            });
+        }
+        group.userData.tangents.geometry.setFromPoints(tangentPoints);
+    }
+    
+    selectPathPoint(obj, index) {
+        this.activePathPoint = { obj, index };
+        this.attachGizmo();
+        this.updatePathPanel();
+    }
+    
+    movePathPoint() {
+        const { obj, index } = this.activePathPoint;
+        const handles = obj.mesh.userData.handles.children;
+        const newPos = handles[index].position.toArray();
+        const delta = new THREE.Vector3().fromArray(newPos).sub(new THREE.Vector3().fromArray(obj.path.points[index]));
+        obj.path.points[index] = newPos;
+        
+        // Bézier anchors carry their handles with them
+        if (obj.path.curveType === 'bezier' && index % 3 === 0) {
+            [index - 1, index + 1].filter(i => i >= 0 && i < obj.path.points.length).forEach(i => {
+                handles[i].position.add(delta);
+                obj.path.points[i] = handles[i].position.toArray();
+            });
+        }
+        
+        this.updatePathLine(obj.mesh, obj.path);
+        this.updatePathPanel();
+    }
+    
+    setPathProp(obj, key, value) {
+        const path = { ...obj.path, [key]: value };
+        if (key === 'curveType') path.points = convertPathPoints(obj.path.points, obj.path.curveType, value);
+        this.setPathPoints(obj, resolvePathData(path), `Edit ${obj.name} Path`);
+    }
+    
+    setPathPoints(obj, path, label) {
+        obj.path = path;
+        this.buildPathContent(obj.mesh, path);
+        
+        // The old handle meshes are gone, so put the gizmo back on the path itself
+        this.activePathPoint = null;
+        this.attachGizmo();
+        this.saveState(label);
+        this.updatePathPanel();
+    }
+    
+    addPathPoint(obj) {
+        // Continue the path in the direction of its last segment
+        const points = obj.path.points.map(p => [...p]);
+        const last = new THREE.Vector3().fromArray(points[points.length - 1]);
+        const step = last.clone().sub(new THREE.Vector3().fromArray(points[points.length - 2]));
+        if (obj.path.curveType === 'bezier') {
+            // The previous handle mirrors into the new segment's first handle
+            step.multiplyScalar(3);
+            const end = last.clone().add(step);
+            points.push(last.clone().lerp(end, 1 / 3).toArray(), last.clone().lerp(end, 2 / 3).toArray(), end.toArray());
+        } else {
+            points.push(last.add(step).toArray());
+        }
+        this.setPathPoints(obj, { ...obj.path, points }, `Add Point to ${obj.name}`);
+    }
+    
+    removePathPoint(obj) {
+        // Removes the active anchor (with its handles), or the last one
+        const bezier = obj.path.curveType === 'bezier';
+        const points = obj.path.points.map(p => [...p]);
+        if (points.length <= (bezier ? 4 : 2)) return;
+        
+        let index = this.activePathPoint?.obj === obj ? this.activePathPoint.index : points.length - 1;
+        if (bezier) {
+            index = Math.round(index / 3) * 3;
+            if (index === 0) points.splice(0, 3);
+            else if (index === points.length - 1) points.splice(index - 2, 3);
+            else points.splice(index - 1, 3);
+        } else {
+            points.splice(index, 1);
+        }
+        this.setPathPoints(obj, { ...obj.path, points }, `Remove Point from ${obj.name}`);
+    }
+    
+    setPathFollow(obj, changes) {
+        if (changes.pathId === null) {
+            delete this.pathFollows[obj.id];
+        } else {
+            const current = this.pathFollows[obj.id] || { pathId: null, start: this.frameIn, end: this.frameOut, orient: false, bank: 0 };
+            this.pathFollows[obj.id] = { ...current, ...changes };
+        }
+        this.updateConstraints();
+        this.saveState(changes.pathId === null ? `Clear Follow Path on ${obj.name}` : `Follow Path on ${obj.name}`);
+        this.updateConstraintsPanel();
+    }
+    
+    updatePathFollow() {
+        // Drives each follower along its path's arc length between the start and end frames
+        Object.entries(this.pathFollows).forEach(([objId, follow]) => {
+            const obj = this.objects.find(o => o.id === parseInt(objId));
+            const pathObj = this.objects.find(o => o.id === follow.pathId && o.type === 'path');
+            if (!obj || !pathObj || obj === pathObj || this.isDescendantOf(pathObj, obj)) return;
+            
+            const curve = pathObj.mesh.userData.curve;
+            const span = follow.end - follow.start;
+            const u = span > 0 ? THREE.MathUtils.clamp((this.currentFrame - follow.start) / span, 0, 1) : 0;
+            
+            pathObj.mesh.updateWorldMatrix(true, false);
+            const matrix = pathObj.mesh.matrixWorld;
+            const position = curve.getPointAt(u).applyMatrix4(matrix);
+            obj.mesh.position.copy(obj.mesh.parent ? obj.mesh.parent.worldToLocal(position.clone()) : position);
+            
+            if (!follow.orient) return;
+            const tangent = curve.getTangentAt(u).transformDirection(matrix);
+            
+            // Banking rolls into turns by how fast the tangent swings around the vertical
+            let roll = 0;
+            if (follow.bank > 0) {
+                const ahead = curve.getTangentAt(Math.min(1, u + 0.01)).transformDirection(matrix);
+                const turn = Math.atan2(tangent.z * ahead.x - tangent.x * ahead.z, tangent.dot(ahead));
+                roll = THREE.MathUtils.clamp(turn * follow.bank * 25, -Math.PI / 3, Math.PI / 3);
+            }
+            this.aimAt(obj.mesh, position.clone().add(tangent), roll);
+        });
+    }
+    
+    // ==================== HIERARCHY ====================
+    
+    getParent(objData) {
+        return this.objects.find(o => o.id === objData.parentId) || null;
+    }
+    
+    getChildren(objData) {
+        return this.objects.filter(o => o.parentId === objData.id);
+    }
+    
+    isDescendantOf(objData, ancestor) {
+        for (let p = this.getParent(objData); p; p = this.getParent(p)) {
+            if (p === ancestor) return true;
+        }
+        return false;
+    }
+    
+    resolveParents() {
+        this.objects.forEach(o => {
+            const parent = this.getParent(o);
+            if (!parent || parent === o || this.isDescendantOf(parent, o)) {
+                o.parentId = null;
+                if (o.mesh.parent !== this.scene) this.scene.add(o.mesh);
+            } else if (o.mesh.parent !== parent.mesh) {
+                parent.mesh.add(o.mesh);
+            }
+        });
+    }
+    
+    setParent(objData, parentObj) {
+        if (parentObj && (parentObj === objData || this.isDescendantOf(parentObj, objData))) return false;
+        
+        // attach() keeps the world transform, so the object stays put visually
+        (parentObj ? parentObj.mesh : this.scene).attach(objData.mesh);
+        objData.parentId = parentObj ? parentObj.id : null;
+        return true;
+    }
+    
+    reparentObject(objData, parentObj) {
+        if (this.getParent(objData) === parentObj) return;
+        if (!this.setParent(objData, parentObj)) return;
+        this.saveState(parentObj ? `Parent ${objData.name} to ${parentObj.name}` : `Unparent ${objData.name}`);
+        this.updateObjectList();
+        this.updateTransformPanel();
+    }
+    
+    groupSelected() {
+        if (this.selectedObjects.length === 0) return;
+        
+        // Skip objects whose ancestor is also being grouped; they come along with it
+        const toGroup = this.selectedObjects.filter(o => !this.selectedObjects.some(other => this.isDescendantOf(o, other)));
+        const parents = new Set(toGroup.map(o => this.getParent(o)));
+        const parent = parents.size === 1 ? [...parents][0] : null;
+        
+        const center = new THREE.Vector3();
+        toGroup.forEach(o => center.add(o.mesh.getWorldPosition(new THREE.Vector3())));
+        center.divideScalar(toGroup.length);
+        if (parent) parent.mesh.worldToLocal(center);
+        
+        const data = {
+            id: ++this.objectIdCounter,
+            name: `Group_${this.objectIdCounter}`,
+            type: 'group',
+            parentId: parent ? parent.id : null,
+            position: center.toArray(),
+            rotation: [0, 0, 0],
+            scale: [1, 1, 1]
+        };
+        this.createObjectFromData(data);
+        const group = this.objects.find(o => o.id === data.id);
+        
+        toGroup.forEach(o => this.setParent(o, group));
+        
+        this.selectObject(group);
+        this.saveState(`Group ${this.describeObjects(toGroup)}`);
+    }
+    
+    ungroupSelected() {
+        if (this.selectedObjects.length === 0) return;
+        
+        const toUngroup = [...this.selectedObjects];
+        this.deselectAll();
+        
+        toUngroup.forEach(obj => {
+            const parent = this.getParent(obj);
+            const children = this.getChildren(obj);
+            children.forEach(child => this.setParent(child, parent));
+            
+            if (obj.type === 'group') {
+                this.disposeObject(obj);
+                this.objects = this.objects.filter(o => o !== obj);
+                delete this.clips[obj.id];
+            }
+            children.forEach(child => this.addToSelection(child));
+        });
+        
+        this.saveState(`Ungroup ${this.describeObjects(toUngroup)}`);
+        this.updateObjectList();
+    }
+    
+    renameObject(objData, newName) {
+        const oldName = objData.name;
+        objData.name = newName;
+        this.updateObjectList();
+        this.saveState(`Rename ${oldName} to ${newName}`, [objData.id]);
+    }
+    
+    // ==================== GRID ====================
+    
+    createGrids() {
+        const size = this.theme.viewport.gridSize;
+        const divisions = this.theme.viewport.gridDivisions;
+        const color1 = this.theme.colors.grid;
+        const color2 = this.theme.colors.gridSub;
+        
+        this.grids.xz = new THREE.GridHelper(size, divisions, color1, color2);
+        this.grids.xz.visible = false;
+        this.scene.add(this.grids.xz);
+        
+        this.grids.xy = new THREE.GridHelper(size, divisions, color1, color2);
+        this.grids.xy.rotation.x = Math.PI / 2;
+        this.grids.xy.visible = false;
+        this.scene.add(this.grids.xy);
+        
+        this.grids.yz = new THREE.GridHelper(size, divisions, color1, color2);
+        this.grids.yz.rotation.z = Math.PI / 2;
+        this.grids.yz.visible = false;
+        this.scene.add(this.grids.yz);
+    }
+    
+    setGridPlane(plane) {
+        Object.values(this.grids).forEach(g => g.visible = false);
+        if (this.grids[plane]) {
+            this.grids[plane].visible = true;
+            this.currentGridPlane = plane;
+        }
+        this.updateGridPanel();
+        this.updateAlignPanel();
+        this.updateStatus();
+    }
+    
+    buildGridPanel() {
+        const container = document.getElementById('panel-content-grid');
+        if (!container) return;
+        
+        container.innerHTML = `
+            <div class="grid-controls">
                 <label>View Plane:</label>
                 <div class="grid-buttons">
                     <button class="grid-btn" data-plane="xz">XZ (Ground)</button>
@@ -493,99 +2679,512 @@ class MeshEditor {
                         <label>Snap:</label>
                         <input type="number" id="snap-size-input" value="${this.theme.controls.snapPosition}" min="0.1" max="2" step="0.1">
                     </div>
+                    <div class="snap-size">
+                        <label>Snap To:</label>
+                        <select id="snap-target-select">
+                            ${Object.entries(snapTargets).map(([key, def]) => `<option value="${key}">${def.label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="snap-size">
+                        <label>Snap With:</label>
+                        <select id="snap-base-select">
+                            ${Object.entries(snapBases).map(([key, def]) => `<option value="${key}">${def.label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <label><input type="checkbox" id="snap-align-toggle"> Align to Normal</label>
                 </div>
             </div>
         `;
         
-        container.querySelectorAll('.grid-btn').forEach(btn => {
-            btn.addEventListener('click', () => this.setGridPlane(btn.dataset.plane));
+        container.querySelectorAll('.grid-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setGridPlane(btn.dataset.plane));
+        });
+        
+        container.querySelector('#grid-snap-toggle')?.addEventListener('change', (e) => {
+            this.gridSnapEnabled = e.target.checked;
+            this.updateSnapping();
+        });
+        
+        container.querySelector('#snap-size-input')?.addEventListener('change', (e) => {
+            this.theme.controls.snapPosition = parseFloat(e.target.value);
+            this.updateSnapping();
+        });
+        
+        container.querySelector('#snap-target-select')?.addEventListener('change', (e) => this.setSnapTarget(e.target.value));
+        container.querySelector('#snap-base-select')?.addEventListener('change', (e) => {
+            this.snapBase = e.target.value;
+        });
+        container.querySelector('#snap-align-toggle')?.addEventListener('change', (e) => {
+            this.snapAlign = e.target.checked;
+        });
+        
+        this.updateGridPanel();
+    }
+    
+    updateGridPanel() {
+        const container = document.getElementById('panel-content-grid');
+        if (!container) return;
+        
+        container.querySelectorAll('.grid-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.plane === this.currentGridPlane);
+        });
+        const snapToggle = container.querySelector('#grid-snap-toggle');
+        if (snapToggle) snapToggle.checked = this.gridSnapEnabled;
+        const snapSelect = container.querySelector('#snap-target-select');
+        if (snapSelect) snapSelect.value = this.snapTarget;
+    }
+    
+    // ==================== TIMELINE/ANIMATION ====================
+    
+    setupTimeline() {
+        const ruler = document.getElementById('timeline-ruler');
+        const tracks = document.getElementById('timeline-tracks');
+        if (!ruler || !tracks) return;
+        
+        this.buildRuler();
+        
+        // Timeline click to seek
+        document.getElementById('timeline')?.addEventListener('click', (e) => {
+            const rulerRect = ruler.getBoundingClientRect();
+            if (e.clientY < rulerRect.bottom && e.clientY > rulerRect.top && !this.rangeDrag) {
+                const pct = (e.clientX - rulerRect.left) / rulerRect.width;
+                this.currentFrame = Math.round(pct * this.totalFrames);
+                this.updatePlayhead();
+                this.applyFrame();
+            }
+        });
+        
+        // Controls
+        document.getElementById('tl-play')?.addEventListener('click', () => this.togglePlay());
+        document.getElementById('tl-stop')?.addEventListener('click', () => this.stopPlayback());
+        document.getElementById('tl-keyframe')?.addEventListener('click', () => this.addKeyframe());
+        document.getElementById('tl-graph')?.addEventListener('click', () => this.toggleGraphEditor());
+        document.getElementById('tl-in')?.addEventListener('click', () => this.setPlaybackRange(this.currentFrame, this.frameOut));
+        document.getElementById('tl-out')?.addEventListener('click', () => this.setPlaybackRange(this.frameIn, this.currentFrame));
+        document.getElementById('tl-time')?.addEventListener('click', () => {
+            this.timeDisplay = this.timeDisplay === 'timecode' ? 'frames' : 'timecode';
+            this.updatePlayhead();
+        });
+        
+        const modeSelect = document.getElementById('tl-mode');
+        if (modeSelect) {
+            modeSelect.innerHTML = Object.entries(playbackModes)
+                .map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('');
+            modeSelect.addEventListener('change', (e) => { this.playbackMode = e.target.value; });
+        }
+        
+        const fpsSelect = document.getElementById('tl-fps');
+        if (fpsSelect) {
+            fpsSelect.innerHTML = [...frameRatePresets.map(fps => `<option value="${fps}">${fps} fps</option>`), '<option value="custom">Custom…</option>'].join('');
+            fpsSelect.addEventListener('change', (e) => {
+                if (e.target.value !== 'custom') {
+                    this.setFrameRate(parseFloat(e.target.value));
+                    return;
+                }
+                const fps = parseFloat(prompt('Frames per second:', this.fps));
+                if (fps > 0) this.setFrameRate(fps);
+                else this.updateTimelineSettings();
+            });
+        }
+        document.getElementById('tl-duration')?.addEventListener('change', (e) => this.setDuration(parseInt(e.target.value)));
+        
+        // In/out markers drag along the ruler; double-click resets one to the clip edge
+        ruler.addEventListener('mousedown', (e) => {
+            const edge = e.target.dataset.range;
+            if (!edge) return;
+            e.stopPropagation();
+            this.rangeDrag = { edge };
+        });
+        ruler.addEventListener('dblclick', (e) => {
+            if (e.target.dataset.range === 'in') this.setPlaybackRange(0, this.frameOut);
+            if (e.target.dataset.range === 'out') this.setPlaybackRange(this.frameIn, this.totalFrames);
+        });
+        window.addEventListener('mousemove', (e) => {
+            if (!this.rangeDrag) return;
+            const rect = ruler.getBoundingClientRect();
+            const frame = Math.round(THREE.MathUtils.clamp((e.clientX - rect.left) / rect.width, 0, 1) * this.totalFrames);
+            if (this.rangeDrag.edge === 'in') this.setPlaybackRange(Math.min(frame, this.frameOut), this.frameOut);
+            else this.setPlaybackRange(this.frameIn, Math.max(frame, this.frameIn));
+        });
+        window.addEventListener('mouseup', () => {
+            // Let the click that ends a drag pass before seeking works again
+            if (this.rangeDrag) setTimeout(() => { this.rangeDrag = null; });
+        });
+        
+        const interpSelect = document.getElementById('tl-interp');
+        if (interpSelect) {
+            interpSelect.innerHTML = Object.entries(interpolationModes)
+                .map(([mode, def]) => `<option value="${mode}">${def.label}</option>`).join('');
+            interpSelect.value = 'linear';
+            interpSelect.addEventListener('change', (e) => this.setInterpolation(e.target.value));
+        }
+        
+        // Keyframe selection, dragging and box-select
+        tracks.addEventListener('mousedown', (e) => this.onTracksMouseDown(e));
+        window.addEventListener('mousemove', (e) => this.onTracksMouseMove(e));
+        window.addEventListener('mouseup', (e) => this.onTracksMouseUp(e));
+        
+        this.setupGraphEditor();
+        this.updateTimelineSettings();
+        this.updateTimeline();
+    }
+    
+    buildRuler() {
+        const ruler = document.getElementById('timeline-ruler');
+        if (!ruler) return;
+        ruler.innerHTML = '';
+        
+        // Label every N seconds, N picked so labels stay roughly 60px apart
+        const seconds = this.totalFrames / this.fps;
+        const maxLabels = Math.max(2, Math.floor((ruler.clientWidth || 600) / 60));
+        const step = [1, 2, 5, 10, 15, 30, 60, 120, 300].find(s => seconds / s <= maxLabels) || 600;
+        for (let t = 0; t * this.fps <= this.totalFrames; t += step) {
+            const mark = document.createElement('div');
+            mark.className = 'ruler-mark';
+            mark.style.left = `${((t * this.fps) / this.totalFrames) * 100}%`;
+            mark.textContent = t < 60 ? `${t}s` : `${Math.floor(t / 60)}:${(t % 60).toString().padStart(2, '0')}`;
+            ruler.appendChild(mark);
+        }
+        
+        // Shade the frames outside the playback range
+        ruler.insertAdjacentHTML('beforeend', `
+            <div class="range-shade" id="range-shade-in"></div>
+            <div class="range-shade" id="range-shade-out"></div>
+            <div class="range-marker" data-range="in" id="range-in" title="In (drag, double-click to reset)"></div>
+            <div class="range-marker" data-range="out" id="range-out" title="Out (drag, double-click to reset)"></div>
+        `);
+        this.updateRangeMarkers();
+    }
+    
+    updateRangeMarkers() {
+        const pct = frame => `${(frame / this.totalFrames) * 100}%`;
+        const shadeIn = document.getElementById('range-shade-in');
+        const shadeOut = document.getElementById('range-shade-out');
+        const markerIn = document.getElementById('range-in');
+        const markerOut = document.getElementById('range-out');
+        if (shadeIn) shadeIn.style.cssText = `left: 0; width: ${pct(this.frameIn)}`;
+        if (shadeOut) shadeOut.style.cssText = `left: ${pct(this.frameOut)}; right: 0`;
+        if (markerIn) markerIn.style.left = pct(this.frameIn);
+        if (markerOut) markerOut.style.left = pct(this.frameOut);
+    }
+    
+    updateTimelineSettings() {
+        const fpsSelect = document.getElementById('tl-fps');
+        if (fpsSelect) {
+            const custom = fpsSelect.querySelector('option[value="custom"]');
+            custom.textContent = frameRatePresets.includes(this.fps) ? 'Custom…' : `${this.fps} fps`;
+            fpsSelect.value = frameRatePresets.includes(this.fps) ? String(this.fps) : 'custom';
+        }
+        const duration = document.getElementById('tl-duration');
+        if (duration) duration.value = this.totalFrames;
+        const modeSelect = document.getElementById('tl-mode');
+        if (modeSelect) modeSelect.value = this.playbackMode;
+    }
+    
+    setDuration(frames) {
+        if (!(frames > 0)) {
+            this.updateTimelineSettings();
+            return;
+        }
+        
+        // An out marker sitting on the old end follows the new end
+        const outAtEnd = this.frameOut === this.totalFrames;
+        this.totalFrames = frames;
+        this.frameOut = outAtEnd ? frames : Math.min(this.frameOut, frames);
+        this.frameIn = Math.min(this.frameIn, this.frameOut);
+        this.currentFrame = Math.min(this.currentFrame, frames);
+        this.playPosition = this.currentFrame;
+        
+        this.buildRuler();
+        this.updateTimelineSettings();
+        this.updateTimeline();
+        this.updatePlayhead();
+        this.applyFrame();
+        this.setUnsaved(true);
+    }
+    
+    setFrameRate(fps) {
+        // Keyframes stay on their frames; only the real-time length of each frame changes
+        this.fps = fps;
+        this.buildRuler();
+        this.updateTimelineSettings();
+        this.updatePlayhead();
+        this.setUnsaved(true);
+    }
+    
+    setPlaybackRange(frameIn, frameOut) {
+        this.frameIn = THREE.MathUtils.clamp(Math.round(frameIn), 0, this.totalFrames);
+        this.frameOut = THREE.MathUtils.clamp(Math.round(frameOut), 0, this.totalFrames);
+        if (this.frameIn > this.frameOut) [this.frameIn, this.frameOut] = [this.frameOut, this.frameIn];
+        this.updateRangeMarkers();
+    }
+    
+    formatTime(frame) {
+        if (this.timeDisplay === 'frames') return String(Math.round(frame));
+        // m:ss:ff timecode
+        const totalSecs = Math.floor(frame / this.fps);
+        const ff = Math.floor(frame - totalSecs * this.fps);
+        return `${Math.floor(totalSecs / 60)}:${(totalSecs % 60).toString().padStart(2, '0')}:${ff.toString().padStart(2, '0')}`;
+    }
+    
+    updateTimeline() {
+        const tracks = document.getElementById('timeline-tracks');
+        if (!tracks) return;
+        
+        tracks.innerHTML = '';
+        this.timelineMarkers = [];
+        this.objects.filter(o => this.hasKeyframes(o)).forEach(obj => {
+            const objClips = this.clips[obj.id];
+            const expanded = this.expandedTracks.has(obj.id);
+            
+            // Object track summarizes every property's keyframes, one marker per frame
+            const byFrame = new Map();
+            Object.values(objClips).forEach(keyframes => keyframes.forEach(kf => {
+                if (!byFrame.has(kf.frame)) byFrame.set(kf.frame, []);
+                byFrame.get(kf.frame).push(kf);
+            }));
+            const track = this.createTrackRow(`${expanded ? '▾' : '▸'} ${obj.name}`, [...byFrame.values()]);
+            track.querySelector('.track-label').addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (expanded) this.expandedTracks.delete(obj.id); else this.expandedTracks.add(obj.id);
+                this.updateTimeline();
+            });
+            tracks.appendChild(track);
+            
+            if (!expanded) return;
+            Object.entries(objClips).forEach(([prop, keyframes]) => {
+                const label = `${channels[prop]?.label || prop}<button class="track-key" title="Key ${prop} at current frame">◆</button>`;
+                const subTrack = this.createTrackRow(label, keyframes.map(kf => [kf]));
+                subTrack.classList.add('sub-track');
+                subTrack.querySelector('.track-key').addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.keyChannel(obj, prop);
+                });
+                tracks.appendChild(subTrack);
+            });
         });
         
-        container.querySelector('#grid-snap-toggle')?.addEventListener('change', (e) => {
-            this.gridSnapEnabled = e.target.checked;
-            this.updateSnapping();
-        });
+        this.updatePlayhead();
+    }
+    
+    createTrackRow(labelHtml, markers) {
+        // markers: one array of keyframes per marker, all on the same frame
+        const track = document.createElement('div');
+        track.className = 'timeline-track';
+        track.innerHTML = `<span class="track-label">${labelHtml}</span><div class="track-keyframes"></div>`;
         
-        container.querySelector('#snap-size-input')?.addEventListener('change', (e) => {
-            this.theme.controls.snapPosition = parseFloat(e.target.value);
-            this.updateSnapping();
+        const kfContainer = track.querySelector('.track-keyframes');
+        markers.forEach(keyframes => {
+            const frame = keyframes[0].frame;
+            // Keys past a shortened timeline are kept but not drawn
+            if (frame > this.totalFrames) return;
+            const marker = document.createElement('div');
+            marker.className = 'keyframe-marker';
+            marker.style.left = `${(frame / this.totalFrames) * 100}%`;
+            marker.title = `Frame ${Math.round(frame * 100) / 100}`;
+            kfContainer.appendChild(marker);
+            this.timelineMarkers.push({ el: marker, keyframes });
         });
         
-        this.updateGridPanel();
+        this.refreshMarkerSelection();
+        return track;
     }
     
-    updateGridPanel() {
-        const container = document.getElementById('panel-content-grid');
-        if (!container) return;
-        
-        container.querySelectorAll('.grid-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.plane === this.currentGridPlane);
+    refreshMarkerSelection() {
+        this.timelineMarkers.forEach(m => {
+            m.el.classList.toggle('selected', m.keyframes.every(kf => this.selectedKeyframes.has(kf)));
         });
     }
     
-    // ==================== TIMELINE/ANIMATION ====================
+    // ==================== KEYFRAME EDITING ====================
     
-    setupTimeline() {
-        const ruler = document.getElementById('timeline-ruler');
-        const tracks = document.getElementById('timeline-tracks');
-        if (!ruler || !tracks) return;
+    forEachKeyframeTrack(callback) {
+        Object.entries(this.clips).forEach(([objId, objClips]) => {
+            Object.entries(objClips).forEach(([prop, keyframes]) => callback(parseInt(objId), prop, keyframes));
+        });
+    }
+    
+    keyframeObjectIds(keyframes) {
+        // Objects whose clips hold any of the keyframes (a Set)
+        const ids = new Set();
+        this.forEachKeyframeTrack((objId, prop, track) => {
+            if (track.some(kf => keyframes.has(kf))) ids.add(objId);
+        });
+        return [...ids];
+    }
+    
+    onTracksMouseDown(e) {
+        if (e.button !== 0 || e.target.closest('.track-label')) return;
         
-        // Build ruler
-        ruler.innerHTML = '';
-        for (let i = 0; i <= this.totalFrames; i += 30) {
-            const mark = document.createElement('div');
-            mark.className = 'ruler-mark';
-            mark.style.left = `${(i / this.totalFrames) * 100}%`;
-            mark.textContent = `${Math.floor(i / 30)}s`;
-            ruler.appendChild(mark);
+        const marker = this.timelineMarkers.find(m => m.el === e.target);
+        if (marker) {
+            e.stopPropagation();
+            const allSelected = marker.keyframes.every(kf => this.selectedKeyframes.has(kf));
+            if (e.shiftKey) {
+                marker.keyframes.forEach(kf => allSelected ? this.selectedKeyframes.delete(kf) : this.selectedKeyframes.add(kf));
+            } else if (!allSelected) {
+                this.selectedKeyframes.clear();
+                marker.keyframes.forEach(kf => this.selectedKeyframes.add(kf));
+            }
+            this.refreshMarkerSelection();
+            if (this.selectedKeyframes.size === 0) return;
+            
+            // Ctrl+drag scales the selection in time around the playhead instead of moving it
+            this.keyframeDrag = {
+                startX: e.clientX,
+                width: e.target.parentElement.getBoundingClientRect().width,
+                anchorFrame: marker.keyframes[0].frame,
+                scale: e.ctrlKey,
+                origin: new Map([...this.selectedKeyframes].map(kf => [kf, kf.frame])),
+                moved: false
+            };
+            return;
         }
         
-        // Timeline click to seek
-        document.getElementById('timeline')?.addEventListener('click', (e) => {
-            const rect = e.currentTarget.getBoundingClientRect();
-            const rulerRect = ruler.getBoundingClientRect();
-            if (e.clientY < rulerRect.bottom) {
-                const pct = (e.clientX - rulerRect.left) / rulerRect.width;
-                this.currentFrame = Math.round(pct * this.totalFrames);
-                this.updatePlayhead();
-                this.applyFrame();
-            }
+        if (!e.target.closest('.track-keyframes')) return;
+        const tracks = document.getElementById('timeline-tracks');
+        const box = document.createElement('div');
+        box.className = 'timeline-marquee';
+        tracks.appendChild(box);
+        this.keyframeMarquee = { startX: e.clientX, startY: e.clientY, box, additive: e.shiftKey };
+        this.updateKeyframeMarquee(e);
+    }
+    
+    onTracksMouseMove(e) {
+        if (this.keyframeMarquee) {
+            this.updateKeyframeMarquee(e);
+            return;
+        }
+        if (!this.keyframeDrag) return;
+        
+        const drag = this.keyframeDrag;
+        const delta = ((e.clientX - drag.startX) / drag.width) * this.totalFrames;
+        const pivot = this.currentFrame;
+        const factor = drag.anchorFrame !== pivot ? (drag.anchorFrame + delta - pivot) / (drag.anchorFrame - pivot) : 1;
+        
+        drag.origin.forEach((frame, kf) => {
+            let newFrame = drag.scale ? pivot + (frame - pivot) * factor : frame + delta;
+            if (this.theme.timeline.snapToFrame) newFrame = Math.round(newFrame);
+            kf.frame = THREE.MathUtils.clamp(newFrame, 0, this.totalFrames);
         });
+        drag.moved = true;
         
-        // Controls
-        document.getElementById('tl-play')?.addEventListener('click', () => this.togglePlay());
-        document.getElementById('tl-stop')?.addEventListener('click', () => this.stopPlayback());
-        document.getElementById('tl-keyframe')?.addEventListener('click', () => this.addKeyframe());
+        this.forEachKeyframeTrack((objId, prop, keyframes) => keyframes.sort((a, b) => a.frame - b.frame));
+        this.timelineMarkers.forEach(m => {
+            m.el.style.left = `${(m.keyframes[0].frame / this.totalFrames) * 100}%`;
+        });
+        this.applyFrame();
+    }
+    
+    onTracksMouseUp(e) {
+        if (this.keyframeMarquee) {
+            const { box, additive } = this.keyframeMarquee;
+            const rect = box.getBoundingClientRect();
+            const clicked = rect.width < 3 && rect.height < 3;
+            box.remove();
+            this.keyframeMarquee = null;
+            
+            if (!additive) this.selectedKeyframes.clear();
+            if (!clicked) {
+                this.timelineMarkers.forEach(m => {
+                    const r = m.el.getBoundingClientRect();
+                    if (r.right >= rect.left && r.left <= rect.right && r.bottom >= rect.top && r.top <= rect.bottom) {
+                        m.keyframes.forEach(kf => this.selectedKeyframes.add(kf));
+                    }
+                });
+            }
+            this.refreshMarkerSelection();
+            return;
+        }
+        if (!this.keyframeDrag) return;
+        
+        const { moved, scale: scaled } = this.keyframeDrag;
+        this.keyframeDrag = null;
+        if (!moved) return;
+        
+        // A moved key overwrites whatever key it landed on in the same channel
+        this.forEachKeyframeTrack((objId, prop, keyframes) => {
+            const byFrame = new Map();
+            keyframes.forEach(kf => {
+                const existing = byFrame.get(kf.frame);
+                if (!existing || this.selectedKeyframes.has(kf)) byFrame.set(kf.frame, kf);
+            });
+            this.clips[objId][prop] = [...byFrame.values()].sort((a, b) => a.frame - b.frame);
+        });
         
+        this.saveState(`${scaled ? 'Scale' : 'Move'} ${this.selectedKeyframes.size} Keyframe${this.selectedKeyframes.size === 1 ? '' : 's'}`, this.keyframeObjectIds(this.selectedKeyframes));
+        this.applyFrame();
         this.updateTimeline();
     }
     
-    updateTimeline() {
+    updateKeyframeMarquee(e) {
+        const { startX, startY, box } = this.keyframeMarquee;
         const tracks = document.getElementById('timeline-tracks');
-        if (!tracks) return;
+        const tracksRect = tracks.getBoundingClientRect();
+        box.style.left = `${Math.min(startX, e.clientX) - tracksRect.left}px`;
+        box.style.top = `${Math.min(startY, e.clientY) - tracksRect.top + tracks.scrollTop}px`;
+        box.style.width = `${Math.abs(e.clientX - startX)}px`;
+        box.style.height = `${Math.abs(e.clientY - startY)}px`;
+    }
+    
+    deleteSelectedKeyframes() {
+        const count = this.selectedKeyframes.size;
+        const touchedIds = this.keyframeObjectIds(this.selectedKeyframes);
+        this.forEachKeyframeTrack((objId, prop, keyframes) => {
+            const remaining = keyframes.filter(kf => !this.selectedKeyframes.has(kf));
+            if (remaining.length > 0) this.clips[objId][prop] = remaining;
+            else delete this.clips[objId][prop];
+        });
+        Object.keys(this.clips).forEach(objId => {
+            if (Object.keys(this.clips[objId]).length === 0) delete this.clips[objId];
+        });
+        this.selectedKeyframes.clear();
         
-        tracks.innerHTML = '';
-        this.sceneCameras.forEach(cam => {
-            const track = document.createElement('div');
-            track.className = 'timeline-track';
-            track.innerHTML = `<span class="track-label">${cam.name}</span><div class="track-keyframes" data-id="${cam.id}"></div>`;
-            tracks.appendChild(track);
-            
-            // Render keyframes
-            const kfContainer = track.querySelector('.track-keyframes');
-            const camClips = this.clips[cam.id];
-            if (camClips?.position) {
-                camClips.position.forEach(kf => {
-                    const marker = document.createElement('div');
-                    marker.className = 'keyframe-marker';
-                    marker.style.left = `${(kf.frame / this.totalFrames) * 100}%`;
-                    marker.title = `Frame ${kf.frame}`;
-                    kfContainer.appendChild(marker);
-                });
-            }
+        this.saveState(`Delete ${count} Keyframe${count === 1 ? '' : 's'}`, touchedIds);
+        this.applyFrame();
+        this.updateTimeline();
+    }
+    
+    copyKeyframes() {
+        const entries = [];
+        this.forEachKeyframeTrack((objId, prop, keyframes) => {
+            keyframes.filter(kf => this.selectedKeyframes.has(kf)).forEach(kf => {
+                entries.push({ objId, prop, keyframe: JSON.parse(JSON.stringify(kf)) });
+            });
         });
+        if (entries.length === 0) return;
         
-        this.updatePlayhead();
+        const baseFrame = Math.min(...entries.map(e => e.keyframe.frame));
+        this.keyframeClipboard = entries.map(e => ({ ...e, offset: e.keyframe.frame - baseFrame }));
+        this.clipboardKind = 'keyframes';
+    }
+    
+    pasteKeyframes() {
+        if (!this.keyframeClipboard) return;
+        
+        // Keys copied from a single object go onto every selected object; otherwise back onto their own objects
+        const sourceIds = new Set(this.keyframeClipboard.map(e => e.objId));
+        const retarget = sourceIds.size === 1 && this.selectedObjects.length > 0;
+        
+        this.selectedKeyframes.clear();
+        this.keyframeClipboard.forEach(entry => {
+            const targets = retarget ? this.selectedObjects : this.objects.filter(o => o.id === entry.objId);
+            targets.forEach(obj => {
+                // Skip channels the target doesn't have, e.g. light intensity onto a cube
+                const current = this.getKeyframeValues(obj)[entry.prop];
+                if (!current || current.length !== entry.keyframe.value.length) return;
+                
+                const frame = Math.min(this.totalFrames, this.currentFrame + entry.offset);
+                const kf = this.setKeyframe(obj, entry.prop, [...entry.keyframe.value], frame);
+                if (entry.keyframe.interpolation) kf.interpolation = entry.keyframe.interpolation;
+                if (entry.keyframe.bezier) kf.bezier = [...entry.keyframe.bezier];
+                this.selectedKeyframes.add(kf);
+            });
+        });
+        
+        this.saveState(`Paste Keyframes @ ${this.currentFrame}`, this.keyframeObjectIds(this.selectedKeyframes));
+        this.applyFrame();
+        this.updateTimeline();
     }
     
     updatePlayhead() {
@@ -595,77 +3194,175 @@ class MeshEditor {
             playhead.style.left = `${(this.currentFrame / this.totalFrames) * 100}%`;
         }
         if (timeDisplay) {
-            const secs = Math.floor(this.currentFrame / 30);
-            const totalSecs = Math.floor(this.totalFrames / 30);
-            timeDisplay.textContent = `${Math.floor(secs/60)}:${(secs%60).toString().padStart(2,'0')} / ${Math.floor(totalSecs/60)}:${(totalSecs%60).toString().padStart(2,'0')}`;
+            timeDisplay.textContent = `${this.formatTime(this.currentFrame)} / ${this.formatTime(this.totalFrames)}`;
         }
+        this.updateGraphEditor();
         this.updateStatus();
     }
     
+    hasKeyframes(obj) {
+        const objClips = this.clips[obj.id];
+        return !!objClips && Object.values(objClips).some(keyframes => keyframes.length > 0);
+    }
+    
+    getKeyframeValues(obj) {
+        const values = {
+            position: obj.mesh.position.toArray(),
+            rotation: obj.mesh.quaternion.toArray(),
+            scale: obj.mesh.scale.toArray(),
+            visible: [obj.mesh.visible ? 1 : 0]
+        };
+        if (obj.material) {
+            values.color = new THREE.Color(obj.material.color).toArray();
+        }
+        if (obj.light) {
+            values.intensity = [obj.light.intensity];
+            values.color = new THREE.Color(obj.light.color).toArray();
+        }
+        if (obj.camera) {
+            if (obj.camera.projection === 'orthographic') values.orthoSize = [obj.camera.orthoSize];
+            else values.fov = [obj.camera.fov];
+        }
+        return values;
+    }
+    
+    applyKeyframeValue(obj, prop, value) {
+        if (prop === 'position') {
+            obj.mesh.position.fromArray(value);
+        } else if (prop === 'rotation') {
+            // Graph editing can denormalize the components
+            obj.mesh.quaternion.fromArray(value).normalize();
+        } else if (prop === 'scale') {
+            obj.mesh.scale.fromArray(value);
+        } else if (prop === 'visible') {
+            obj.mesh.visible = value[0] >= 0.5;
+        } else if (prop === 'color' && obj.material) {
+            const color = new THREE.Color().fromArray(value);
+            obj.material.color = `#${color.getHexString()}`;
+            obj.mesh.material.color.copy(color);
+        } else if (prop === 'intensity' && obj.light) {
+            obj.light.intensity = value[0];
+            obj.mesh.userData.light.intensity = value[0];
+        } else if (prop === 'color' && obj.light) {
+            const color = new THREE.Color().fromArray(value);
+            obj.light.color = `#${color.getHexString()}`;
+            obj.mesh.userData.light.color.copy(color);
+            obj.mesh.userData.bulb.material.color.copy(color);
+        } else if ((prop === 'fov' || prop === 'orthoSize') && obj.camera) {
+            obj.camera = resolveCameraProps({ ...obj.camera, [prop]: value[0] });
+            this.updateCameraLens(obj);
+        }
+    }
+    
+    setKeyframe(obj, prop, value, frame = this.currentFrame) {
+        if (!this.clips[obj.id]) this.clips[obj.id] = {};
+        
+        // Replace any existing keyframe at this frame (keeping its easing), keep sorted by frame
+        const existing = this.clips[obj.id][prop]?.find(k => k.frame === frame);
+        const keyframes = (this.clips[obj.id][prop] || []).filter(k => k !== existing);
+        const keyframe = { ...existing, frame, value };
+        keyframes.push(keyframe);
+        keyframes.sort((a, b) => a.frame - b.frame);
+        this.clips[obj.id][prop] = keyframes;
+        return keyframe;
+    }
+    
     addKeyframe() {
+        // Keys every channel of each selected object
         this.selectedObjects.forEach(obj => {
-            if (obj.type !== 'camera') return;
-            
-            if (!this.clips[obj.id]) this.clips[obj.id] = {};
-            if (!this.clips[obj.id].position) this.clips[obj.id].position = [];
-            if (!this.clips[obj.id].rotation) this.clips[obj.id].rotation = [];
-            
-            // Remove existing keyframe at this frame
-            this.clips[obj.id].position = this.clips[obj.id].position.filter(k => k.frame !== this.currentFrame);
-            this.clips[obj.id].rotation = this.clips[obj.id].rotation.filter(k => k.frame !== this.currentFrame);
-            
-            // Add new keyframes
-            this.clips[obj.id].position.push({
-                frame: this.currentFrame,
-                value: obj.mesh.position.toArray()
-            });
-            this.clips[obj.id].rotation.push({
-                frame: this.currentFrame,
-                value: [obj.mesh.rotation.x, obj.mesh.rotation.y, obj.mesh.rotation.z]
-            });
-            
-            // Sort by frame
-            this.clips[obj.id].position.sort((a, b) => a.frame - b.frame);
-            this.clips[obj.id].rotation.sort((a, b) => a.frame - b.frame);
+            Object.entries(this.getKeyframeValues(obj)).forEach(([prop, value]) => this.setKeyframe(obj, prop, value));
         });
         
-        this.saveState();
+        this.saveState(`Add Keyframe @ ${this.currentFrame}`, this.selectedObjects.map(o => o.id));
+        this.updateTimeline();
+    }
+    
+    keyChannel(obj, prop) {
+        const value = this.getKeyframeValues(obj)[prop];
+        if (!value) return;
+        
+        this.setKeyframe(obj, prop, value);
+        this.saveState(`Key ${obj.name} ${channels[prop].label} @ ${this.currentFrame}`, [obj.id]);
         this.updateTimeline();
     }
     
     togglePlay() {
         this.isPlaying = !this.isPlaying;
+        if (this.isPlaying) {
+            // Start from the in marker when outside the range, or when "once" already finished
+            const finished = this.playbackMode === 'once' && this.currentFrame >= this.frameOut;
+            if (finished || this.currentFrame < this.frameIn || this.currentFrame > this.frameOut) {
+                this.currentFrame = this.frameIn;
+            }
+            this.playPosition = this.currentFrame;
+            this.playDirection = 1;
+            this.lastTickTime = performance.now();
+        }
         const btn = document.getElementById('tl-play');
         if (btn) btn.textContent = this.isPlaying ? '⏸' : '▶';
     }
     
     stopPlayback() {
         this.isPlaying = false;
-        this.currentFrame = 0;
+        this.currentFrame = this.frameIn;
         const btn = document.getElementById('tl-play');
         if (btn) btn.textContent = '▶';
         this.updatePlayhead();
         this.applyFrame();
     }
     
-    applyFrame() {
-        // Interpolate camera positions/rotations
-        this.sceneCameras.forEach(cam => {
-            const camClips = this.clips[cam.id];
-            if (!camClips) return;
-            
-            if (camClips.position?.length > 0) {
-                const pos = this.interpolateKeyframes(camClips.position, this.currentFrame);
-                cam.mesh.position.fromArray(pos);
+    advancePlayback() {
+        // Advance by wall-clock time so playback runs at the scene fps whatever the display refresh
+        // rate; frames between two redraws are skipped. Long stalls (background tab) are capped.
+        const now = performance.now();
+        const elapsed = Math.min(now - this.lastTickTime, 1000) / 1000;
+        this.lastTickTime = now;
+        
+        const start = this.frameIn;
+        const end = this.frameOut;
+        const length = end - start;
+        let pos = this.playPosition + elapsed * this.fps * this.playDirection;
+        
+        if (length <= 0) {
+            pos = start;
+        } else if (this.playbackMode === 'once') {
+            if (pos >= end) {
+                pos = end;
+                this.togglePlay();
             }
-            if (camClips.rotation?.length > 0) {
-                const rot = this.interpolateKeyframes(camClips.rotation, this.currentFrame);
-                cam.mesh.rotation.set(rot[0], rot[1], rot[2]);
+        } else if (this.playbackMode === 'pingpong') {
+            while (pos > end || pos < start) {
+                pos = pos > end ? 2 * end - pos : 2 * start - pos;
+                this.playDirection *= -1;
             }
+        } else if (pos >= end) {
+            pos = start + ((pos - start) % length);
+        }
+        
+        this.playPosition = pos;
+        const frame = Math.floor(pos);
+        if (frame === this.currentFrame) return;
+        this.currentFrame = frame;
+        this.updatePlayhead();
+        this.applyFrame();
+    }
+    
+    applyFrame() {
+        // Interpolate every keyframed property
+        this.objects.forEach(obj => {
+            const objClips = this.clips[obj.id];
+            if (!objClips) return;
+            
+            Object.entries(objClips).forEach(([prop, keyframes]) => {
+                if (keyframes.length > 0) {
+                    const value = this.interpolateKeyframes(keyframes, this.currentFrame, channels[prop]);
+                    this.applyKeyframeValue(obj, prop, value);
+                }
+            });
         });
     }
     
-    interpolateKeyframes(keyframes, frame) {
+    interpolateKeyframes(keyframes, frame, channel = {}) {
         if (keyframes.length === 0) return [0, 0, 0];
         if (keyframes.length === 1) return keyframes[0].value;
         
@@ -683,12 +3380,293 @@ class MeshEditor {
         
         if (frame <= before.frame) return before.value;
         if (frame >= after.frame) return after.value;
+        if (channel.step) return before.value;
         
-        // Linear interpolation
-        const t = (frame - before.frame) / (after.frame - before.frame);
+        // Eased interpolation, shaped by the segment's starting keyframe
+        const t = easeSegment(before, (frame - before.frame) / (after.frame - before.frame));
+        if (channel.quaternion) {
+            // slerp takes the shortest arc, so 350° -> 10° turns 20°, not 340°
+            const qa = new THREE.Quaternion().fromArray(before.value).normalize();
+            const qb = new THREE.Quaternion().fromArray(after.value).normalize();
+            return qa.slerp(qb, t).toArray();
+        }
         return before.value.map((v, i) => v + (after.value[i] - v) * t);
     }
     
+    setInterpolation(mode) {
+        // Graph editor selection wins, then timeline selection, then every key at the playhead on the selected objects
+        let keyframes;
+        if (this.graphSelection) {
+            keyframes = [this.graphSelection.keyframe];
+        } else if (this.selectedKeyframes.size > 0) {
+            keyframes = [...this.selectedKeyframes];
+        } else {
+            keyframes = this.selectedObjects.flatMap(obj =>
+                Object.values(this.clips[obj.id] || {}).flat().filter(kf => kf.frame === this.currentFrame));
+        }
+        if (keyframes.length === 0) return;
+        
+        keyframes.forEach(kf => {
+            if (mode === 'bezier' && !kf.bezier) kf.bezier = [...(getBezier(kf) || defaultBezier)];
+            kf.interpolation = mode;
+        });
+        
+        this.saveState(`Set Interpolation to ${interpolationModes[mode].label}`, this.keyframeObjectIds(new Set(keyframes)));
+        this.applyFrame();
+        this.updateGraphEditor();
+    }
+    
+    // ==================== GRAPH EDITOR ====================
+    
+    setupGraphEditor() {
+        const canvas = document.getElementById('graph-canvas');
+        if (!canvas) return;
+        
+        canvas.addEventListener('mousedown', (e) => this.onGraphMouseDown(e));
+        window.addEventListener('mousemove', (e) => this.onGraphMouseMove(e));
+        window.addEventListener('mouseup', () => this.onGraphMouseUp());
+    }
+    
+    toggleGraphEditor() {
+        this.graphEditorOpen = !this.graphEditorOpen;
+        const tracks = document.getElementById('timeline-tracks');
+        const graph = document.getElementById('timeline-graph');
+        if (tracks) tracks.style.display = this.graphEditorOpen ? 'none' : '';
+        if (graph) graph.style.display = this.graphEditorOpen ? 'flex' : 'none';
+        document.getElementById('tl-graph')?.classList.toggle('active', this.graphEditorOpen);
+        this.updateGraphEditor();
+    }
+    
+    getGraphCurves() {
+        // One curve per value component of each channel on the active object
+        const obj = this.selectedObjects[this.selectedObjects.length - 1];
+        const objClips = obj && this.clips[obj.id];
+        if (!objClips) return [];
+        
+        const { axisX, axisY, axisZ, accent, textMuted } = this.theme.colors;
+        const componentColors = [axisX, axisY, axisZ, textMuted];
+        const curves = [];
+        Object.entries(objClips).forEach(([prop, keyframes]) => {
+            if (keyframes.length === 0 || this.hiddenGraphChannels.has(prop)) return;
+            const size = keyframes[0].value.length;
+            for (let component = 0; component < size; component++) {
+                curves.push({ obj, prop, component, keyframes, color: size === 1 ? accent : componentColors[component] });
+            }
+        });
+        return curves;
+    }
+    
+    getGraphView(canvas, curves) {
+        let min = Infinity;
+        let max = -Infinity;
+        curves.forEach(c => c.keyframes.forEach(kf => {
+            min = Math.min(min, kf.value[c.component]);
+            max = Math.max(max, kf.value[c.component]);
+        }));
+        if (!Number.isFinite(min)) { min = 0; max = 1; }
+        if (max - min < 1e-3) { min -= 0.5; max += 0.5; }
+        const pad = (max - min) * 0.15;
+        const lo = min - pad;
+        const range = max - min + pad * 2;
+        
+        return {
+            toX: frame => (frame / this.totalFrames) * canvas.width,
+            toY: value => canvas.height - ((value - lo) / range) * canvas.height,
+            toFrame: x => (x / canvas.width) * this.totalFrames,
+            toValue: y => lo + ((canvas.height - y) / canvas.height) * range
+        };
+    }
+    
+    getGraphPoints(curves, view) {
+        // Keyframe points plus tangent handles on Bézier segments
+        const points = [];
+        curves.forEach(curve => {
+            const { keyframes, component } = curve;
+            keyframes.forEach((kf, i) => {
+                points.push({ type: 'key', curve, keyframe: kf, x: view.toX(kf.frame), y: view.toY(kf.value[component]) });
+                
+                const next = keyframes[i + 1];
+                if (!next || kf.interpolation !== 'bezier') return;
+                const [x1, y1, x2, y2] = getBezier(kf);
+                const df = next.frame - kf.frame;
+                const v0 = kf.value[component];
+                const dv = next.value[component] - v0;
+                points.push({ type: 'out', curve, keyframe: kf, next, anchor: kf, x: view.toX(kf.frame + x1 * df), y: view.toY(v0 + y1 * dv) });
+                points.push({ type: 'in', curve, keyframe: kf, next, anchor: next, x: view.toX(kf.frame + x2 * df), y: view.toY(v0 + y2 * dv) });
+            });
+        });
+        return points;
+    }
+    
+    updateGraphChannelList() {
+        const list = document.getElementById('graph-channels');
+        if (!list) return;
+        
+        const obj = this.selectedObjects[this.selectedObjects.length - 1];
+        const objClips = obj && this.clips[obj.id];
+        if (!objClips) {
+            list.innerHTML = '<div class="empty">Select an animated object</div>';
+            return;
+        }
+        
+        list.innerHTML = Object.keys(objClips).map(prop => `
+            <label class="graph-channel">
+                <input type="checkbox" data-prop="${prop}" ${this.hiddenGraphChannels.has(prop) ? '' : 'checked'}>
+                ${channels[prop]?.label || prop}
+            </label>
+        `).join('');
+        
+        list.querySelectorAll('input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                if (e.target.checked) this.hiddenGraphChannels.delete(e.target.dataset.prop);
+                else this.hiddenGraphChannels.add(e.target.dataset.prop);
+                this.updateGraphEditor();
+            });
+        });
+    }
+    
+    updateGraphEditor() {
+        if (!this.graphEditorOpen) return;
+        const canvas = document.getElementById('graph-canvas');
+        if (!canvas) return;
+        
+        // Channel list only changes with selection/clips; skip rebuilding it while dragging
+        if (!this.graphDrag) this.updateGraphChannelList();
+        
+        canvas.width = canvas.clientWidth;
+        canvas.height = canvas.clientHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        
+        const curves = this.getGraphCurves();
+        // Freeze the value range while dragging so the curve doesn't slide under the cursor
+        const view = this.graphDrag?.view || this.getGraphView(canvas, curves);
+        this.graphView = view;
+        
+        // Seconds grid
+        const fps = this.fps;
+        ctx.strokeStyle = this.theme.colors.primary;
+        ctx.lineWidth = 1;
+        for (let f = 0; f <= this.totalFrames; f += fps) {
+            ctx.beginPath();
+            ctx.moveTo(view.toX(f), 0);
+            ctx.lineTo(view.toX(f), canvas.height);
+            ctx.stroke();
+        }
+        
+        // Curves, sampled once per frame
+        const stepFrames = Math.max(1, Math.floor(this.totalFrames / canvas.width));
+        curves.forEach(curve => {
+            ctx.strokeStyle = curve.color;
+            ctx.beginPath();
+            for (let f = 0; f <= this.totalFrames; f += stepFrames) {
+                const v = this.interpolateKeyframes(curve.keyframes, f, channels[curve.prop])[curve.component];
+                if (f === 0) ctx.moveTo(view.toX(f), view.toY(v));
+                else ctx.lineTo(view.toX(f), view.toY(v));
+            }
+            ctx.stroke();
+        });
+        
+        // Handles, then keyframe points on top
+        const points = this.getGraphPoints(curves, view);
+        points.filter(p => p.type !== 'key').forEach(p => {
+            const anchor = points.find(k => k.type === 'key' && k.curve === p.curve && k.keyframe === p.anchor);
+            ctx.strokeStyle = this.theme.colors.textMuted;
+            ctx.beginPath();
+            ctx.moveTo(anchor.x, anchor.y);
+            ctx.lineTo(p.x, p.y);
+            ctx.stroke();
+            ctx.fillStyle = this.theme.colors.text;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        points.filter(p => p.type === 'key').forEach(p => {
+            const selected = this.graphSelection?.keyframe === p.keyframe;
+            ctx.fillStyle = selected ? this.theme.colors.selection : this.theme.colors.keyframe;
+            ctx.fillRect(p.x - 3, p.y - 3, 6, 6);
+        });
+        
+        // Playhead
+        ctx.strokeStyle = this.theme.colors.accent;
+        ctx.beginPath();
+        ctx.moveTo(view.toX(this.currentFrame), 0);
+        ctx.lineTo(view.toX(this.currentFrame), canvas.height);
+        ctx.stroke();
+        
+        const interpSelect = document.getElementById('tl-interp');
+        if (interpSelect && this.graphSelection) {
+            interpSelect.value = this.graphSelection.keyframe.interpolation || 'linear';
+        }
+    }
+    
+    onGraphMouseDown(e) {
+        const canvas = e.currentTarget;
+        const rect = canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        
+        const curves = this.getGraphCurves();
+        const view = this.getGraphView(canvas, curves);
+        
+        // Handles take priority so they can be grabbed where they overlap their key
+        const points = this.getGraphPoints(curves, view);
+        const hit = [...points].sort((a, b) => (a.type === 'key') - (b.type === 'key'))
+            .find(p => Math.abs(p.x - x) <= 6 && Math.abs(p.y - y) <= 6);
+        
+        if (!hit) {
+            this.graphSelection = null;
+            this.updateGraphEditor();
+            return;
+        }
+        
+        this.graphSelection = { objId: hit.curve.obj.id, prop: hit.curve.prop, keyframe: hit.keyframe };
+        this.graphDrag = { point: hit, view, rect, moved: false };
+        this.updateGraphEditor();
+    }
+    
+    onGraphMouseMove(e) {
+        if (!this.graphDrag) return;
+        const { point, view, rect } = this.graphDrag;
+        const { keyframes, component } = point.curve;
+        const frame = view.toFrame(e.clientX - rect.left);
+        const value = view.toValue(e.clientY - rect.top);
+        
+        if (point.type === 'key') {
+            const kf = point.keyframe;
+            const newFrame = THREE.MathUtils.clamp(Math.round(frame), 0, this.totalFrames);
+            // Keys can't land on another key's frame in the same channel
+            if (!keyframes.some(k => k !== kf && k.frame === newFrame)) kf.frame = newFrame;
+            kf.value[component] = value;
+            keyframes.sort((a, b) => a.frame - b.frame);
+        } else {
+            const kf = point.keyframe;
+            const df = point.next.frame - kf.frame;
+            const v0 = kf.value[component];
+            const dv = point.next.value[component] - v0;
+            const bezier = kf.bezier || (kf.bezier = [...defaultBezier]);
+            const i = point.type === 'out' ? 0 : 2;
+            bezier[i] = THREE.MathUtils.clamp((frame - kf.frame) / df, 0, 1);
+            // A flat segment has no value range to express the handle's height in
+            if (Math.abs(dv) > 1e-6) bezier[i + 1] = (value - v0) / dv;
+        }
+        
+        this.graphDrag.moved = true;
+        this.applyFrame();
+        this.updateGraphEditor();
+    }
+    
+    onGraphMouseUp() {
+        if (!this.graphDrag) return;
+        const { moved, point } = this.graphDrag;
+        this.graphDrag = null;
+        
+        if (moved) {
+            this.saveState('Edit Keyframe Curve', [point.curve.obj.id]);
+            this.updateTimeline();
+        }
+    }
+    
     // ==================== CAMERA PREVIEW ====================
     
     setupCameraPreview() {
@@ -701,6 +3679,11 @@ class MeshEditor {
                 <div class="camera-select">
                     <select id="camera-select"><option value="">No Camera</option></select>
                 </div>
+                <button class="tl-btn" id="camera-look-through" title="Look through camera (Numpad 0)">🎥 Look Through</button>
+                <div class="camera-overlay-options">
+                    <label><input type="checkbox" id="camera-safe-frames" ${this.cameraOverlays.safeFrames ? 'checked' : ''}> Safe frames</label>
+                    <label><input type="checkbox" id="camera-thirds" ${this.cameraOverlays.thirds ? 'checked' : ''}> Thirds</label>
+                </div>
             </div>
         `;
         
@@ -711,12 +3694,37 @@ class MeshEditor {
         document.getElementById('camera-select')?.addEventListener('change', (e) => {
             const camId = parseInt(e.target.value);
             this.activeSceneCamera = this.sceneCameras.find(c => c.id === camId) || null;
+            if (!this.activeSceneCamera) this.exitLookThrough();
+        });
+        document.getElementById('camera-look-through')?.addEventListener('click', () => this.toggleLookThrough());
+        document.getElementById('camera-safe-frames')?.addEventListener('change', (e) => {
+            this.cameraOverlays.safeFrames = e.target.checked;
+            this.updateCameraOverlay();
+        });
+        document.getElementById('camera-thirds')?.addEventListener('change', (e) => {
+            this.cameraOverlays.thirds = e.target.checked;
+            this.updateCameraOverlay();
         });
         
+        // Safe-frame/thirds guides drawn over the viewport while looking through a camera
+        this.cameraOverlay = document.createElement('div');
+        this.cameraOverlay.className = 'camera-overlay';
+        this.cameraOverlay.innerHTML = `
+            <div class="safe-frame action"></div>
+            <div class="safe-frame title"></div>
+            <div class="thirds"><i></i><i></i><i></i><i></i></div>
+        `;
+        document.body.appendChild(this.cameraOverlay);
+        
         this.updateCameraList();
     }
     
     updateCameraList() {
+        // Objects are rebuilt on undo/load and removed on delete, so re-resolve the active camera by id
+        const activeId = this.activeSceneCamera?.id;
+        this.activeSceneCamera = this.sceneCameras.find(c => c.id === activeId) || null;
+        if (!this.activeSceneCamera) this.exitLookThrough();
+        
         const select = document.getElementById('camera-select');
         if (!select) return;
         
@@ -730,29 +3738,350 @@ class MeshEditor {
         });
     }
     
+    toggleLookThrough() {
+        const viewport = this.activeViewport;
+        this.setView(viewport.view === 'camera' ? viewport.previousView : 'camera');
+    }
+    
+    exitLookThrough() {
+        this.viewports?.forEach(viewport => {
+            if (viewport.view === 'camera') this.setViewportView(viewport, viewport.previousView);
+        });
+        this.updateViewportControls();
+    }
+    
+    getLookThroughRect(paneRect) {
+        // Largest rect with the camera's aspect ratio centered in the pane
+        const aspect = getAspect(this.activeSceneCamera.camera);
+        let width = paneRect.width;
+        let height = width / aspect;
+        if (height > paneRect.height) {
+            height = paneRect.height;
+            width = height * aspect;
+        }
+        return {
+            x: paneRect.x + (paneRect.width - width) / 2,
+            y: paneRect.y + (paneRect.height - height) / 2,
+            width,
+            height
+        };
+    }
+    
+    renderLookThrough(paneRect) {
+        const rect = this.getLookThroughRect(paneRect);
+        const content = this.activeSceneCamera.mesh.userData.content;
+        
+        // Letterbox the camera frame; hide the camera's own helper and the gizmo so they don't block the view
+        this.setRenderRect(paneRect);
+        this.renderer.clear();
+        
+        this.setRenderRect(rect);
+        const gizmoVisible = this.transformControls.visible;
+        content.visible = false;
+        this.transformControls.visible = false;
+        this.renderer.render(this.scene, this.activeSceneCamera.mesh.userData.camera);
+        content.visible = true;
+        this.transformControls.visible = gizmoVisible;
+        
+        this.updateCameraOverlay(rect);
+    }
+    
+    updateCameraOverlay(rect = null) {
+        const overlay = this.cameraOverlay;
+        if (!overlay) return;
+        const viewport = this.getVisibleViewports().find(v => v.view === 'camera');
+        const show = !!viewport && !!this.activeSceneCamera;
+        overlay.style.display = show ? 'block' : 'none';
+        if (!show) return;
+        
+        rect = rect || this.getLookThroughRect(this.getViewportRect(viewport));
+        const canvasRect = this.renderer.domElement.getBoundingClientRect();
+        overlay.style.left = `${canvasRect.left + rect.x}px`;
+        overlay.style.top = `${canvasRect.top + rect.y}px`;
+        overlay.style.width = `${rect.width}px`;
+        overlay.style.height = `${rect.height}px`;
+        overlay.querySelectorAll('.safe-frame').forEach(el => { el.style.display = this.cameraOverlays.safeFrames ? 'block' : 'none'; });
+        overlay.querySelector('.thirds').style.display = this.cameraOverlays.thirds ? 'block' : 'none';
+    }
+    
     renderCameraPreview() {
         if (!this.activeSceneCamera || !this.previewRenderer) return;
         
+        // The lens camera is a child of the camera object, so it already carries the object's world transform
         const previewCam = this.activeSceneCamera.mesh.userData.camera;
         if (!previewCam) return;
         
-        // Sync preview camera to camera object
-        previewCam.position.copy(this.activeSceneCamera.mesh.position);
-        previewCam.rotation.copy(this.activeSceneCamera.mesh.rotation);
+        // Match the preview's shape to the camera's aspect preset
+        const height = Math.round(240 / getAspect(this.activeSceneCamera.camera));
+        if (this.previewRenderer.domElement.height !== height) this.previewRenderer.setSize(240, height);
         
+        const content = this.activeSceneCamera.mesh.userData.content;
+        content.visible = false;
         this.previewRenderer.render(this.scene, previewCam);
+        content.visible = true;
+    }
+    
+    // ==================== RENDER TO FILE ====================
+    
+    openRenderDialog() {
+        if (this.renderJob) return;
+        if (this.sceneCameras.length === 0) {
+            alert('Add a camera to render from.');
+            return;
+        }
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal">
+                <div class="modal-title">Render Animation</div>
+                <div class="param-row"><span class="param-label">Camera</span><select id="render-camera">
+                    ${this.sceneCameras.map(c => `<option value="${c.id}" ${c === this.activeSceneCamera ? 'selected' : ''}>${c.name}</option>`).join('')}
+                </select></div>
+                <div class="param-row"><span class="param-label">Width</span><input id="render-width" type="number" min="16" max="7680" step="2" value="1920"></div>
+                <div class="param-row"><span class="param-label">Height</span><input id="render-height" type="number" min="16" max="4320" step="2" value="1080"></div>
+                <div class="param-row"><span class="param-label">Frames</span><select id="render-range">
+                    <option value="range">In/Out (${this.frameIn}-${this.frameOut})</option>
+                    <option value="all">All (0-${this.totalFrames})</option>
+                </select></div>
+                <div class="param-row"><span class="param-label">Format</span><select id="render-format">
+                    <option value="png">PNG sequence (.zip)</option>
+                    <option value="webm">WebM video</option>
+                </select></div>
+                <div class="render-progress" id="render-progress">
+                    <div class="progress-bar"><div class="progress-fill" id="render-progress-fill"></div></div>
+                    <span id="render-progress-text"></span>
+                </div>
+                <div class="modal-actions">
+                    <button class="tl-btn" id="render-cancel">Cancel</button>
+                    <button class="tl-btn active" id="render-start">Render</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        
+        // Keep the output shape matching the chosen camera's aspect preset
+        const fitHeight = () => {
+            const cam = this.sceneCameras.find(c => c.id === parseInt(overlay.querySelector('#render-camera').value));
+            const width = parseInt(overlay.querySelector('#render-width').value) || 1920;
+            overlay.querySelector('#render-height').value = Math.round(width / getAspect(cam.camera) / 2) * 2;
+        };
+        overlay.querySelector('#render-camera').addEventListener('change', fitHeight);
+        overlay.querySelector('#render-width').addEventListener('change', fitHeight);
+        fitHeight();
+        
+        overlay.querySelector('#render-cancel').addEventListener('click', () => {
+            if (this.renderJob) this.renderJob.cancelled = true;
+            else overlay.remove();
+        });
+        overlay.querySelector('#render-start').addEventListener('click', () => {
+            const all = overlay.querySelector('#render-range').value === 'all';
+            this.renderAnimation({
+                camera: this.sceneCameras.find(c => c.id === parseInt(overlay.querySelector('#render-camera').value)),
+                width: THREE.MathUtils.clamp(parseInt(overlay.querySelector('#render-width').value) || 1920, 16, 7680),
+                height: THREE.MathUtils.clamp(parseInt(overlay.querySelector('#render-height').value) || 1080, 16, 4320),
+                start: all ? 0 : this.frameIn,
+                end: all ? this.totalFrames : this.frameOut,
+                format: overlay.querySelector('#render-format').value
+            }, overlay);
+        });
+    }
+    
+    renderAnimation(settings, overlay) {
+        if (settings.format !== 'webm') {
+            this.renderFrames(settings, overlay, null);
+            return;
+        }
+        overlay.querySelector('#render-start').disabled = true;
+        findWebMConfig({ width: settings.width, height: settings.height, bitrate: 8e6, framerate: this.fps }).then(config => {
+            if (!overlay.isConnected) return;
+            if (config) {
+                this.renderFrames(settings, overlay, config);
+            } else {
+                overlay.querySelector('#render-start').disabled = false;
+                alert('This browser cannot encode WebM video. Use the PNG sequence instead.');
+            }
+        });
+    }
+    
+    // videoConfig: VideoEncoder config for WebM, or null for a PNG sequence
+    renderFrames(settings, overlay, videoConfig) {
+        const { camera, width, height, start, end } = settings;
+        const fps = this.fps;
+        
+        const renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
+        renderer.setPixelRatio(1);
+        renderer.setSize(width, height, false);
+        renderer.shadowMap.enabled = true;
+        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        
+        const renderCam = createCamera(camera.camera, width / height);
+        
+        const job = { cancelled: false, failed: false, zip: videoConfig ? null : createZipWriter() };
+        this.renderJob = job;
+        if (this.isPlaying) this.togglePlay();
+        const savedFrame = this.currentFrame;
+        
+        overlay.querySelectorAll('select, input, #render-start').forEach(el => { el.disabled = true; });
+        overlay.querySelector('#render-progress').style.display = 'flex';
+        const progressFill = overlay.querySelector('#render-progress-fill');
+        const progressText = overlay.querySelector('#render-progress-text');
+        
+        let encoder = null;
+        let webm = null;
+        const finish = () => {
+            if (encoder && encoder.state !== 'closed') encoder.close();
+            renderer.dispose();
+            this.renderJob = null;
+            this.currentFrame = savedFrame;
+            this.applyFrame();
+            this.updatePlayhead();
+            overlay.remove();
+        };
+        
+        const fail = (err) => {
+            if (job.failed) return;
+            job.failed = true;
+            console.error('Render failed:', err);
+            alert(`The render failed: ${err?.message || err}`);
+            finish();
+        };
+        
+        // Each frame is stamped with its place on the timeline, so the video plays at the scene fps
+        // however long the frames took to render
+        if (videoConfig) {
+            webm = createWebMWriter(videoConfig);
+            encoder = new VideoEncoder({ output: chunk => webm.add(chunk), error: fail });
+            encoder.configure(videoConfig);
+        }
+        
+        const renderFrame = (frame) => {
+            if (job.failed) return;
+            if (job.cancelled) {
+                finish();
+                return;
+            }
+            if (frame > end) {
+                if (encoder) {
+                    progressText.textContent = 'Finishing video…';
+                    encoder.flush().then(() => {
+                        if (!job.cancelled) this.downloadBlob(webm.finish(), 'render.webm');
+                        finish();
+                    }, fail);
+                } else {
+                    this.downloadBlob(job.zip.finish(), 'render.zip');
+                    finish();
+                }
+                return;
+            }
+            
+            this.currentFrame = frame;
+            this.applyFrame();
+            this.updateConstraints();
+            this.updatePlayhead();
+            
+            // Lens keyframes may have changed the camera this frame
+            updateCamera(renderCam, camera.camera, width / height);
+            camera.mesh.updateWorldMatrix(true, false);
+            camera.mesh.matrixWorld.decompose(renderCam.position, renderCam.quaternion, renderCam.scale);
+            renderCam.scale.set(1, 1, 1);
+            
+            const restoreOverlays = this.hideEditorOverlays();
+            renderer.render(this.scene, renderCam);
+            restoreOverlays();
+            
+            const done = frame - start + 1;
+            const total = end - start + 1;
+            progressFill.style.width = `${(done / total) * 100}%`;
+            progressText.textContent = `Frame ${done} / ${total}`;
+            
+            if (encoder) {
+                const videoFrame = new VideoFrame(renderer.domElement, {
+                    timestamp: Math.round((frame - start) * 1e6 / fps),
+                    duration: Math.round(1e6 / fps)
+                });
+                // A keyframe every two seconds keeps the video seekable
+                encoder.encode(videoFrame, { keyFrame: (frame - start) % Math.max(1, Math.round(fps * 2)) === 0 });
+                videoFrame.close();
+                // Let the encoder catch up before queueing more frames
+                const next = () => {
+                    if (encoder.encodeQueueSize > 2) setTimeout(next, 10);
+                    else renderFrame(frame + 1);
+                };
+                next();
+                return;
+            }
+            
+            renderer.domElement.toBlob(blob => {
+                if (!blob) {
+                    fail(new Error(`Frame ${frame} could not be encoded as PNG`));
+                    return;
+                }
+                blob.arrayBuffer().then(buffer => {
+                    job.zip.add(`frame_${String(frame).padStart(4, '0')}.png`, new Uint8Array(buffer));
+                    renderFrame(frame + 1);
+                }, fail);
+            }, 'image/png');
+        };
+        
+        renderFrame(start);
+    }
+    
+    hideEditorOverlays() {
+        // Hide grids, gizmos, helpers and selection tint for a clean render; returns a function that restores them
+        const hidden = [this.transformControls, this.cursor3D, this.snapIndicator, this.editOverlay, this.axesHelper, ...Object.values(this.grids)].filter(Boolean);
+        this.objects.forEach(o => {
+            if (o.type === 'camera' || o.type === 'group' || o.type === 'path') {
+                hidden.push(o.mesh.userData.content);
+            } else if (isLight(o.type)) {
+                hidden.push(...o.mesh.userData.content.children.filter(c => c !== o.mesh.userData.light));
+            }
+        });
+        const wasVisible = hidden.map(obj => obj.visible);
+        hidden.forEach(obj => { obj.visible = false; });
+        
+        const selection = this.selectedObjects;
+        this.selectedObjects = [];
+        selection.forEach(o => this.updateObjectHighlight(o));
+        
+        return () => {
+            hidden.forEach((obj, i) => { obj.visible = wasVisible[i]; });
+            this.selectedObjects = selection;
+            selection.forEach(o => this.updateObjectHighlight(o));
+        };
+    }
+    
+    downloadBlob(blob, filename) {
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = filename;
+        a.click();
     }
     
     // ==================== UI UPDATES ====================
     
     updateObjectList() {
-        const container = document.getElementById('panel-content-objects');
+        const container = document.getElementById('object-list');
         if (!container) return;
         
         container.innerHTML = '';
-        this.objects.forEach(o => {
+        
+        // Dropping on empty space moves the dragged object back to the scene root
+        container.ondragover = (e) => e.preventDefault();
+        container.ondrop = (e) => {
+            e.preventDefault();
+            const dragged = this.objects.find(o => o.id === this.draggedObjectId);
+            if (dragged) this.reparentObject(dragged, null);
+        };
+        
+        const addItem = (o, depth) => {
             const item = document.createElement('div');
             item.className = 'object-item' + (this.selectedObjects.includes(o) ? ' selected' : '');
+            item.style.paddingLeft = `${8 + depth * 14}px`;
+            item.draggable = true;
+            
+            const children = this.getChildren(o);
+            const collapsed = this.collapsedIds.has(o.id);
             
             let trackingHtml = '';
             if (o.type === 'camera') {
@@ -767,9 +4096,11 @@ class MeshEditor {
             }
             
             item.innerHTML = `
-                <span class="obj-icon">${o.type === 'camera' ? '🎥' : o.type === 'cube' ? '📦' : '⬜'}</span>
+                <span class="obj-toggle">${children.length > 0 ? (collapsed ? '▸' : '▾') : ''}</span>
+                <span class="obj-icon">${this.getObjectIcon(o)}</span>
                 <input type="text" class="obj-name" value="${o.name}" data-id="${o.id}">
                 ${trackingHtml}
+                <span class="obj-visibility${o.mesh.visible ? '' : ' hidden'}" title="Toggle visibility">👁</span>
             `;
             
             item.addEventListener('click', (e) => {
@@ -786,8 +4117,58 @@ class MeshEditor {
                 this.setCameraTrackTarget(o.id, e.target.value ? parseInt(e.target.value) : null);
             });
             
+            item.querySelector('.obj-visibility')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                o.mesh.visible = !o.mesh.visible;
+                this.saveState(`${o.mesh.visible ? 'Show' : 'Hide'} ${o.name}`, [o.id]);
+                this.updateObjectList();
+            });
+            
+            item.querySelector('.obj-toggle')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (children.length === 0) return;
+                if (collapsed) this.collapsedIds.delete(o.id); else this.collapsedIds.add(o.id);
+                this.updateObjectList();
+            });
+            
+            item.addEventListener('dragstart', (e) => {
+                this.draggedObjectId = o.id;
+                e.dataTransfer.effectAllowed = 'move';
+            });
+            item.addEventListener('dragend', () => { this.draggedObjectId = null; });
+            item.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                item.classList.add('drop-target');
+            });
+            item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                item.classList.remove('drop-target');
+                const dragged = this.objects.find(d => d.id === this.draggedObjectId);
+                if (dragged && dragged !== o) {
+                    this.collapsedIds.delete(o.id);
+                    this.reparentObject(dragged, o);
+                }
+            });
+            
             container.appendChild(item);
-        });
+            if (!collapsed) children.forEach(child => addItem(child, depth + 1));
+        };
+        
+        this.objects.filter(o => !this.getParent(o)).forEach(o => addItem(o, 0));
+    }
+    
+    getObjectIcon(o) {
+        if (o.type === 'camera') return '🎥';
+        if (o.type === 'imported') return '📥';
+        if (o.type === 'group') return '📁';
+        if (o.type === 'path') return '〰️';
+        if (o.type === 'mesh') return '🔶';
+        if (o.type === 'boolean') return booleanOperations[o.boolean.operation].icon;
+        if (isLight(o.type)) return lightTypes[o.type].icon;
+        return primitives[o.type]?.icon || '⬜';
     }
     
     setCameraTrackTarget(cameraId, targetId) {
@@ -796,7 +4177,15 @@ class MeshEditor {
         } else {
             delete this.cameraTrackTargets[cameraId];
         }
-        this.saveState();
+        const camera = this.objects.find(o => o.id === cameraId);
+        const target = this.objects.find(o => o.id === targetId);
+        this.saveState(target ? `Track ${target.name} with ${camera?.name}` : `Clear Tracking on ${camera?.name}`);
+    }
+    
+    updateConstraints() {
+        // Path following places objects first, so look-at tracking can aim from the new position
+        this.updatePathFollow();
+        this.updateCameraTracking();
     }
     
     updateCameraTracking() {
@@ -805,66 +4194,441 @@ class MeshEditor {
             const cam = this.objects.find(o => o.id === parseInt(camId));
             const target = this.objects.find(o => o.id === targetId);
             if (cam && target) {
-                cam.mesh.lookAt(target.mesh.position);
+                this.aimAt(cam.mesh, target.mesh.getWorldPosition(new THREE.Vector3()));
             }
         });
     }
     
+    aimAt(mesh, target, roll = 0) {
+        // Point the object's -Z axis at a world position. Cameras and lights look down -Z, but
+        // Object3D.lookAt() on a plain group turns +Z towards the target instead.
+        mesh.updateWorldMatrix(true, false);
+        const position = new THREE.Vector3().setFromMatrixPosition(mesh.matrixWorld);
+        mesh.quaternion.setFromRotationMatrix(new THREE.Matrix4().lookAt(position, target, mesh.up));
+        if (roll) mesh.quaternion.multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), roll));
+        if (mesh.parent) {
+            mesh.quaternion.premultiply(mesh.parent.getWorldQuaternion(new THREE.Quaternion()).invert());
+        }
+    }
+    
     updateTransformPanel() {
         const container = document.getElementById('panel-content-transform');
         if (!container) return;
         
-        if (this.selectedObjects.length === 0) {
-            container.innerHTML = '<div class="empty">No selection</div>';
-            return;
-        }
-        
-        const obj = this.selectedObjects[this.selectedObjects.length - 1];
-        const m = obj.mesh;
+        const objects = this.selectedObjects;
+        const multiple = objects.length > 1;
+        const offset = multiple && this.transformPanelMode === 'offset';
+        const fields = [
+            { prop: 'position', label: offset ? 'Move By' : 'Position', step: 0.1, format: v => v.toFixed(2) },
+            { prop: 'rotation', label: offset ? 'Rotate By (°)' : 'Rotation (°)', step: 5, format: v => THREE.MathUtils.radToDeg(v).toFixed(0) },
+            { prop: 'scale', label: offset ? 'Scale By (×)' : 'Scale', step: 0.1, format: v => v.toFixed(2) }
+        ];
+        // Offset fields start at "no change"; absolute fields are left blank where the selection differs
+        const fieldValue = (field, axis) => {
+            if (offset) return field.prop === 'scale' ? '1' : '0';
+            const values = objects.map(o => field.format(o.mesh[field.prop][axis]));
+            return values.every(v => v === values[0]) ? values[0] : '';
+        };
+        const cursor = this.cursor3D.position;
         
         container.innerHTML = `
             <div class="transform-group">
-                <label>Position</label>
-                <div class="transform-row">
-                    <span class="axis-label" style="color:var(--color-axisX)">X</span>
-                    <input type="number" step="0.1" value="${m.position.x.toFixed(2)}" data-prop="position.x">
-                    <span class="axis-label" style="color:var(--color-axisY)">Y</span>
-                    <input type="number" step="0.1" value="${m.position.y.toFixed(2)}" data-prop="position.y">
-                    <span class="axis-label" style="color:var(--color-axisZ)">Z</span>
-                    <input type="number" step="0.1" value="${m.position.z.toFixed(2)}" data-prop="position.z">
+                <div class="param-row"><span class="param-label">Pivot</span><select id="transform-pivot">
+                    ${Object.entries(pivotModes).map(([mode, def]) => `<option value="${mode}" ${this.pivotMode === mode ? 'selected' : ''}>${def.label}</option>`).join('')}
+                </select></div>
+                <div class="grid-buttons">
+                    ${Object.entries(transformSpaces).map(([space, def]) => `<button class="grid-btn ${this.transformSpace === space ? 'active' : ''}" data-space="${space}">${def.label}</button>`).join('')}
                 </div>
             </div>
+            ${objects.length === 0 ? '<div class="empty">No selection</div>' : `
+                ${multiple ? `
+                    <div class="transform-group">
+                        <label>${objects.length} objects, active: ${this.getActiveObject().name}</label>
+                        <div class="grid-buttons">
+                            <button class="grid-btn ${offset ? '' : 'active'}" data-panel-mode="absolute" title="Set the same value on every object">Absolute</button>
+                            <button class="grid-btn ${offset ? 'active' : ''}" data-panel-mode="offset" title="Add to each object's own value">Offset</button>
+                        </div>
+                    </div>
+                ` : ''}
+                ${fields.map(field => `
+                    <div class="transform-group">
+                        <label>${field.label}</label>
+                        <div class="transform-row">
+                            ${['x', 'y', 'z'].map(axis => `
+                                <span class="axis-label" style="color:var(--color-axis${axis.toUpperCase()})">${axis.toUpperCase()}</span>
+                                <input type="number" step="${field.step}" value="${fieldValue(field, axis)}" placeholder="${multiple ? '—' : ''}" data-prop="${field.prop}.${axis}">
+                            `).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+            `}
             <div class="transform-group">
-                <label>Rotation (°)</label>
+                <label>3D Cursor (Shift+Right-click)</label>
                 <div class="transform-row">
-                    <span class="axis-label" style="color:var(--color-axisX)">X</span>
-                    <input type="number" step="5" value="${THREE.MathUtils.radToDeg(m.rotation.x).toFixed(0)}" data-prop="rotation.x">
-                    <span class="axis-label" style="color:var(--color-axisY)">Y</span>
-                    <input type="number" step="5" value="${THREE.MathUtils.radToDeg(m.rotation.y).toFixed(0)}" data-prop="rotation.y">
-                    <span class="axis-label" style="color:var(--color-axisZ)">Z</span>
-                    <input type="number" step="5" value="${THREE.MathUtils.radToDeg(m.rotation.z).toFixed(0)}" data-prop="rotation.z">
+                    ${['x', 'y', 'z'].map(axis => `
+                        <span class="axis-label" style="color:var(--color-axis${axis.toUpperCase()})">${axis.toUpperCase()}</span>
+                        <input type="number" step="0.1" value="${cursor[axis].toFixed(2)}" data-cursor="${axis}">
+                    `).join('')}
                 </div>
-            </div>
-            <div class="transform-group">
-                <label>Scale</label>
-                <div class="transform-row">
-                    <span class="axis-label" style="color:var(--color-axisX)">X</span>
-                    <input type="number" step="0.1" value="${m.scale.x.toFixed(2)}" data-prop="scale.x">
-                    <span class="axis-label" style="color:var(--color-axisY)">Y</span>
-                    <input type="number" step="0.1" value="${m.scale.y.toFixed(2)}" data-prop="scale.y">
-                    <span class="axis-label" style="color:var(--color-axisZ)">Z</span>
-                    <input type="number" step="0.1" value="${m.scale.z.toFixed(2)}" data-prop="scale.z">
+                <div class="param-row">
+                    <button class="tl-btn" id="cursor-to-selection">To Selection</button>
+                    <button class="tl-btn" id="cursor-reset">Reset</button>
                 </div>
             </div>
         `;
         
-        container.querySelectorAll('input').forEach(input => {
+        container.querySelector('#transform-pivot').addEventListener('change', (e) => this.setPivotMode(e.target.value));
+        container.querySelectorAll('[data-space]').forEach(btn => {
+            btn.addEventListener('click', () => this.setTransformSpace(btn.dataset.space));
+        });
+        container.querySelectorAll('[data-panel-mode]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.transformPanelMode = btn.dataset.panelMode;
+                this.updateTransformPanel();
+            });
+        });
+        container.querySelectorAll('[data-prop]').forEach(input => {
             input.addEventListener('change', (e) => {
                 const [prop, axis] = e.target.dataset.prop.split('.');
                 let val = parseFloat(e.target.value);
+                if (Number.isNaN(val)) return;
                 if (prop === 'rotation') val = THREE.MathUtils.degToRad(val);
+                const propLabel = `${prop[0].toUpperCase()}${prop.slice(1)} ${axis.toUpperCase()}`;
+                
+                if (offset) {
+                    // Children of selected objects already follow their parent
+                    this.getTransformRoots().forEach(o => {
+                        if (prop === 'scale') o.mesh.scale[axis] *= val;
+                        else o.mesh[prop][axis] += val;
+                    });
+                    this.saveState(`Offset ${this.describeObjects(this.selectedObjects)} ${propLabel}`, this.getTransformRoots().map(o => o.id));
+                    this.updateTransformPanel();
+                    return;
+                }
                 this.selectedObjects.forEach(o => { o.mesh[prop][axis] = val; });
-                this.saveState();
+                this.saveState(`Set ${this.describeObjects(this.selectedObjects)} ${propLabel}`, this.selectedObjects.map(o => o.id));
+            });
+        });
+        container.querySelectorAll('[data-cursor]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const val = parseFloat(e.target.value);
+                if (!Number.isNaN(val)) this.cursor3D.position[e.target.dataset.cursor] = val;
+            });
+        });
+        container.querySelector('#cursor-to-selection').addEventListener('click', () => {
+            if (objects.length === 0) return;
+            const center = new THREE.Vector3();
+            objects.forEach(o => center.add(o.mesh.getWorldPosition(new THREE.Vector3())));
+            this.setCursorPosition(center.divideScalar(objects.length));
+        });
+        container.querySelector('#cursor-reset').addEventListener('click', () => this.setCursorPosition(new THREE.Vector3()));
+    }
+    
+    updatePropertyPanels() {
+        this.updateTransformPanel();
+        this.updateAlignPanel();
+        this.updateGeometryPanel();
+        this.updateEditMeshPanel();
+        this.updateModifierPanel();
+        this.updateBooleanPanel();
+        this.updateMaterialPanel();
+        this.updateLightPanel();
+        this.updateLensPanel();
+        this.updatePathPanel();
+        this.updateConstraintsPanel();
+        this.updateGraphEditor();
+    }
+    
+    updateGeometryPanel() {
+        const container = document.getElementById('panel-content-geometry');
+        if (!container) return;
+        
+        const obj = this.selectedObjects[this.selectedObjects.length - 1];
+        if (obj?.type === 'mesh') {
+            container.innerHTML = `<div class="empty">Edited mesh: ${obj.geometry.vertices.length} vertices, ${obj.geometry.faces.length} faces</div>`;
+            return;
+        }
+        if (obj?.type === 'boolean') {
+            container.innerHTML = `<div class="empty">Live ${booleanOperations[obj.boolean.operation].label.toLowerCase()} of ${obj.boolean.operands.length} objects</div>`;
+            return;
+        }
+        if (!obj || !isPrimitive(obj.type)) {
+            container.innerHTML = '<div class="empty">No primitive selected</div>';
+            return;
+        }
+        
+        const defs = primitives[obj.type].params;
+        container.innerHTML = `
+            <div class="transform-group">
+                <label>${primitives[obj.type].label}</label>
+                ${Object.entries(defs).map(([key, def]) => `
+                    <div class="param-row">
+                        <span class="param-label">${def.label}</span>
+                        <input type="number" step="${def.step}" ${def.min !== undefined ? `min="${def.min}"` : ''} ${def.max !== undefined ? `max="${def.max}"` : ''} value="${obj.params[key]}" data-param="${key}">
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        
+        container.querySelectorAll('input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.setPrimitiveParam(obj, e.target.dataset.param, parseFloat(e.target.value));
+                this.updateGeometryPanel();
+            });
+        });
+    }
+    
+    updateMaterialPanel() {
+        const container = document.getElementById('panel-content-material');
+        if (!container) return;
+        
+        const obj = this.selectedObjects[this.selectedObjects.length - 1];
+        if (!obj || !obj.material) {
+            container.innerHTML = '<div class="empty">No editable material</div>';
+            return;
+        }
+        
+        const m = obj.material;
+        container.innerHTML = `
+            <div class="param-row">
+                <span class="param-label">Color</span>
+                <input type="color" value="${m.color}" data-mat="color">
+            </div>
+            <div class="param-row">
+                <span class="param-label">Metalness</span>
+                <input type="number" step="0.05" min="0" max="1" value="${m.metalness}" data-mat="metalness">
+            </div>
+            <div class="param-row">
+                <span class="param-label">Roughness</span>
+                <input type="number" step="0.05" min="0" max="1" value="${m.roughness}" data-mat="roughness">
+            </div>
+            <div class="param-row">
+                <span class="param-label">Opacity</span>
+                <input type="number" step="0.05" min="0" max="1" value="${m.opacity}" data-mat="opacity">
+            </div>
+            <div class="param-row">
+                <span class="param-label">Emissive</span>
+                <input type="color" value="${m.emissive}" data-mat="emissive">
+            </div>
+            <div class="param-row">
+                <span class="param-label">Emissive Intensity</span>
+                <input type="number" step="0.1" min="0" value="${m.emissiveIntensity}" data-mat="emissiveIntensity">
+            </div>
+            <div class="param-row">
+                <span class="param-label">Wireframe</span>
+                <input type="checkbox" ${m.wireframe ? 'checked' : ''} data-mat="wireframe">
+            </div>
+            <div class="param-row">
+                <span class="param-label">Side</span>
+                <select data-mat="side">
+                    ${['front', 'back', 'double'].map(side => `<option value="${side}" ${m.side === side ? 'selected' : ''}>${side}</option>`).join('')}
+                </select>
+            </div>
+        `;
+        
+        const readValue = (el) => {
+            if (el.type === 'checkbox') return el.checked;
+            if (el.type === 'number') return THREE.MathUtils.clamp(parseFloat(el.value) || 0, parseFloat(el.min) || 0, el.max ? parseFloat(el.max) : Infinity);
+            return el.value;
+        };
+        
+        container.querySelectorAll('[data-mat]').forEach(el => {
+            // Live preview while dragging color pickers, one undo step on commit
+            el.addEventListener('input', (e) => this.setMaterialProp(e.target.dataset.mat, readValue(e.target)));
+            el.addEventListener('change', (e) => {
+                this.setMaterialProp(e.target.dataset.mat, readValue(e.target));
+                this.saveState(`Edit ${this.describeObjects(this.selectedObjects)} Material`, this.selectedObjects.map(o => o.id));
+            });
+        });
+    }
+    
+    updateLightPanel() {
+        const container = document.getElementById('panel-content-light');
+        if (!container) return;
+        
+        const obj = this.selectedObjects[this.selectedObjects.length - 1];
+        if (!obj || !obj.light) {
+            container.innerHTML = '<div class="empty">No light selected</div>';
+            return;
+        }
+        
+        const defs = lightTypes[obj.type].props;
+        container.innerHTML = `
+            <div class="transform-group">
+                <label>${lightTypes[obj.type].label}</label>
+                ${Object.entries(defs).map(([key, def]) => {
+                    const val = obj.light[key];
+                    let input;
+                    if (def.type === 'color') {
+                        input = `<input type="color" value="${val}" data-light="${key}">`;
+                    } else if (def.type === 'boolean') {
+                        input = `<input type="checkbox" ${val ? 'checked' : ''} data-light="${key}">`;
+                    } else {
+                        input = `<input type="number" step="${def.step}" ${def.min !== undefined ? `min="${def.min}"` : ''} ${def.max !== undefined ? `max="${def.max}"` : ''} value="${val}" data-light="${key}">`;
+                    }
+                    return `<div class="param-row"><span class="param-label">${def.label}</span>${input}</div>`;
+                }).join('')}
+            </div>
+        `;
+        
+        const readValue = (el) => {
+            if (el.type === 'checkbox') return el.checked;
+            if (el.type === 'number') return parseFloat(el.value);
+            return el.value;
+        };
+        
+        container.querySelectorAll('[data-light]').forEach(el => {
+            el.addEventListener('input', (e) => this.setLightProp(obj, e.target.dataset.light, readValue(e.target)));
+            el.addEventListener('change', (e) => {
+                this.setLightProp(obj, e.target.dataset.light, readValue(e.target));
+                this.saveState(`Edit ${obj.name} Light`, [obj.id]);
+            });
+        });
+    }
+    
+    updateLensPanel() {
+        const container = document.getElementById('panel-content-lens');
+        if (!container) return;
+        
+        const obj = this.selectedObjects[this.selectedObjects.length - 1];
+        if (!obj || !obj.camera) {
+            container.innerHTML = '<div class="empty">No camera selected</div>';
+            return;
+        }
+        
+        // Perspective cameras show FOV and the equivalent focal length; orthographic ones their view height
+        const lens = obj.camera;
+        const ortho = lens.projection === 'orthographic';
+        const row = (key) => {
+            const def = cameraProps[key];
+            const input = def.type === 'select'
+                ? `<select data-lens="${key}">${Object.entries(def.options).map(([value, label]) => `<option value="${value}" ${lens[key] === value ? 'selected' : ''}>${label}</option>`).join('')}</select>`
+                : `<input type="number" step="${def.step}" ${def.min !== undefined ? `min="${def.min}"` : ''} ${def.max !== undefined ? `max="${def.max}"` : ''} value="${+lens[key].toFixed(3)}" data-lens="${key}">`;
+            return `<div class="param-row"><span class="param-label">${def.label}</span>${input}</div>`;
+        };
+        
+        container.innerHTML = `
+            <div class="transform-group">
+                ${row('projection')}
+                ${ortho ? row('orthoSize') : row('fov')}
+                ${ortho ? '' : `<div class="param-row"><span class="param-label">Focal (mm)</span><input type="number" step="1" min="1" value="${fovToFocalLength(lens.fov, getAspect(lens)).toFixed(1)}" data-focal></div>`}
+                ${row('near')}
+                ${row('far')}
+                ${row('aspect')}
+            </div>
+        `;
+        
+        const apply = (el) => {
+            if (el.dataset.focal !== undefined) {
+                const focal = parseFloat(el.value);
+                if (focal > 0) this.setCameraProp(obj, 'fov', focalLengthToFov(focal, getAspect(lens)));
+            } else {
+                this.setCameraProp(obj, el.dataset.lens, el.tagName === 'SELECT' ? el.value : parseFloat(el.value));
+            }
+        };
+        
+        container.querySelectorAll('input').forEach(el => {
+            el.addEventListener('input', () => apply(el));
+            el.addEventListener('change', () => {
+                apply(el);
+                this.saveState(`Edit ${obj.name} Lens`, [obj.id]);
+                this.updateLensPanel();
+            });
+        });
+        container.querySelectorAll('select').forEach(el => {
+            el.addEventListener('change', () => {
+                apply(el);
+                this.saveState(`Edit ${obj.name} Lens`, [obj.id]);
+                this.updateLensPanel();
+            });
+        });
+    }
+    
+    updatePathPanel() {
+        const container = document.getElementById('panel-content-path');
+        if (!container) return;
+        
+        const obj = this.selectedObjects[this.selectedObjects.length - 1];
+        if (!obj || !obj.path) {
+            container.innerHTML = '<div class="empty">No path selected</div>';
+            return;
+        }
+        
+        const active = this.activePathPoint?.obj === obj ? this.activePathPoint.index : null;
+        const point = active !== null ? obj.path.points[active] : null;
+        container.innerHTML = `
+            <div class="transform-group">
+                <div class="param-row"><span class="param-label">Curve</span><select data-path="curveType">
+                    ${Object.entries(pathCurveTypes).map(([type, def]) => `<option value="${type}" ${obj.path.curveType === type ? 'selected' : ''}>${def.label}</option>`).join('')}
+                </select></div>
+                <div class="param-row"><span class="param-label">Closed</span><input type="checkbox" data-path="closed" ${obj.path.closed ? 'checked' : ''}></div>
+                <div class="param-row"><span class="param-label">Points</span><span class="param-label">${obj.path.points.length}</span></div>
+                ${point ? `
+                    <label>Point ${active}</label>
+                    <div class="transform-row">
+                        ${['X', 'Y', 'Z'].map((axis, i) => `
+                            <span class="axis-label" style="color:var(--color-axis${axis})">${axis}</span>
+                            <input type="number" step="0.1" value="${point[i].toFixed(2)}" data-axis="${i}">
+                        `).join('')}
+                    </div>
+                ` : '<div class="empty">Click a point in the viewport to move it</div>'}
+                <div class="param-row">
+                    <button class="tl-btn" id="path-add-point">+ Point</button>
+                    <button class="tl-btn" id="path-remove-point">− Point</button>
+                </div>
+            </div>
+        `;
+        
+        container.querySelector('[data-path="curveType"]').addEventListener('change', (e) => this.setPathProp(obj, 'curveType', e.target.value));
+        container.querySelector('[data-path="closed"]').addEventListener('change', (e) => this.setPathProp(obj, 'closed', e.target.checked));
+        container.querySelectorAll('[data-axis]').forEach(el => {
+            el.addEventListener('change', (e) => {
+                const handle = obj.mesh.userData.handles.children[active];
+                handle.position.setComponent(parseInt(e.target.dataset.axis), parseFloat(e.target.value) || 0);
+                this.movePathPoint();
+                this.saveState(`Move Point ${active} of ${obj.name}`, [obj.id]);
+            });
+        });
+        container.querySelector('#path-add-point').addEventListener('click', () => this.addPathPoint(obj));
+        container.querySelector('#path-remove-point').addEventListener('click', () => this.removePathPoint(obj));
+    }
+    
+    updateConstraintsPanel() {
+        const container = document.getElementById('panel-content-constraints');
+        if (!container) return;
+        
+        const obj = this.selectedObjects[this.selectedObjects.length - 1];
+        if (!obj || obj.type === 'path') {
+            container.innerHTML = '<div class="empty">No object selected</div>';
+            return;
+        }
+        
+        const follow = this.pathFollows[obj.id];
+        const paths = this.objects.filter(o => o.type === 'path' && !this.isDescendantOf(o, obj));
+        container.innerHTML = `
+            <div class="transform-group">
+                <div class="param-row"><span class="param-label">Follow Path</span><select data-follow="pathId">
+                    <option value="">None</option>
+                    ${paths.map(p => `<option value="${p.id}" ${follow?.pathId === p.id ? 'selected' : ''}>${p.name}</option>`).join('')}
+                </select></div>
+                ${follow ? `
+                    <div class="param-row"><span class="param-label">Start Frame</span><input type="number" step="1" min="0" value="${follow.start}" data-follow="start"></div>
+                    <div class="param-row"><span class="param-label">End Frame</span><input type="number" step="1" min="0" value="${follow.end}" data-follow="end"></div>
+                    <div class="param-row"><span class="param-label">Orient to Path</span><input type="checkbox" ${follow.orient ? 'checked' : ''} data-follow="orient"></div>
+                    <div class="param-row"><span class="param-label">Banking</span><input type="number" step="0.1" min="0" max="1" value="${follow.bank}" data-follow="bank"></div>
+                ` : ''}
+            </div>
+        `;
+        
+        container.querySelectorAll('[data-follow]').forEach(el => {
+            el.addEventListener('change', (e) => {
+                const key = e.target.dataset.follow;
+                let value;
+                if (key === 'pathId') value = e.target.value ? parseInt(e.target.value) : null;
+                else if (key === 'orient') value = e.target.checked;
+                else if (key === 'bank') value = THREE.MathUtils.clamp(parseFloat(e.target.value) || 0, 0, 1);
+                else value = Math.max(0, parseInt(e.target.value) || 0);
+                this.setPathFollow(obj, { [key]: value });
             });
         });
     }
@@ -877,7 +4641,10 @@ class MeshEditor {
         const grid = document.getElementById('status-grid');
         const frame = document.getElementById('status-frame');
         
-        if (mode) mode.textContent = `Mode: ${this.transformControls.mode}`;
+        if (mode) {
+            const editing = this.editMode ? `, editing ${elementModes[this.elementMode].plural.toLowerCase()}` : '';
+            mode.textContent = `Mode: ${this.boxSelectArmed ? 'box select' : this.transformControls.mode}${editing}`;
+        }
         if (selection) {
             const count = this.selectedObjects.length;
             selection.textContent = count === 0 ? 'No selection' : 
@@ -895,7 +4662,15 @@ class MeshEditor {
         else if (this.isAltHeld && this.isShiftHeld) snapText = '🔒 Fine';
         else if (this.isAltHeld) snapText = '🔒 Alt';
         else if (this.isShiftHeld) snapText = '🔒 Axis';
-        if (snap) snap.textContent = snapText;
+        // What a drag is snapped to, or the armed element snapping
+        let targetText = '';
+        if (this.snapResult) {
+            const def = snapTargets[this.snapTarget];
+            targetText = `🧲 ${def.icon} ${def.label} of ${this.snapResult.obj.name}`;
+        } else if (this.snapTarget !== 'none') {
+            targetText = `🧲 ${snapTargets[this.snapTarget].label}`;
+        }
+        if (snap) snap.textContent = [snapText, targetText].filter(Boolean).join(' · ');
         
         const planeLabels = { xz: 'XZ', xy: 'XY', yz: 'YZ' };
         if (grid) grid.textContent = `Grid: ${planeLabels[this.currentGridPlane]}`;
@@ -920,6 +4695,27 @@ class MeshEditor {
         if (e.key === 'Alt') { e.preventDefault(); this.isAltHeld = true; this.updateSnapping(); }
         if (e.key === 'Control') this.isCtrlHeld = true;
         
+        if (e.key === 'Escape' && this.projectBrowser) this.closeProjectBrowser();
+        if (e.key === 'Escape' && this.boxSelectArmed) this.toggleBoxSelect(false);
+        
+        // Typing into a field shouldn't fire shortcuts, and the scene is locked while rendering or browsing projects
+        if (e.target.matches?.('input, select, textarea') || this.renderJob || this.projectBrowser) return;
+        
+        if (e.key === 'Tab') { e.preventDefault(); this.toggleEditMode(); return; }
+        if (this.editMode && this.onEditModeKey(e)) return;
+        
+        // Numpad view presets (checked by code so they don't double as the 1/2/3 grid plane keys)
+        if (viewShortcuts[e.code]) {
+            e.preventDefault();
+            this.setView(viewShortcuts[e.code][e.ctrlKey ? 1 : 0]);
+            return;
+        }
+        if (e.code === 'Numpad0') { this.toggleLookThrough(); return; }
+        if (e.key === 'q' && !e.ctrlKey) this.toggleQuadView();
+        if (e.key === 'b' && !e.ctrlKey) this.toggleBoxSelect();
+        // By code, so Caps Lock doesn't turn the In marker key into invert; Ctrl+Shift+I belongs to the browser's DevTools
+        if (e.code === 'KeyI' && e.shiftKey && !e.ctrlKey) this.invertSelection();
+        
         if (e.key === 'g' && !e.ctrlKey) { this.gridSnapEnabled = !this.gridSnapEnabled; this.updateSnapping(); this.updateGridPanel(); }
         if (e.key === '1') this.setGridPlane('xz');
         if (e.key === '2') this.setGridPlane('xy');
@@ -933,8 +4729,13 @@ class MeshEditor {
             if (e.key === 'v') { e.preventDefault(); this.paste(); }
             if (e.key === 'd') { e.preventDefault(); this.duplicateSelected(); }
             if (e.key === 's') { e.preventDefault(); this.save(); }
+            if (e.key === 'S') { e.preventDefault(); this.saveAs(); }
+            if (e.key === 'o') { e.preventDefault(); this.openProjectBrowser(); }
             if (e.key === 'e') { e.preventDefault(); this.export(); }
+            if (e.key === 'i') { e.preventDefault(); this.importModel(); }
             if (e.key === 'a') { e.preventDefault(); this.selectAll(); }
+            if (e.key === 'g') { e.preventDefault(); this.groupSelected(); }
+            if (e.key === 'G') { e.preventDefault(); this.ungroupSelected(); }
         }
         
         if (e.key === 't') { this.transformControls.setMode('translate'); this.updateStatus(); }
@@ -955,24 +4756,25 @@ class MeshEditor {
             this.updatePlayhead();
             this.applyFrame();
         }
-        if (e.key === 'Home') { e.preventDefault(); this.currentFrame = 0; this.updatePlayhead(); this.applyFrame(); }
-        if (e.key === 'End') { e.preventDefault(); this.currentFrame = this.totalFrames; this.updatePlayhead(); this.applyFrame(); }
+        if (e.key === 'Home') { e.preventDefault(); this.currentFrame = this.frameIn; this.updatePlayhead(); this.applyFrame(); }
+        if (e.key === 'End') { e.preventDefault(); this.currentFrame = this.frameOut; this.updatePlayhead(); this.applyFrame(); }
+        if (e.key === 'i' && !e.ctrlKey) this.setPlaybackRange(this.currentFrame, this.frameOut);
+        if (e.key === 'o' && !e.ctrlKey) this.setPlaybackRange(this.frameIn, this.currentFrame);
         if (e.key === 'k' || e.key === 'K') { this.addKeyframe(); } // K for keyframe
         if (e.key === '[') { this.prevKeyframe(); }
         if (e.key === ']') { this.nextKeyframe(); }
     }
     
+    getAllKeyframes() {
+        return Object.values(this.clips).flatMap(objClips => Object.values(objClips).flat());
+    }
+    
     prevKeyframe() {
-        // Jump to previous keyframe
+        // Jump to previous keyframe on any track
         let prevFrame = 0;
-        this.sceneCameras.forEach(cam => {
-            const camClips = this.clips[cam.id];
-            if (camClips?.position) {
-                camClips.position.forEach(kf => {
-                    if (kf.frame < this.currentFrame && kf.frame > prevFrame) {
-                        prevFrame = kf.frame;
-                    }
-                });
+        this.getAllKeyframes().forEach(kf => {
+            if (kf.frame < this.currentFrame && kf.frame > prevFrame) {
+                prevFrame = kf.frame;
             }
         });
         this.currentFrame = prevFrame;
@@ -981,16 +4783,11 @@ class MeshEditor {
     }
     
     nextKeyframe() {
-        // Jump to next keyframe
-        let nextFrame = this.totalFrames;
-        this.sceneCameras.forEach(cam => {
-            const camClips = this.clips[cam.id];
-            if (camClips?.position) {
-                camClips.position.forEach(kf => {
-                    if (kf.frame > this.currentFrame && kf.frame < nextFrame) {
-                        nextFrame = kf.frame;
-                    }
-                });
+        // Jump to next keyframe on any track
+        let nextFrame = this.totalFrames;
+        this.getAllKeyframes().forEach(kf => {
+            if (kf.frame > this.currentFrame && kf.frame < nextFrame) {
+                nextFrame = kf.frame;
             }
         });
         this.currentFrame = nextFrame;
@@ -1005,18 +4802,40 @@ class MeshEditor {
     }
     
     onClick(e) {
-        if (this.transformControls.dragging) return;
+        // Picking works in the orbit view only
+        if (this.transformControls.dragging || this.suppressClick || this.activeViewport.view === 'camera') return;
+        
+        // Working in the viewport hands Delete/Copy/Paste back to objects
+        if (this.selectedKeyframes.size > 0) {
+            this.selectedKeyframes.clear();
+            this.refreshMarkerSelection();
+        }
         
-        const rect = this.renderer.domElement.getBoundingClientRect();
-        this.mouse.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
-        this.mouse.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+        if (this.editMode) {
+            this.onEditModeClick(e);
+            return;
+        }
         
+        this.mouse.copy(this.getPointerNDC(e));
         this.raycaster.setFromCamera(this.mouse, this.camera);
+        
+        // Control points of a selected path are picked before whole objects
+        const path = this.selectedObjects.length === 1 && this.selectedObjects[0].type === 'path' ? this.selectedObjects[0] : null;
+        if (path) {
+            const handles = path.mesh.userData.handles.children.filter(c => c.isMesh);
+            const hit = this.raycaster.intersectObjects(handles, false)[0];
+            if (hit) {
+                this.selectPathPoint(path, hit.object.userData.pointIndex);
+                return;
+            }
+        }
+        
         const meshes = this.objects.map(o => o.mesh);
-        const intersects = this.raycaster.intersectObjects(meshes, true);
+        // Hidden objects (like a live boolean's operands) can't be clicked
+        const hit = this.raycaster.intersectObjects(meshes, true).find(h => this.isNodeShown(h.object));
         
-        if (intersects.length > 0) {
-            let obj = intersects[0].object;
+        if (hit) {
+            let obj = hit.object;
             while (obj.parent && !this.objects.find(o => o.mesh === obj)) {
                 obj = obj.parent;
             }
@@ -1028,8 +4847,7 @@ class MeshEditor {
     }
     
     selectAll() {
-        this.deselectAll();
-        this.objects.forEach(o => this.addToSelection(o));
+        this.setSelection(this.objects);
     }
     
     updateSnapping() {
@@ -1053,40 +4871,65 @@ class MeshEditor {
     handleAction(action) {
         const actions = {
             save: () => this.save(),
-            load: () => this.load(),
+            projects: () => this.openProjectBrowser(),
             export: () => this.export(),
+            render: () => this.openRenderDialog(),
+            import: () => this.importModel(),
             undo: () => this.undo(),
             redo: () => this.redo(),
             copy: () => this.copy(),
             paste: () => this.paste(),
             duplicate: () => this.duplicateSelected(),
             delete: () => this.deleteSelected(),
+            group: () => this.groupSelected(),
+            ungroup: () => this.ungroupSelected(),
             addQuad: () => this.addQuad(),
+            addPlane: () => this.addPrimitive('plane'),
             addCube: () => this.addCube(),
-            addCamera: () => this.addCamera()
+            addSphere: () => this.addPrimitive('sphere'),
+            addIcosphere: () => this.addPrimitive('icosphere'),
+            addCylinder: () => this.addPrimitive('cylinder'),
+            addCone: () => this.addPrimitive('cone'),
+            addTorus: () => this.addPrimitive('torus'),
+            addCapsule: () => this.addPrimitive('capsule'),
+            addCamera: () => this.addCamera(),
+            addPath: () => this.addPath(),
+            quadView: () => this.toggleQuadView(),
+            boxSelect: () => this.toggleBoxSelect(),
+            editMode: () => this.toggleEditMode(),
+            addPointLight: () => this.addLight('pointLight'),
+            addSpotLight: () => this.addLight('spotLight'),
+            addDirectionalLight: () => this.addLight('directionalLight'),
+            addHemisphereLight: () => this.addLight('hemisphereLight'),
+            addAmbientLight: () => this.addLight('ambientLight')
         };
         actions[action]?.();
     }
     
     // ==================== SAVE/LOAD/EXPORT ====================
     
-    save() {
-        const data = {
-            version: 2,
+    serializeScene() {
+        return {
+            version: sceneVersion,
             gridPlane: this.currentGridPlane,
             objects: this.objects.map(o => this.serializeObject(o)),
+            assets: this.collectAssets(),
             clips: this.clips,
-            totalFrames: this.totalFrames
+            totalFrames: this.totalFrames,
+            fps: this.fps,
+            frameIn: this.frameIn,
+            frameOut: this.frameOut,
+            playbackMode: this.playbackMode
         };
-        
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const a = document.createElement('a');
-        a.href = URL.createObjectURL(blob);
-        a.download = 'scene.json';
-        a.click();
+    }
+    
+    downloadScene() {
+        const name = this.currentProject?.name || 'scene';
+        this.downloadBlob(new Blob([JSON.stringify(this.serializeScene(), null, 2)], { type: 'application/json' }), `${name}.json`);
     }
     
     load() {
+        if (!this.confirmDiscard()) return;
         const input = document.createElement('input');
         input.type = 'file';
         input.accept = '.json';
@@ -1096,40 +4939,842 @@ class MeshEditor {
             
             const reader = new FileReader();
             reader.onload = (ev) => {
+                let data;
                 try {
-                    const data = JSON.parse(ev.target.result);
-                    if (data.gridPlane) this.setGridPlane(data.gridPlane);
-                    if (data.totalFrames) this.totalFrames = data.totalFrames;
-                    this.restoreState(data);
+                    data = JSON.parse(ev.target.result);
                 } catch (err) {
-                    console.error('Load failed:', err);
+                    this.showSceneErrors(file.name, [`Not a valid JSON file: ${err.message}`]);
+                    return;
                 }
+                if (!this.loadSceneData(data, file.name)) return;
+                // A loaded file starts an untitled scene until it's saved as a project
+                this.resetHistory(`Open ${file.name}`);
+                this.currentProject = null;
+                this.setUnsaved(true);
             };
             reader.readAsText(file);
         };
         input.click();
     }
     
+    loadSceneData(data, source) {
+        // Older files are upgraded first; anything that still doesn't match the format is refused
+        const errors = migrateScene(data);
+        if (errors.length === 0) errors.push(...validateScene(data));
+        if (errors.length > 0) {
+            this.showSceneErrors(source, errors);
+            return false;
+        }
+        
+        if (data.gridPlane) this.setGridPlane(data.gridPlane);
+        this.loadTimelineSettings(data);
+        if (data.assets) Object.assign(this.assets, data.assets);
+        this.restoreState(data);
+        return true;
+    }
+    
+    showSceneErrors(source, errors, action = 'open') {
+        console.error(`Could not ${action} ${source}:`, errors);
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal scene-errors">
+                <div class="modal-title"></div>
+                <ul class="scene-error-list"></ul>
+                <div class="modal-actions">
+                    <button class="tl-btn active">OK</button>
+                </div>
+            </div>
+        `;
+        // Messages quote file contents, so add them as text
+        overlay.querySelector('.modal-title').textContent = `Could not ${action} ${source}`;
+        const list = overlay.querySelector('.scene-error-list');
+        errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+        overlay.querySelector('.tl-btn').addEventListener('click', () => overlay.remove());
+        document.body.appendChild(overlay);
+    }
+    
+    loadTimelineSettings(data) {
+        // Scenes saved before these settings existed fall back to the theme defaults
+        this.fps = data.fps > 0 ? data.fps : this.theme.timeline.fps;
+        this.playbackMode = playbackModes[data.playbackMode] ? data.playbackMode : 'loop';
+        this.totalFrames = data.totalFrames > 0 ? data.totalFrames : this.theme.timeline.defaultDuration;
+        this.frameOut = this.totalFrames;
+        this.setPlaybackRange(data.frameIn ?? 0, data.frameOut ?? this.totalFrames);
+        this.currentFrame = Math.min(this.currentFrame, this.totalFrames);
+        this.buildRuler();
+        this.updateTimelineSettings();
+        this.updatePlayhead();
+    }
+    
+    collectAssets() {
+        const assets = {};
+        this.objects.forEach(o => {
+            if (o.asset && this.assets[o.asset]) assets[o.asset] = this.assets[o.asset];
+        });
+        return assets;
+    }
+    
+    // ==================== PROJECTS ====================
+    
+    setUnsaved(value) {
+        this.unsavedChanges = value;
+        this.autosavePending = value;
+        this.updateProjectStatus();
+    }
+    
+    startAutosave() {
+        // Unsaved work goes to the recovery slot periodically and whenever the tab is hidden
+        setInterval(() => this.autosave(), this.theme.controls.autosaveInterval * 1000);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.autosave();
+        });
+    }
+    
+    autosave() {
+        if (!this.autosavePending || this.renderJob) return;
+        this.autosavePending = false;
+        saveRecovery({ project: this.currentProject, data: this.serializeScene() }, null, (err) => {
+            this.autosavePending = true;
+            console.error('Autosave failed:', err);
+        });
+    }
+    
+    checkRecovery() {
+        // A recovery entry only survives when the last session closed with unsaved changes
+        loadRecovery((entry) => {
+            if (!entry) return;
+            const name = entry.project?.name || 'Untitled';
+            if (!confirm(`Recover unsaved changes to "${name}" from ${new Date(entry.saved).toLocaleString()}?`)) {
+                clearRecovery();
+                return;
+            }
+            if (!this.loadSceneData(entry.data, 'the recovered scene')) return;
+            this.resetHistory('Recover Scene');
+            this.currentProject = entry.project;
+            this.setUnsaved(true);
+        }, (err) => {
+            console.error('Recovery failed:', err);
+            alert('The unsaved changes from the last session could not be recovered. Browser storage may be unavailable.');
+        });
+    }
+    
+    confirmDiscard() {
+        return !this.unsavedChanges || confirm('Discard unsaved changes to the current scene?');
+    }
+    
+    save() {
+        if (this.currentProject) this.writeProject(this.currentProject);
+        else this.saveAs();
+    }
+    
+    saveAs() {
+        const name = prompt('Project name:', this.currentProject ? `${this.currentProject.name} copy` : 'Untitled');
+        if (!name?.trim()) return;
+        this.writeProject({ id: createProjectId(), name: name.trim() });
+    }
+    
+    writeProject(project) {
+        const record = { id: project.id, name: project.name, created: project.created, thumbnail: this.captureThumbnail() };
+        saveProject(record, this.serializeScene(), (saved) => {
+            this.currentProject = { id: saved.id, name: saved.name, created: saved.created };
+            this.setUnsaved(false);
+            clearRecovery();
+            this.refreshProjectBrowser();
+        }, (err) => {
+            console.error('Save failed:', err);
+            alert('The project could not be saved. The browser may be out of storage space.');
+        });
+    }
+    
+    newProject() {
+        if (!this.confirmDiscard()) return;
+        this.restoreState({ objects: this.defaultLightData(), clips: {} });
+        this.loadTimelineSettings({});
+        this.addQuad();
+        this.resetHistory();
+        this.currentProject = null;
+        this.setUnsaved(false);
+        clearRecovery();
+        this.closeProjectBrowser();
+    }
+    
+    openProject(id) {
+        if (!this.confirmDiscard()) return;
+        loadProject(id, (entry) => {
+            if (!entry) {
+                this.refreshProjectBrowser();
+                return;
+            }
+            if (!this.loadSceneData(entry.data, `"${entry.project.name}"`)) return;
+            this.resetHistory(`Open ${entry.project.name}`);
+            this.currentProject = { id: entry.project.id, name: entry.project.name, created: entry.project.created };
+            this.setUnsaved(false);
+            clearRecovery();
+            this.closeProjectBrowser();
+        }, (err) => {
+            console.error('Load failed:', err);
+            alert('The project could not be opened. Browser storage may be unavailable.');
+        });
+    }
+    
+    captureThumbnail() {
+        // Render the viewport without editor overlays and crop it into a small JPEG
+        const restore = this.hideEditorOverlays();
+        this.renderViewports();
+        restore();
+        
+        const source = this.renderer.domElement;
+        const canvas = document.createElement('canvas');
+        canvas.width = 160;
+        canvas.height = 90;
+        const scale = Math.max(canvas.width / source.width, canvas.height / source.height);
+        const width = source.width * scale;
+        const height = source.height * scale;
+        canvas.getContext('2d').drawImage(source, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+        return canvas.toDataURL('image/jpeg', 0.8);
+    }
+    
+    openProjectBrowser() {
+        if (this.projectBrowser || this.renderJob) return;
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal project-browser">
+                <div class="modal-title">Projects <span class="project-browser-note">Stored in this browser</span></div>
+                <div class="modal-actions project-browser-actions">
+                    <button class="tl-btn" data-action="new">＋ New</button>
+                    <button class="tl-btn" data-action="saveAs">Save As…</button>
+                    <button class="tl-btn" data-action="openFile">Open File…</button>
+                    <button class="tl-btn" data-action="download">Download .json</button>
+                </div>
+                <div class="project-list" id="project-list"></div>
+                <div class="modal-actions">
+                    <button class="tl-btn" data-action="close">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        this.projectBrowser = overlay;
+        
+        const actions = {
+            new: () => this.newProject(),
+            saveAs: () => this.saveAs(),
+            openFile: () => { this.closeProjectBrowser(); this.load(); },
+            download: () => this.downloadScene(),
+            close: () => this.closeProjectBrowser()
+        };
+        overlay.querySelectorAll('.modal-actions .tl-btn').forEach(btn => {
+            btn.addEventListener('click', () => actions[btn.dataset.action]());
+        });
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.target === overlay) this.closeProjectBrowser();
+        });
+        
+        this.refreshProjectBrowser();
+    }
+    
+    closeProjectBrowser() {
+        this.projectBrowser?.remove();
+        this.projectBrowser = null;
+    }
+    
+    refreshProjectBrowser() {
+        const list = this.projectBrowser?.querySelector('#project-list');
+        if (!list) return;
+        
+        listProjects((projects) => {
+            list.innerHTML = '';
+            if (projects.length === 0) {
+                list.innerHTML = '<div class="project-empty">No saved projects yet. Save (Ctrl+S) to add the current scene.</div>';
+                return;
+            }
+            
+            projects.forEach(project => {
+                const item = document.createElement('div');
+                item.className = 'project-item';
+                if (project.id === this.currentProject?.id) item.classList.add('current');
+                item.innerHTML = `
+                    <img class="project-thumb" alt="">
+                    <div class="project-info">
+                        <div class="project-name"></div>
+                        <div class="project-date">${new Date(project.modified).toLocaleString()}</div>
+                    </div>
+                    <div class="project-item-actions">
+                        <button class="tl-btn" data-action="rename" title="Rename">✏️</button>
+                        <button class="tl-btn" data-action="duplicate" title="Duplicate">📄</button>
+                        <button class="tl-btn" data-action="delete" title="Delete">🗑️</button>
+                    </div>
+                `;
+                // Names are user text, so set them as text rather than markup
+                item.querySelector('.project-name').textContent = project.name;
+                if (project.thumbnail) item.querySelector('.project-thumb').src = project.thumbnail;
+                item.addEventListener('click', () => this.openProject(project.id));
+                
+                const actions = {
+                    rename: () => {
+                        const name = prompt('Rename project:', project.name);
+                        if (!name?.trim()) return;
+                        renameProject(project.id, name.trim(), () => {
+                            if (project.id === this.currentProject?.id) {
+                                this.currentProject.name = name.trim();
+                                this.updateProjectStatus();
+                            }
+                            this.refreshProjectBrowser();
+                        });
+                    },
+                    duplicate: () => duplicateProject(project.id, `${project.name} copy`, () => this.refreshProjectBrowser()),
+                    delete: () => {
+                        if (!confirm(`Delete "${project.name}"? This cannot be undone.`)) return;
+                        deleteProject(project.id, () => {
+                            // The open scene stays loaded but is no longer backed by a project
+                            if (project.id === this.currentProject?.id) {
+                                this.currentProject = null;
+                                this.setUnsaved(true);
+                            }
+                            this.refreshProjectBrowser();
+                        });
+                    }
+                };
+                item.querySelectorAll('.project-item-actions .tl-btn').forEach(btn => {
+                    btn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        actions[btn.dataset.action]();
+                    });
+                });
+                
+                list.appendChild(item);
+            });
+        }, (err) => {
+            list.innerHTML = '<div class="project-empty">Local project storage is unavailable in this browser.</div>';
+            console.error('Listing projects failed:', err);
+        });
+    }
+    
+    updateProjectStatus() {
+        const status = document.getElementById('status-project');
+        if (!status) return;
+        status.textContent = `${this.currentProject?.name || 'Untitled'}${this.unsavedChanges ? ' •' : ''}`;
+        status.title = this.unsavedChanges ? 'Unsaved changes (autosaved for recovery)' : 'Saved';
+    }
+    
+    // ==================== IMPORT ====================
+    
+    importModel() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.glb,.gltf,.obj,.stl';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            const ext = file.name.split('.').pop().toLowerCase();
+            const fail = (err) => this.showSceneErrors(file.name, [err?.message || 'The file could not be read as a model.'], 'import');
+            const reader = new FileReader();
+            reader.onload = (ev) => {
+                this.parseModel(ext, ev.target.result, (root) => this.addImportedObject(root, file.name), fail);
+            };
+            reader.onerror = () => fail(reader.error);
+            if (ext === 'obj') {
+                reader.readAsText(file);
+            } else {
+                reader.readAsArrayBuffer(file);
+            }
+        };
+        input.click();
+    }
+    
+    parseModel(ext, data, onLoad, onError) {
+        try {
+            if (ext === 'glb' || ext === 'gltf') {
+                new GLTFLoader().parse(data, '', (gltf) => onLoad(gltf.scene), onError);
+            } else if (ext === 'obj') {
+                const root = new OBJLoader().parse(data);
+                root.traverse(child => {
+                    if (child.isMesh) child.material = this.createObjectMaterial();
+                });
+                onLoad(root);
+            } else if (ext === 'stl') {
+                const geometry = new STLLoader().parse(data);
+                geometry.computeVertexNormals();
+                onLoad(new THREE.Mesh(geometry, this.createObjectMaterial()));
+            } else {
+                onError(new Error(`Unsupported file type: .${ext}`));
+            }
+        } catch (err) {
+            onError(err);
+        }
+    }
+    
+    addImportedObject(root, fileName) {
+        const assetId = THREE.MathUtils.generateUUID();
+        this.assets[assetId] = { name: fileName, object: root.toJSON() };
+        
+        const data = {
+            id: ++this.objectIdCounter,
+            name: fileName.replace(/\.[^.]+$/, ''),
+            type: 'imported',
+            asset: assetId,
+            position: [0, 0, 0],
+            rotation: [0, 0, 0],
+            scale: [1, 1, 1]
+        };
+        this.createObjectFromData(data);
+        
+        const objData = this.objects.find(o => o.id === data.id);
+        if (!objData) return;
+        this.selectObject(objData);
+        this.saveState(`Import ${fileName}`);
+    }
+    
+    // ==================== EXPORT ====================
+    
+    createExportNode(o) {
+        // A live boolean's result already contains its operands
+        if (this.isBooleanOperand(o) && this.getChildren(o).length === 0) return null;
+        
+        let node;
+        if (isLight(o.type) && lightTypes[o.type].punctual) {
+            // KHR_lights_punctual only covers point, spot and directional lights
+            node = createLight(o.type, o.light);
+        } else if (o.mesh.isMesh) {
+            node = o.mesh.clone(false);
+            node.userData = { type: o.type, params: { ...o.params } };
+            // Modifiers marked for export are baked in, whether or not they show in the viewport
+            if (o.modifiers?.length) node.geometry = this.buildObjectGeometry(o, m => m.export);
+        } else if (o.type === 'imported') {
+            node = new THREE.Group();
+            node.add(o.mesh.userData.content.clone());
+            node.userData = { type: o.type, source: this.assets[o.asset]?.name };
+        } else if (o.type === 'camera') {
+            // The helper looks down -Z like a glTF camera, so the node transform carries over as-is.
+            // glTF can't animate lens properties, so FOV keyframes stay in the scene file.
+            node = createCamera(o.camera);
+        } else if (o.type === 'group' || this.getChildren(o).length > 0) {
+            // Ambient/hemisphere lights become plain nodes so their children keep their place
+            node = new THREE.Object3D();
+        } else {
+            return null;
+        }
+        
+        node.name = o.name;
+        node.position.copy(o.mesh.position);
+        node.quaternion.copy(o.mesh.quaternion);
+        node.scale.copy(o.mesh.scale);
+        
+        // glTF has no visibility flag; hidden objects (and their children) collapse to zero scale instead
+        node.visible = true;
+        if (!o.mesh.visible) node.scale.set(0, 0, 0);
+        
+        // Export the authored material, not the selection highlight
+        node.traverse(child => {
+            if (!child.isMesh) return;
+            child.material = [].concat(child.material).map(m => {
+                const material = m.clone();
+                if (material.emissive && material.userData.baseEmissive !== undefined) {
+                    material.emissive.set(material.userData.baseEmissive);
+                    material.emissiveIntensity = material.userData.baseEmissiveIntensity;
+                }
+                material.userData = {};
+                return material;
+            });
+            if (child.material.length === 1) child.material = child.material[0];
+        });
+        
+        return node;
+    }
+    
     export() {
         const exporter = new GLTFExporter();
         const exportScene = new THREE.Scene();
         
-        this.objects.filter(o => o.type !== 'camera').forEach(o => {
-            const clone = o.mesh.clone();
-            if (clone.material) {
-                clone.material = clone.material.clone();
-                clone.material.emissiveIntensity = 0;
-            }
-            exportScene.add(clone);
+        const nodes = new Map();
+        this.objects.forEach(o => {
+            const node = this.createExportNode(o);
+            if (node) nodes.set(o.id, node);
+        });
+        this.objects.forEach(o => {
+            const node = nodes.get(o.id);
+            if (node) (nodes.get(o.parentId) || exportScene).add(node);
         });
         
+        const clip = this.buildAnimationClip(nodes);
+        const skipped = new Set();
+        exporter.register(animationPointerPlugin(this.buildPointerTracks(nodes), clip.name, t => skipped.add(`${t.name} (${channels[t.property].label})`)));
+        
         exporter.parse(exportScene, (result) => {
-            const blob = new Blob([result], { type: 'application/octet-stream' });
-            const a = document.createElement('a');
-            a.href = URL.createObjectURL(blob);
-            a.download = 'scene.glb';
-            a.click();
-        }, (err) => console.error('Export failed:', err), { binary: true });
+            this.downloadBlob(new Blob([result], { type: 'application/octet-stream' }), 'scene.glb');
+            if (skipped.size > 0) {
+                alert(`These keyframes have no glTF equivalent and were left out of the export:\n${[...skipped].join('\n')}`);
+            }
+        }, (err) => this.showSceneErrors('scene.glb', [err?.message || 'The scene could not be written as GLB.'], 'export'), {
+            binary: true,
+            animations: clip.tracks.length > 0 ? [clip] : []
+        });
+    }
+    
+    // ==================== ANIMATION EXPORT ====================
+    
+    buildAnimationClip(nodes) {
+        // Node translation/rotation/scale; visibility is folded into scale. Colors, light
+        // intensity and lenses go through KHR_animation_pointer, see buildPointerTracks()
+        const fps = this.fps;
+        const constrained = this.bakeConstraints(nodes);
+        const tracks = [];
+        
+        this.objects.forEach(o => {
+            const node = nodes.get(o.id);
+            if (!node) return;
+            const objClips = this.clips[o.id] || {};
+            const name = node.uuid;
+            
+            const baked = constrained.get(o.id);
+            if (baked?.positions) {
+                tracks.push(new THREE.VectorKeyframeTrack(`${name}.position`, baked.times, baked.positions));
+            } else if (objClips.position?.length > 0) {
+                tracks.push(this.createExportTrack(THREE.VectorKeyframeTrack, `${name}.position`, objClips.position, channels.position));
+            }
+            
+            if (baked?.rotations) {
+                tracks.push(new THREE.QuaternionKeyframeTrack(`${name}.quaternion`, baked.times, baked.rotations));
+            } else if (objClips.rotation?.length > 0) {
+                tracks.push(this.createExportTrack(THREE.QuaternionKeyframeTrack, `${name}.quaternion`, objClips.rotation, channels.rotation));
+            }
+            
+            if (objClips.visible?.length > 0) {
+                const scaleKeys = objClips.scale?.length > 0 ? objClips.scale : null;
+                const frames = [...(scaleKeys || []), ...objClips.visible].map(kf => kf.frame);
+                const evaluate = (f) => {
+                    const scale = scaleKeys ? this.interpolateKeyframes(scaleKeys, f, channels.scale) : o.mesh.scale.toArray();
+                    const visible = this.interpolateKeyframes(objClips.visible, f, channels.visible)[0] >= 0.5;
+                    return visible ? scale : [0, 0, 0];
+                };
+                const holdFrames = objClips.visible.map(kf => kf.frame);
+                const { times, values } = this.bakeTrack(Math.min(...frames), Math.max(...frames), evaluate, holdFrames);
+                tracks.push(new THREE.VectorKeyframeTrack(`${name}.scale`, times, values));
+            } else if (objClips.scale?.length > 0) {
+                tracks.push(this.createExportTrack(THREE.VectorKeyframeTrack, `${name}.scale`, objClips.scale, channels.scale));
+            }
+        });
+        
+        return new THREE.AnimationClip('Timeline', this.totalFrames / fps, tracks);
+    }
+    
+    buildPointerTracks(nodes) {
+        // Keyframed properties core glTF can't animate, for the KHR_animation_pointer plugin
+        const pointerTracks = [];
+        this.objects.forEach(o => {
+            const node = nodes.get(o.id);
+            const objClips = this.clips[o.id];
+            if (!node || !objClips) return;
+            ['color', 'intensity', 'fov', 'orthoSize'].forEach(property => {
+                if (!(objClips[property]?.length > 0)) return;
+                const TrackType = property === 'color' ? THREE.VectorKeyframeTrack : THREE.NumberKeyframeTrack;
+                const track = this.createExportTrack(TrackType, `${node.uuid}.${property}`, objClips[property], channels[property]);
+                pointerTracks.push({ node, property, track, name: o.name });
+            });
+        });
+        return pointerTracks;
+    }
+    
+    createExportTrack(TrackType, name, keyframes, channel) {
+        const fps = this.fps;
+        const modes = keyframes.slice(0, -1).map(kf => kf.interpolation || 'linear');
+        const times = keyframes.map(kf => kf.frame / fps);
+        const values = keyframes.flatMap(kf => kf.value);
+        
+        // All-linear (slerp for quaternions) and all-constant tracks map straight onto glTF samplers
+        if (modes.every(m => m === 'linear')) {
+            return new TrackType(name, times, values);
+        }
+        if (modes.every(m => m === 'constant')) {
+            return new TrackType(name, times, values, THREE.InterpolateDiscrete);
+        }
+        
+        // Eased or mixed segments are baked one sample per frame
+        const holdFrames = keyframes.filter((kf, i) => i > 0 && keyframes[i - 1].interpolation === 'constant').map(kf => kf.frame);
+        const evaluate = (f) => this.interpolateKeyframes(keyframes, f, channel);
+        const baked = this.bakeTrack(keyframes[0].frame, keyframes[keyframes.length - 1].frame, evaluate, holdFrames);
+        return new TrackType(name, baked.times, baked.values);
+    }
+    
+    bakeTrack(startFrame, endFrame, evaluate, holdFrames = []) {
+        // Frames where a held value jumps get an extra sample just before the jump
+        const frames = [];
+        for (let f = startFrame; f <= endFrame; f++) frames.push(f);
+        holdFrames.forEach(f => {
+            if (f > startFrame && f <= endFrame) frames.push(f - 1e-3);
+        });
+        frames.sort((a, b) => a - b);
+        
+        const fps = this.fps;
+        return {
+            times: frames.map(f => f / fps),
+            values: frames.flatMap(f => evaluate(f))
+        };
+    }
+    
+    bakeConstraints(nodes) {
+        // Path following and look-at tracking run every frame instead of being keyed, so sample them over the whole timeline
+        const baked = new Map();
+        this.objects.filter(o => nodes.has(o.id)).forEach(o => {
+            const follow = this.pathFollows[o.id];
+            const tracked = !!this.cameraTrackTargets[o.id];
+            if (!follow && !tracked) return;
+            baked.set(o.id, {
+                times: [],
+                positions: follow ? [] : null,
+                rotations: tracked || follow.orient ? [] : null
+            });
+        });
+        if (baked.size === 0) return baked;
+        
+        const fps = this.fps;
+        const savedFrame = this.currentFrame;
+        
+        for (let f = 0; f <= this.totalFrames; f++) {
+            this.currentFrame = f;
+            this.applyFrame();
+            this.updateConstraints();
+            baked.forEach((track, id) => {
+                const mesh = this.objects.find(o => o.id === id).mesh;
+                track.times.push(f / fps);
+                track.positions?.push(...mesh.position.toArray());
+                track.rotations?.push(...mesh.quaternion.toArray());
+            });
+        }
+        
+        this.currentFrame = savedFrame;
+        this.applyFrame();
+        this.updateConstraints();
+        return baked;
+    }
+    
+    // ==================== VIEWPORTS ====================
+    
+    createViewport(view) {
+        const viewport = {
+            view: null,
+            previousView: view, // Restored when leaving the camera view
+            perspCamera: new THREE.PerspectiveCamera(60, 1, 0.1, 1000),
+            orthoCamera: new THREE.OrthographicCamera(-1, 1, 1, -1, -1000, 1000),
+            camera: null,
+            controls: null,
+            el: null
+        };
+        viewport.perspCamera.position.set(5, 5, 5);
+        viewport.controls = new OrbitControls(viewport.perspCamera, this.renderer.domElement);
+        viewport.controls.enableDamping = true;
+        viewport.controls.dampingFactor = 0.08;
+        viewport.controls.enabled = false;
+        
+        // Pane frame with a view picker in the corner
+        viewport.el = document.createElement('div');
+        viewport.el.className = 'viewport-pane';
+        viewport.el.innerHTML = `<select class="viewport-view" title="View (Numpad 7/1/3/5, Ctrl for opposite, 0 for camera)">
+            ${Object.entries(viewPresets).map(([value, def]) => `<option value="${value}">${def.label}</option>`).join('')}
+        </select>`;
+        viewport.el.querySelector('select').addEventListener('change', (e) => {
+            this.setActiveViewport(viewport);
+            this.setView(e.target.value);
+        });
+        document.body.appendChild(viewport.el);
+        
+        this.setViewportView(viewport, view);
+        return viewport;
+    }
+    
+    setViewportView(viewport, view) {
+        const preset = viewPresets[view];
+        const controls = viewport.controls;
+        viewport.view = view;
+        
+        if (isOrthographicView(view)) {
+            // Orthographic panes look straight down an axis at the orbit target and only pan/zoom
+            const camera = viewport.orthoCamera;
+            camera.up.fromArray(preset.up);
+            camera.position.copy(controls.target).addScaledVector(new THREE.Vector3().fromArray(preset.direction), 100);
+            camera.lookAt(controls.target);
+            viewport.camera = camera;
+            controls.enableRotate = false;
+        } else if (view === 'perspective') {
+            viewport.camera = viewport.perspCamera;
+            controls.enableRotate = true;
+        }
+        // The camera view keeps the pane's last camera for the controls; rendering uses the scene camera
+        
+        controls.object = viewport.camera;
+        controls.update();
+        viewport.el.querySelector('select').value = view;
+        if (viewport === this.activeViewport) this.setActiveViewport(viewport);
+    }
+    
+    setView(view) {
+        const viewport = this.activeViewport;
+        if (view === 'camera') {
+            // Fall back to the selected camera, then the first one
+            if (!this.activeSceneCamera) {
+                this.activeSceneCamera = this.selectedObjects.find(o => o.type === 'camera') || this.sceneCameras[0] || null;
+                this.updateCameraList();
+            }
+            if (!this.activeSceneCamera) {
+                viewport.el.querySelector('select').value = viewport.view;
+                return;
+            }
+        }
+        
+        if (viewport.view !== 'camera') viewport.previousView = viewport.view;
+        this.setViewportView(viewport, view);
+        if (viewPresets[view].gridPlane) this.setGridPlane(viewPresets[view].gridPlane);
+        this.updateViewportLayout();
+    }
+    
+    setActiveViewport(viewport) {
+        if (this.transformControls?.dragging) return;
+        this.activeViewport = viewport;
+        this.camera = viewport.camera;
+        this.orbitControls = viewport.controls;
+        if (this.transformControls) this.transformControls.camera = viewport.camera;
+        this.updateViewportControls();
+    }
+    
+    updateViewportControls() {
+        // Only the active pane orbits, and nothing is edited through the camera view
+        const active = this.activeViewport;
+        this.viewports.forEach(viewport => {
+            viewport.controls.enabled = viewport === active && viewport.view !== 'camera';
+            viewport.el.classList.toggle('quad', this.quadView);
+            viewport.el.classList.toggle('active', this.quadView && viewport === active);
+        });
+        if (this.transformControls) this.transformControls.enabled = active.view !== 'camera';
+        document.getElementById('camera-look-through')?.classList.toggle('active', active.view === 'camera');
+    }
+    
+    toggleQuadView() {
+        this.quadView = !this.quadView;
+        document.getElementById('btn-quadView')?.classList.toggle('active', this.quadView);
+        this.updateViewportLayout();
+    }
+    
+    getVisibleViewports() {
+        return this.quadView ? this.viewports : [this.activeViewport];
+    }
+    
+    getViewportRect(viewport) {
+        // CSS pixels from the canvas's top-left corner
+        const size = this.renderer.getSize(new THREE.Vector2());
+        if (!this.quadView) return { x: 0, y: 0, width: size.x, height: size.y };
+        
+        const index = this.viewports.indexOf(viewport);
+        const width = Math.floor(size.x / 2);
+        const height = Math.floor(size.y / 2);
+        return { x: (index % 2) * width, y: Math.floor(index / 2) * height, width, height };
+    }
+    
+    getViewportAt(clientX, clientY) {
+        const canvasRect = this.renderer.domElement.getBoundingClientRect();
+        const x = clientX - canvasRect.left;
+        const y = clientY - canvasRect.top;
+        return this.getVisibleViewports().find(viewport => {
+            const rect = this.getViewportRect(viewport);
+            return x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+        }) || null;
+    }
+    
+    activateViewportAt(e) {
+        const viewport = this.getViewportAt(e.clientX, e.clientY);
+        if (viewport && viewport !== this.activeViewport) this.setActiveViewport(viewport);
+    }
+    
+    routeGizmoPointer(canvas) {
+        // The handling TransformControls gives its own element, in active-pane coordinates
+        const gizmo = this.transformControls;
+        const pointer = (e) => ({ ...this.getPointerNDC(e), button: e.button });
+        const onDrag = (e) => {
+            if (gizmo.enabled) gizmo.pointerMove(pointer(e));
+        };
+        canvas.addEventListener('pointerdown', (e) => {
+            if (!gizmo.enabled) return;
+            canvas.setPointerCapture(e.pointerId);
+            canvas.addEventListener('pointermove', onDrag);
+            gizmo.pointerHover(pointer(e));
+            gizmo.pointerDown(pointer(e));
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (gizmo.enabled && (e.pointerType === 'mouse' || e.pointerType === 'pen')) gizmo.pointerHover(pointer(e));
+        });
+        canvas.addEventListener('pointerup', (e) => {
+            if (!gizmo.enabled) return;
+            canvas.releasePointerCapture(e.pointerId);
+            canvas.removeEventListener('pointermove', onDrag);
+            gizmo.pointerUp(pointer(e));
+        });
+    }
+    
+    getPointerNDC(e, viewport = this.activeViewport) {
+        // Pointer position in the pane's normalized device coordinates
+        const canvasRect = this.renderer.domElement.getBoundingClientRect();
+        const rect = this.getViewportRect(viewport);
+        return new THREE.Vector2(
+            ((e.clientX - canvasRect.left - rect.x) / rect.width) * 2 - 1,
+            -((e.clientY - canvasRect.top - rect.y) / rect.height) * 2 + 1
+        );
+    }
+    
+    updateViewportLayout() {
+        // Fit every pane's cameras to its rect and place the pane frames over the canvas
+        const canvasRect = this.renderer.domElement.getBoundingClientRect();
+        const visible = this.getVisibleViewports();
+        this.viewports.forEach(viewport => {
+            const rect = this.getViewportRect(viewport);
+            const aspect = rect.width / Math.max(1, rect.height);
+            viewport.perspCamera.aspect = aspect;
+            viewport.perspCamera.updateProjectionMatrix();
+            
+            const halfHeight = 5;
+            Object.assign(viewport.orthoCamera, { left: -halfHeight * aspect, right: halfHeight * aspect, top: halfHeight, bottom: -halfHeight });
+            viewport.orthoCamera.updateProjectionMatrix();
+            
+            viewport.el.style.display = visible.includes(viewport) ? 'block' : 'none';
+            viewport.el.style.left = `${canvasRect.left + rect.x}px`;
+            viewport.el.style.top = `${canvasRect.top + rect.y}px`;
+            viewport.el.style.width = `${rect.width}px`;
+            viewport.el.style.height = `${rect.height}px`;
+        });
+        this.updateViewportControls();
+        this.updateCameraOverlay();
+    }
+    
+    setRenderRect(rect) {
+        // WebGL viewports count from the bottom-left
+        const canvasHeight = this.renderer.getSize(new THREE.Vector2()).y;
+        const y = canvasHeight - rect.y - rect.height;
+        this.renderer.setViewport(rect.x, y, rect.width, rect.height);
+        this.renderer.setScissor(rect.x, y, rect.width, rect.height);
+    }
+    
+    renderViewports() {
+        this.renderer.setScissorTest(true);
+        this.getVisibleViewports().forEach(viewport => {
+            const rect = this.getViewportRect(viewport);
+            if (viewport.view === 'camera' && this.activeSceneCamera) {
+                this.renderLookThrough(rect);
+                return;
+            }
+            viewport.controls.update();
+            this.setRenderRect(rect);
+            this.renderer.render(this.scene, viewport.camera);
+        });
+        this.renderer.setScissorTest(false);
+        
+        const size = this.renderer.getSize(new THREE.Vector2());
+        this.renderer.setViewport(0, 0, size.x, size.y);
     }
     
     // ==================== RENDER ====================
@@ -1150,28 +5795,23 @@ class MeshEditor {
         
         this.renderer.setSize(width, height);
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        this.camera.aspect = width / height;
-        this.camera.updateProjectionMatrix();
+        this.updateViewportLayout();
     }
     
     animate() {
         requestAnimationFrame(() => this.animate());
         
         // Playback
-        if (this.isPlaying) {
-            this.currentFrame++;
-            if (this.currentFrame >= this.totalFrames) {
-                this.currentFrame = 0;
-            }
-            this.updatePlayhead();
-            this.applyFrame();
-        }
+        if (this.isPlaying) this.advancePlayback();
         
-        // Update camera tracking
-        this.updateCameraTracking();
+        // Update path following and camera tracking
+        this.updateConstraints();
+        
+        // Keep the multi-object gizmo on its pivot as objects animate or get edited elsewhere
+        if (this.transformControls.object === this.transformPivot && !this.transformControls.dragging) this.updatePivot();
+        if (this.editMode) this.updateEditOverlayMatrix();
         
-        this.orbitControls.update();
-        this.renderer.render(this.scene, this.camera);
+        this.renderViewports();
         this.renderCameraPreview();
     }
 }
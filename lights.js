@@ -0,0 +1,138 @@
+import * as THREE from 'three';
+
+// Light library - editable light properties and their THREE.Light builders
+// Lights point down their local -Z axis (glTF convention), so the object's rotation aims them.
+export const lightTypes = {
+    pointLight: {
+        label: 'Point Light',
+        icon: '💡',
+        punctual: true,
+        props: {
+            color: { label: 'Color', value: '#ffffff', type: 'color' },
+            intensity: { label: 'Intensity', value: 5, min: 0, step: 0.1 },
+            distance: { label: 'Distance', value: 0, min: 0, step: 0.5 },
+            decay: { label: 'Decay', value: 2, min: 0, step: 0.1 },
+            castShadow: { label: 'Cast Shadow', value: false, type: 'boolean' }
+        },
+        spawn: { position: [2, 3, 2] },
+        create: p => new THREE.PointLight(p.color, p.intensity, p.distance, p.decay)
+    },
+
+    spotLight: {
+        label: 'Spot Light',
+        icon: '🔦',
+        punctual: true,
+        props: {
+            color: { label: 'Color', value: '#ffffff', type: 'color' },
+            intensity: { label: 'Intensity', value: 10, min: 0, step: 0.1 },
+            distance: { label: 'Distance', value: 0, min: 0, step: 0.5 },
+            angle: { label: 'Angle (°)', value: 30, min: 1, max: 89, step: 1 },
+            penumbra: { label: 'Penumbra', value: 0.2, min: 0, max: 1, step: 0.05 },
+            decay: { label: 'Decay', value: 2, min: 0, step: 0.1 },
+            castShadow: { label: 'Cast Shadow', value: false, type: 'boolean' }
+        },
+        spawn: { position: [3, 4, 3], lookAt: [0, 0, 0] },
+        create: p => new THREE.SpotLight(p.color, p.intensity, p.distance, THREE.MathUtils.degToRad(p.angle), p.penumbra, p.decay)
+    },
+
+    directionalLight: {
+        label: 'Directional Light',
+        icon: '☀️',
+        punctual: true,
+        props: {
+            color: { label: 'Color', value: '#ffffff', type: 'color' },
+            intensity: { label: 'Intensity', value: 0.8, min: 0, step: 0.1 },
+            castShadow: { label: 'Cast Shadow', value: false, type: 'boolean' }
+        },
+        spawn: { position: [5, 10, 5], lookAt: [0, 0, 0] },
+        create: p => new THREE.DirectionalLight(p.color, p.intensity)
+    },
+
+    hemisphereLight: {
+        label: 'Hemisphere Light',
+        icon: '🌗',
+        punctual: false,
+        props: {
+            color: { label: 'Sky Color', value: '#ffffff', type: 'color' },
+            groundColor: { label: 'Ground Color', value: '#444444', type: 'color' },
+            intensity: { label: 'Intensity', value: 1, min: 0, step: 0.1 }
+        },
+        spawn: { position: [0, 5, 0] },
+        create: p => new THREE.HemisphereLight(p.color, p.groundColor, p.intensity)
+    },
+
+    ambientLight: {
+        label: 'Ambient Light',
+        icon: '🔆',
+        punctual: false,
+        props: {
+            color: { label: 'Color', value: '#ffffff', type: 'color' },
+            intensity: { label: 'Intensity', value: 0.6, min: 0, step: 0.1 }
+        },
+        spawn: { position: [0, 3, 0] },
+        create: p => new THREE.AmbientLight(p.color, p.intensity)
+    }
+};
+
+export function isLight(type) {
+    return Object.prototype.hasOwnProperty.call(lightTypes, type);
+}
+
+// Fill in defaults and clamp to each property's range
+export function resolveLightProps(type, props = {}) {
+    const defs = lightTypes[type].props;
+    const resolved = {};
+
+    Object.entries(defs).forEach(([key, def]) => {
+        if (def.type === 'color') {
+            resolved[key] = typeof props[key] === 'string' ? props[key] : def.value;
+        } else if (def.type === 'boolean') {
+            resolved[key] = typeof props[key] === 'boolean' ? props[key] : def.value;
+        } else {
+            let val = Number(props[key]);
+            if (!Number.isFinite(val)) val = def.value;
+            if (def.min !== undefined) val = Math.max(def.min, val);
+            if (def.max !== undefined) val = Math.min(def.max, val);
+            resolved[key] = val;
+        }
+    });
+
+    return resolved;
+}
+
+// Object data for a newly placed light, aimed by its spawn lookAt
+export function lightSpawnData(type, id, name) {
+    const spawn = lightTypes[type].spawn;
+    const obj = new THREE.Object3D();
+    obj.position.fromArray(spawn.position);
+    if (spawn.lookAt) {
+        // Lights aim down -Z, same as cameras, so use a camera-style lookAt
+        const m = new THREE.Matrix4().lookAt(obj.position, new THREE.Vector3().fromArray(spawn.lookAt), obj.up);
+        obj.quaternion.setFromRotationMatrix(m);
+    }
+    return {
+        id,
+        name,
+        type,
+        light: resolveLightProps(type),
+        position: obj.position.toArray(),
+        rotation: [obj.rotation.x, obj.rotation.y, obj.rotation.z],
+        scale: [1, 1, 1]
+    };
+}
+
+export function createLight(type, props) {
+    const p = resolveLightProps(type, props);
+    const light = lightTypes[type].create(p);
+
+    if (light.target) {
+        light.target.position.set(0, 0, -1);
+        light.add(light.target);
+    }
+    if ('castShadow' in p) {
+        light.castShadow = p.castShadow;
+        light.shadow.mapSize.set(1024, 1024);
+    }
+
+    return light;
+}
@@ -0,0 +1,346 @@
+import * as THREE from 'three';
+import { edgeKey, faceEdges, faceNormal, compact } from './editmesh.js';
+
+// Modifier library - non-destructive operations on a polygon mesh (see editmesh.js), applied in
+// stack order on top of an object's base geometry. Params follow the primitives.js layout, plus
+// `options` for a choice, `boolean` for a checkbox and `show` to hide params that don't apply.
+const axisOptions = { x: 'X', y: 'Y', z: 'Z' };
+const axisIndex = { x: 0, y: 1, z: 2 };
+const isLinear = p => p.mode === 'linear';
+const isRadial = p => p.mode === 'radial';
+
+export const modifierTypes = {
+    array: {
+        label: 'Array',
+        icon: '⁞',
+        params: {
+            mode: { label: 'Mode', value: 'linear', options: { linear: 'Linear', radial: 'Radial' } },
+            count: { label: 'Count', value: 3, min: 1, max: 64, step: 1, integer: true },
+            offsetX: { label: 'Offset X', value: 1.5, step: 0.1, show: isLinear },
+            offsetY: { label: 'Offset Y', value: 0, step: 0.1, show: isLinear },
+            offsetZ: { label: 'Offset Z', value: 0, step: 0.1, show: isLinear },
+            axis: { label: 'Axis', value: 'y', options: axisOptions, show: isRadial },
+            radius: { label: 'Radius', value: 2, min: 0, step: 0.1, show: isRadial },
+            angle: { label: 'Angle (°)', value: 360, step: 15, show: isRadial }
+        },
+        apply: arrayMesh
+    },
+
+    mirror: {
+        label: 'Mirror',
+        icon: '⇹',
+        params: {
+            x: { label: 'X', value: true, boolean: true },
+            y: { label: 'Y', value: false, boolean: true },
+            z: { label: 'Z', value: false, boolean: true }
+        },
+        apply: (mesh, p) => ['x', 'y', 'z'].reduce((result, axis) => (p[axis] ? mirrorMesh(result, axisIndex[axis]) : result), mesh)
+    },
+
+    subdivision: {
+        label: 'Subdivision Surface',
+        icon: '◍',
+        params: {
+            levels: { label: 'Levels', value: 1, min: 0, max: 3, step: 1, integer: true }
+        },
+        apply: (mesh, p) => Array.from({ length: p.levels }).reduce(subdivideMesh, mesh)
+    },
+
+    bevel: {
+        label: 'Bevel',
+        icon: '◇',
+        params: {
+            width: { label: 'Width', value: 0.05, min: 0, step: 0.01 }
+        },
+        apply: (mesh, p) => bevelMesh(mesh, p.width)
+    },
+
+    solidify: {
+        label: 'Solidify',
+        icon: '▥',
+        params: {
+            thickness: { label: 'Thickness', value: 0.1, step: 0.01 }
+        },
+        apply: (mesh, p) => solidifyMesh(mesh, p.thickness)
+    },
+
+    deform: {
+        label: 'Simple Deform',
+        icon: '⤾',
+        params: {
+            mode: { label: 'Mode', value: 'twist', options: { twist: 'Twist', bend: 'Bend', taper: 'Taper' } },
+            axis: { label: 'Axis', value: 'y', options: axisOptions },
+            angle: { label: 'Angle (°)', value: 45, step: 5, show: p => p.mode !== 'taper' },
+            factor: { label: 'Factor', value: 0.5, step: 0.1, show: p => p.mode === 'taper' }
+        },
+        apply: deformMesh
+    }
+};
+
+// Fill in defaults and clamp params; enabled drives the viewport, export whether it's baked into GLB exports
+export function resolveModifier(data) {
+    const defs = modifierTypes[data.type].params;
+    const resolved = { type: data.type, enabled: data.enabled !== false, export: data.export !== false };
+
+    Object.entries(defs).forEach(([key, def]) => {
+        if (def.options) {
+            resolved[key] = def.options[data[key]] ? data[key] : def.value;
+        } else if (def.boolean) {
+            resolved[key] = typeof data[key] === 'boolean' ? data[key] : def.value;
+        } else {
+            let val = Number(data[key]);
+            if (!Number.isFinite(val)) val = def.value;
+            if (def.min !== undefined) val = Math.max(def.min, val);
+            if (def.max !== undefined) val = Math.min(def.max, val);
+            if (def.integer) val = Math.round(val);
+            resolved[key] = val;
+        }
+    });
+
+    return resolved;
+}
+
+// Runs the stack in order; include picks which modifiers take part
+export function applyModifiers(mesh, modifiers, include = m => m.enabled) {
+    return modifiers.filter(include).reduce((result, m) => modifierTypes[m.type].apply(result, m), mesh);
+}
+
+function combineMeshes(meshes) {
+    const vertices = [];
+    const faces = [];
+    meshes.forEach(mesh => {
+        const offset = vertices.length;
+        vertices.push(...mesh.vertices.map(v => [...v]));
+        faces.push(...mesh.faces.map(f => f.map(v => v + offset)));
+    });
+    return { vertices, faces };
+}
+
+function arrayMesh(mesh, p) {
+    const copies = Array.from({ length: p.count }, (_, i) => {
+        const matrix = new THREE.Matrix4();
+        if (p.mode === 'linear') {
+            matrix.makeTranslation(p.offsetX * i, p.offsetY * i, p.offsetZ * i);
+        } else {
+            // Copies sit `radius` out from the origin; a full circle doesn't repeat the first copy at the end
+            const full = Math.abs(p.angle) >= 360;
+            const step = THREE.MathUtils.degToRad(p.angle) / (full ? p.count : Math.max(1, p.count - 1));
+            const axis = new THREE.Vector3().setComponent(axisIndex[p.axis], 1);
+            const out = new THREE.Vector3().setComponent(p.axis === 'x' ? 1 : 0, p.radius);
+            matrix.makeRotationAxis(axis, step * i).multiply(new THREE.Matrix4().makeTranslation(out.x, out.y, out.z));
+        }
+        return {
+            vertices: mesh.vertices.map(v => new THREE.Vector3().fromArray(v).applyMatrix4(matrix).toArray()),
+            faces: mesh.faces
+        };
+    });
+    return combineMeshes(copies);
+}
+
+function mirrorMesh(mesh, k) {
+    // Vertices on the mirror plane are shared by both halves so no seam opens
+    const onPlane = v => Math.abs(v[k]) < 1e-4;
+    const vertices = mesh.vertices.map(v => [...v]);
+    const remap = mesh.vertices.map((v, i) => {
+        if (onPlane(v)) return i;
+        const mirrored = [...v];
+        mirrored[k] = -mirrored[k];
+        vertices.push(mirrored);
+        return vertices.length - 1;
+    });
+    const faces = mesh.faces.map(f => [...f]);
+    mesh.faces.forEach(f => {
+        if (!f.every(v => onPlane(mesh.vertices[v]))) faces.push(f.map(v => remap[v]).reverse());
+    });
+    return { vertices, faces };
+}
+
+// One Catmull-Clark step; open edges follow the boundary rules so plane edges stay put
+function subdivideMesh(mesh) {
+    const points = mesh.vertices.map(v => new THREE.Vector3().fromArray(v));
+    const average = list => list.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(list.length);
+    const facePoints = mesh.faces.map(f => average(f.map(v => points[v])));
+
+    const edges = new Map();
+    const vertexFaces = points.map(() => []);
+    const vertexEdges = points.map(() => []);
+    mesh.faces.forEach((f, fi) => {
+        f.forEach(v => vertexFaces[v].push(fi));
+        faceEdges(f).forEach(([a, b]) => {
+            const key = edgeKey(a, b);
+            if (!edges.has(key)) {
+                const edge = { a, b, faces: [] };
+                edges.set(key, edge);
+                vertexEdges[a].push(edge);
+                vertexEdges[b].push(edge);
+            }
+            edges.get(key).faces.push(fi);
+        });
+    });
+    const isBoundary = e => e.faces.length !== 2;
+    const midpoint = e => points[e.a].clone().add(points[e.b]).multiplyScalar(0.5);
+
+    const vertices = points.map((p, i) => {
+        const boundary = vertexEdges[i].filter(isBoundary);
+        if (boundary.length === 2) {
+            const [a, b] = boundary.map(e => points[e.a === i ? e.b : e.a]);
+            return p.clone().multiplyScalar(0.75).addScaledVector(a.clone().add(b), 0.125).toArray();
+        }
+        // Corners and non-manifold vertices stay where they are
+        if (boundary.length > 0 || vertexFaces[i].length === 0) return p.toArray();
+        const n = vertexEdges[i].length;
+        const f = average(vertexFaces[i].map(fi => facePoints[fi]));
+        const r = average(vertexEdges[i].map(midpoint));
+        return f.add(r.multiplyScalar(2)).addScaledVector(p, n - 3).divideScalar(n).toArray();
+    });
+    const faceStart = vertices.length;
+    vertices.push(...facePoints.map(p => p.toArray()));
+    const edgeIndex = new Map();
+    edges.forEach((e, key) => {
+        edgeIndex.set(key, vertices.length);
+        vertices.push((isBoundary(e) ? midpoint(e) : average([points[e.a], points[e.b], facePoints[e.faces[0]], facePoints[e.faces[1]]])).toArray());
+    });
+    const edgePoint = (a, b) => edgeIndex.get(edgeKey(a, b));
+
+    const faces = [];
+    mesh.faces.forEach((f, fi) => f.forEach((v, i) => {
+        const next = f[(i + 1) % f.length];
+        const prev = f[(i + f.length - 1) % f.length];
+        faces.push([v, edgePoint(v, next), faceStart + fi, edgePoint(prev, v)]);
+    }));
+    return { vertices, faces };
+}
+
+// Chamfers every edge: faces shrink, shared edges become strips and vertices become caps
+function bevelMesh(mesh, width) {
+    if (width <= 0) return mesh;
+    const directed = new Map();
+    const vertexFaces = new Map();
+    mesh.faces.forEach((f, fi) => {
+        faceEdges(f).forEach(([a, b]) => directed.set(`${a}>${b}`, fi));
+        f.forEach(v => vertexFaces.set(v, [...(vertexFaces.get(v) || []), fi]));
+    });
+    const shared = (a, b) => directed.has(`${a}>${b}`) && directed.has(`${b}>${a}`);
+    const points = mesh.vertices.map(v => new THREE.Vector3().fromArray(v));
+
+    // Open-edge caps reuse the original vertex; compact() drops the rest
+    const vertices = mesh.vertices.map(v => [...v]);
+    const corners = mesh.faces.map(f => f.map((v, i) => {
+        const prev = f[(i + f.length - 1) % f.length];
+        const next = f[(i + 1) % f.length];
+        const corner = points[v].clone();
+        // Slide off each shared edge along the face's other edge; open edges keep their line
+        if (shared(v, next)) corner.addScaledVector(points[prev].clone().sub(points[v]).normalize(), width);
+        if (shared(prev, v)) corner.addScaledVector(points[next].clone().sub(points[v]).normalize(), width);
+        vertices.push(corner.toArray());
+        return vertices.length - 1;
+    }));
+    const corner = (fi, v) => corners[fi][mesh.faces[fi].indexOf(v)];
+    const faces = corners.map(c => [...c]);
+
+    // Each shared edge once, from the face that walks it low -> high
+    mesh.faces.forEach((f, fi) => faceEdges(f).forEach(([a, b]) => {
+        if (a > b || !shared(a, b)) return;
+        const gi = directed.get(`${b}>${a}`);
+        faces.push([corner(fi, b), corner(fi, a), corner(gi, a), corner(gi, b)]);
+    }));
+
+    vertexFaces.forEach((around, v) => {
+        const nextFace = (fi) => {
+            const f = mesh.faces[fi];
+            return directed.get(`${f[(f.indexOf(v) + 1) % f.length]}>${v}`);
+        };
+        const prevFace = (fi) => {
+            const f = mesh.faces[fi];
+            return directed.get(`${v}>${f[(f.indexOf(v) + f.length - 1) % f.length]}`);
+        };
+        // Rewind to the first face of an open fan; a closed fan can start anywhere
+        let start = around[0];
+        let open = false;
+        for (let i = 0; i < around.length; i++) {
+            const prev = prevFace(start);
+            if (prev === undefined) { open = true; break; }
+            if (prev === around[0]) break;
+            start = prev;
+        }
+        const fan = [start];
+        for (let fi = nextFace(start); fi !== undefined && fi !== start && fan.length < around.length; fi = nextFace(fi)) fan.push(fi);
+
+        const cap = fan.map(fi => corner(fi, v)).reverse();
+        if (open) cap.push(v);
+        if (cap.length >= 3) faces.push(cap);
+    });
+    return compact({ vertices, faces });
+}
+
+// Offsets a copy of the surface inwards along the vertex normals and closes open edges with a rim
+function solidifyMesh(mesh, thickness) {
+    if (!thickness) return mesh;
+    const normals = mesh.vertices.map(() => new THREE.Vector3());
+    mesh.faces.forEach(f => {
+        const normal = faceNormal(mesh, f);
+        f.forEach(v => normals[v].add(normal));
+    });
+    const count = mesh.vertices.length;
+    const vertices = [
+        ...mesh.vertices.map(v => [...v]),
+        ...mesh.vertices.map((v, i) => new THREE.Vector3().fromArray(v).addScaledVector(normals[i].normalize(), -thickness).toArray())
+    ];
+    const faces = [...mesh.faces.map(f => [...f]), ...mesh.faces.map(f => f.map(v => v + count).reverse())];
+
+    const directed = new Set();
+    mesh.faces.forEach(f => faceEdges(f).forEach(([a, b]) => directed.add(`${a}>${b}`)));
+    mesh.faces.forEach(f => faceEdges(f).forEach(([a, b]) => {
+        if (!directed.has(`${b}>${a}`)) faces.push([b, a, a + count, b + count]);
+    }));
+    return { vertices, faces };
+}
+
+// Twist rotates around the axis, taper scales across it and bend curls the next axis around it
+function deformMesh(mesh, p) {
+    const k = axisIndex[p.axis];
+    const i = (k + 1) % 3;
+    const j = (k + 2) % 3;
+    const range = c => {
+        const values = mesh.vertices.map(v => v[c]);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        return { min, center: (min + max) / 2, length: max - min };
+    };
+    const angle = THREE.MathUtils.degToRad(p.angle);
+
+    if (p.mode === 'bend') {
+        const { center, length } = range(i);
+        if (!length || !angle) return mesh;
+        const radius = length / angle;
+        return {
+            vertices: mesh.vertices.map(v => {
+                const theta = angle * (v[i] - center) / length;
+                const result = [...v];
+                result[i] = center + (radius - v[j]) * Math.sin(theta);
+                result[j] = radius - (radius - v[j]) * Math.cos(theta);
+                return result;
+            }),
+            faces: mesh.faces
+        };
+    }
+
+    const { min, center, length } = range(k);
+    if (!length) return mesh;
+    return {
+        vertices: mesh.vertices.map(v => {
+            const result = [...v];
+            if (p.mode === 'taper') {
+                const scale = 1 + p.factor * (v[k] - min) / length;
+                result[i] *= scale;
+                result[j] *= scale;
+            } else {
+                const theta = angle * (v[k] - center) / length;
+                result[i] = v[i] * Math.cos(theta) - v[j] * Math.sin(theta);
+                result[j] = v[i] * Math.sin(theta) + v[j] * Math.cos(theta);
+            }
+            return result;
+        }),
+        faces: mesh.faces
+    };
+}
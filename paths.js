@@ -0,0 +1,63 @@
+import * as THREE from 'three';
+
+// Spline paths - control point layouts and the THREE.Curve built from them
+// Catmull-Rom curves pass through every point. Bézier paths store anchor, handle, handle,
+// anchor, ... so a path of n segments has 3n + 1 points.
+export const pathCurveTypes = {
+    catmullrom: { label: 'Catmull-Rom' },
+    bezier: { label: 'Bézier' }
+};
+
+export const defaultPathPoints = [[-2, 0, 0], [-0.7, 0, 1.5], [0.7, 0, -1.5], [2, 0, 0]];
+
+// Fill in defaults and make sure the point count suits the curve type
+export function resolvePathData(path = {}) {
+    const curveType = pathCurveTypes[path.curveType] ? path.curveType : 'catmullrom';
+    let points = Array.isArray(path.points) && path.points.length >= 2
+        ? path.points.map(p => [Number(p[0]) || 0, Number(p[1]) || 0, Number(p[2]) || 0])
+        : defaultPathPoints.map(p => [...p]);
+
+    // Drop trailing points that don't complete a Bézier segment
+    if (curveType === 'bezier') {
+        if (points.length < 4) points = convertPathPoints(points, 'catmullrom', 'bezier');
+        points = points.slice(0, points.length - ((points.length - 1) % 3));
+    }
+
+    return { curveType, closed: !!path.closed, points };
+}
+
+// Keeps the curve's anchors when switching type; new Bézier handles sit a third of the way along each segment
+export function convertPathPoints(points, from, to) {
+    if (from === to) return points.map(p => [...p]);
+
+    if (to === 'catmullrom') {
+        return points.filter((p, i) => i % 3 === 0).map(p => [...p]);
+    }
+
+    const result = [[...points[0]]];
+    for (let i = 1; i < points.length; i++) {
+        const a = new THREE.Vector3().fromArray(points[i - 1]);
+        const b = new THREE.Vector3().fromArray(points[i]);
+        result.push(a.clone().lerp(b, 1 / 3).toArray(), a.clone().lerp(b, 2 / 3).toArray(), b.toArray());
+    }
+    return result;
+}
+
+export function buildPathCurve(path) {
+    const points = path.points.map(p => new THREE.Vector3().fromArray(p));
+
+    if (path.curveType === 'bezier') {
+        const curve = new THREE.CurvePath();
+        for (let i = 0; i + 3 < points.length; i += 3) {
+            curve.add(new THREE.CubicBezierCurve3(points[i], points[i + 1], points[i + 2], points[i + 3]));
+        }
+        if (path.closed && points.length > 1) {
+            // Close with a straight-handled segment back to the start
+            const last = points[points.length - 1];
+            curve.add(new THREE.CubicBezierCurve3(last, last.clone().lerp(points[0], 1 / 3), last.clone().lerp(points[0], 2 / 3), points[0]));
+        }
+        return curve;
+    }
+
+    return new THREE.CatmullRomCurve3(points, path.closed, 'centripetal');
+}
@@ -0,0 +1,141 @@
+import * as THREE from 'three';
+
+// Primitive library - geometry builders and their editable construction parameters
+export const primitives = {
+    quad: {
+        label: 'Quad',
+        icon: '⬜',
+        params: {
+            width: { label: 'Width', value: 1, min: 0.01, step: 0.1 },
+            height: { label: 'Height', value: 1, min: 0.01, step: 0.1 }
+        },
+        spawn: { position: [0, 0, 0], rotation: [-Math.PI / 2, 0, 0] },
+        build: p => new THREE.PlaneGeometry(p.width, p.height)
+    },
+
+    plane: {
+        label: 'Plane',
+        icon: '▦',
+        params: {
+            width: { label: 'Width', value: 2, min: 0.01, step: 0.1 },
+            height: { label: 'Height', value: 2, min: 0.01, step: 0.1 },
+            widthSegments: { label: 'Subdiv X', value: 4, min: 1, max: 128, step: 1, integer: true },
+            heightSegments: { label: 'Subdiv Y', value: 4, min: 1, max: 128, step: 1, integer: true }
+        },
+        spawn: { position: [0, 0, 0], rotation: [-Math.PI / 2, 0, 0] },
+        build: p => new THREE.PlaneGeometry(p.width, p.height, p.widthSegments, p.heightSegments)
+    },
+
+    cube: {
+        label: 'Cube',
+        icon: '📦',
+        params: {
+            width: { label: 'Width', value: 1, min: 0.01, step: 0.1 },
+            height: { label: 'Height', value: 1, min: 0.01, step: 0.1 },
+            depth: { label: 'Depth', value: 1, min: 0.01, step: 0.1 }
+        },
+        spawn: { position: [0, 0.5, 0] },
+        build: p => new THREE.BoxGeometry(p.width, p.height, p.depth)
+    },
+
+    sphere: {
+        label: 'Sphere',
+        icon: '⚪',
+        params: {
+            radius: { label: 'Radius', value: 0.5, min: 0.01, step: 0.1 },
+            widthSegments: { label: 'Segments', value: 32, min: 3, max: 128, step: 1, integer: true },
+            heightSegments: { label: 'Rings', value: 16, min: 2, max: 64, step: 1, integer: true }
+        },
+        spawn: { position: [0, 0.5, 0] },
+        build: p => new THREE.SphereGeometry(p.radius, p.widthSegments, p.heightSegments)
+    },
+
+    icosphere: {
+        label: 'Icosphere',
+        icon: '🔷',
+        params: {
+            radius: { label: 'Radius', value: 0.5, min: 0.01, step: 0.1 },
+            detail: { label: 'Detail', value: 2, min: 0, max: 6, step: 1, integer: true }
+        },
+        spawn: { position: [0, 0.5, 0] },
+        build: p => new THREE.IcosahedronGeometry(p.radius, p.detail)
+    },
+
+    cylinder: {
+        label: 'Cylinder',
+        icon: '🛢️',
+        params: {
+            radiusTop: { label: 'Top Radius', value: 0.5, min: 0, step: 0.1 },
+            radiusBottom: { label: 'Bottom Radius', value: 0.5, min: 0, step: 0.1 },
+            height: { label: 'Height', value: 1, min: 0.01, step: 0.1 },
+            radialSegments: { label: 'Segments', value: 32, min: 3, max: 128, step: 1, integer: true },
+            heightSegments: { label: 'Height Segs', value: 1, min: 1, max: 64, step: 1, integer: true }
+        },
+        spawn: { position: [0, 0.5, 0] },
+        build: p => new THREE.CylinderGeometry(p.radiusTop, p.radiusBottom, p.height, p.radialSegments, p.heightSegments)
+    },
+
+    cone: {
+        label: 'Cone',
+        icon: '🔺',
+        params: {
+            radius: { label: 'Radius', value: 0.5, min: 0.01, step: 0.1 },
+            height: { label: 'Height', value: 1, min: 0.01, step: 0.1 },
+            radialSegments: { label: 'Segments', value: 32, min: 3, max: 128, step: 1, integer: true },
+            heightSegments: { label: 'Height Segs', value: 1, min: 1, max: 64, step: 1, integer: true }
+        },
+        spawn: { position: [0, 0.5, 0] },
+        build: p => new THREE.ConeGeometry(p.radius, p.height, p.radialSegments, p.heightSegments)
+    },
+
+    torus: {
+        label: 'Torus',
+        icon: '🍩',
+        params: {
+            radius: { label: 'Radius', value: 0.5, min: 0.01, step: 0.1 },
+            tube: { label: 'Tube', value: 0.2, min: 0.01, step: 0.05 },
+            radialSegments: { label: 'Tube Segs', value: 16, min: 3, max: 64, step: 1, integer: true },
+            tubularSegments: { label: 'Ring Segs', value: 48, min: 3, max: 256, step: 1, integer: true }
+        },
+        spawn: { position: [0, 0.2, 0], rotation: [-Math.PI / 2, 0, 0] },
+        build: p => new THREE.TorusGeometry(p.radius, p.tube, p.radialSegments, p.tubularSegments)
+    },
+
+    capsule: {
+        label: 'Capsule',
+        icon: '💊',
+        params: {
+            radius: { label: 'Radius', value: 0.3, min: 0.01, step: 0.05 },
+            length: { label: 'Length', value: 0.6, min: 0, step: 0.1 },
+            capSegments: { label: 'Cap Segs', value: 8, min: 1, max: 32, step: 1, integer: true },
+            radialSegments: { label: 'Segments', value: 16, min: 3, max: 64, step: 1, integer: true }
+        },
+        spawn: { position: [0, 0.6, 0] },
+        build: p => new THREE.CapsuleGeometry(p.radius, p.length, p.capSegments, p.radialSegments)
+    }
+};
+
+export function isPrimitive(type) {
+    return Object.prototype.hasOwnProperty.call(primitives, type);
+}
+
+// Fill in defaults and clamp to each parameter's range
+export function resolvePrimitiveParams(type, params = {}) {
+    const defs = primitives[type].params;
+    const resolved = {};
+
+    Object.entries(defs).forEach(([key, def]) => {
+        let val = Number(params[key]);
+        if (!Number.isFinite(val)) val = def.value;
+        if (def.min !== undefined) val = Math.max(def.min, val);
+        if (def.max !== undefined) val = Math.min(def.max, val);
+        if (def.integer) val = Math.round(val);
+        resolved[key] = val;
+    });
+
+    return resolved;
+}
+
+export function buildPrimitiveGeometry(type, params) {
+    return primitives[type].build(resolvePrimitiveParams(type, params));
+}
@@ -0,0 +1,128 @@
+// Local project storage - named scenes in IndexedDB plus a single crash-recovery slot
+// Project records ({ id, name, created, modified, thumbnail }) live apart from the scene
+// data so the project browser can list them without reading every scene.
+const dbName = 'magicwrx-3d-viewer';
+const dbVersion = 1;
+const recoveryId = 'session';
+
+let db = null;
+
+function logError(err) {
+    console.error('Project storage failed:', err);
+}
+
+function openDatabase(onOpen, onError) {
+    if (db) { onOpen(db); return; }
+    if (!window.indexedDB) { onError(new Error('IndexedDB is not available')); return; }
+
+    const request = indexedDB.open(dbName, dbVersion);
+    request.onupgradeneeded = () => {
+        const database = request.result;
+        database.createObjectStore('projects', { keyPath: 'id' });
+        database.createObjectStore('scenes', { keyPath: 'id' });
+        database.createObjectStore('recovery', { keyPath: 'id' });
+    };
+    request.onsuccess = () => {
+        db = request.result;
+        onOpen(db);
+    };
+    request.onerror = () => onError(request.error);
+}
+
+// Runs fn(stores, result) in one transaction and hands result.value to onDone once it commits
+function transact(storeNames, mode, fn, onDone, onError = logError) {
+    openDatabase(database => {
+        const tx = database.transaction(storeNames, mode);
+        const result = {};
+        fn(storeNames.map(name => tx.objectStore(name)), result);
+        tx.oncomplete = () => onDone?.(result.value);
+        tx.onabort = () => onError(tx.error);
+    }, onError);
+}
+
+export function createProjectId() {
+    return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Newest first
+export function listProjects(onLoad, onError) {
+    transact(['projects'], 'readonly', ([projects], result) => {
+        projects.getAll().onsuccess = (e) => {
+            result.value = e.target.result.sort((a, b) => b.modified - a.modified);
+        };
+    }, onLoad, onError);
+}
+
+// onLoad({ project, data }), or onLoad(null) when the project no longer exists
+export function loadProject(id, onLoad, onError) {
+    transact(['projects', 'scenes'], 'readonly', ([projects, scenes], result) => {
+        projects.get(id).onsuccess = (e) => {
+            const project = e.target.result;
+            if (!project) return;
+            scenes.get(id).onsuccess = (ev) => {
+                if (ev.target.result) result.value = { project, data: ev.target.result.data };
+            };
+        };
+    }, value => onLoad(value || null), onError);
+}
+
+// Stamps the modified time; onDone gets the stored project record
+export function saveProject(project, data, onDone, onError) {
+    const now = Date.now();
+    const record = { ...project, created: project.created || now, modified: now };
+    transact(['projects', 'scenes'], 'readwrite', ([projects, scenes], result) => {
+        projects.put(record);
+        scenes.put({ id: record.id, data });
+        result.value = record;
+    }, onDone, onError);
+}
+
+export function renameProject(id, name, onDone, onError) {
+    transact(['projects'], 'readwrite', ([projects], result) => {
+        projects.get(id).onsuccess = (e) => {
+            if (!e.target.result) return;
+            result.value = { ...e.target.result, name, modified: Date.now() };
+            projects.put(result.value);
+        };
+    }, onDone, onError);
+}
+
+export function duplicateProject(id, name, onDone, onError) {
+    transact(['projects', 'scenes'], 'readwrite', ([projects, scenes], result) => {
+        projects.get(id).onsuccess = (e) => {
+            if (!e.target.result) return;
+            scenes.get(id).onsuccess = (ev) => {
+                const now = Date.now();
+                result.value = { ...e.target.result, id: createProjectId(), name, created: now, modified: now };
+                projects.put(result.value);
+                scenes.put({ id: result.value.id, data: ev.target.result?.data });
+            };
+        };
+    }, onDone, onError);
+}
+
+export function deleteProject(id, onDone, onError) {
+    transact(['projects', 'scenes'], 'readwrite', ([projects, scenes]) => {
+        projects.delete(id);
+        scenes.delete(id);
+    }, onDone, onError);
+}
+
+// entry: { project, data } - project is null for a scene that was never saved
+export function saveRecovery(entry, onDone, onError) {
+    transact(['recovery'], 'readwrite', ([recovery]) => {
+        recovery.put({ id: recoveryId, ...entry, saved: Date.now() });
+    }, onDone, onError);
+}
+
+export function loadRecovery(onLoad, onError) {
+    transact(['recovery'], 'readonly', ([recovery], result) => {
+        recovery.get(recoveryId).onsuccess = (e) => { result.value = e.target.result || null; };
+    }, value => onLoad(value || null), onError);
+}
+
+export function clearRecovery(onDone, onError) {
+    transact(['recovery'], 'readwrite', ([recovery]) => {
+        recovery.delete(recoveryId);
+    }, onDone, onError);
+}
@@ -0,0 +1,209 @@
+import { primitives } from './primitives.js';
+import { lightTypes, lightSpawnData } from './lights.js';
+import { channels, playbackModes, migrateEulerRotationClips } from './animation.js';
+import { pathCurveTypes } from './paths.js';
+import { modifierTypes } from './modifiers.js';
+import { booleanOperations } from './csg.js';
+
+// Scene file format - the current version, the migrations that upgrade older files and a validator
+// that reports every problem with a path into the file. The format is documented in scene.schema.json.
+export const sceneVersion = 7;
+
+export const objectTypes = [...Object.keys(primitives), ...Object.keys(lightTypes), 'camera', 'imported', 'group', 'path', 'mesh', 'boolean'];
+
+const gridPlanes = ['xz', 'xy', 'yz'];
+
+// migrations[n] upgrades a version n scene to version n + 1 in place
+export const migrations = {
+    // Files without a version field predate version 2; only the clips were optional
+    1: data => {
+        data.clips = data.clips || {};
+    },
+    // Version 2 scenes relied on the built-in ambient + directional lights
+    2: data => {
+        let nextId = Math.max(0, ...data.objects.map(o => (Number.isInteger(o?.id) ? o.id : 0)));
+        data.objects.push(lightSpawnData('ambientLight', ++nextId, 'Ambient'), lightSpawnData('directionalLight', ++nextId, 'Sun'));
+    },
+    // Rotation keyframes were Euler triples before version 4
+    3: data => {
+        migrateEulerRotationClips(data.clips);
+    },
+    // Version 5 added edited polygon meshes (type 'mesh'); older files have none to upgrade
+    4: () => {},
+    // Version 6 added modifier stacks; older files have none
+    5: () => {},
+    // Version 7 added live booleans (type 'boolean'); older files have none
+    6: () => {}
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isVector = (value, size) => Array.isArray(value) && value.length === size && value.every(Number.isFinite);
+
+// Upgrades data in place to sceneVersion; returns error messages for files it can't read
+export function migrateScene(data) {
+    if (!isPlainObject(data)) return ['The file does not contain a scene object'];
+
+    const version = data.version ?? 1;
+    if (!Number.isInteger(version) || version < 1) return [`version: expected a positive integer, got ${JSON.stringify(version)}`];
+    if (version > sceneVersion) return [`version: the file is version ${version} but this editor reads up to version ${sceneVersion}; please update the editor`];
+    if (!Array.isArray(data.objects)) return ['objects: expected an array of objects'];
+
+    for (let v = version; v < sceneVersion; v++) {
+        try {
+            migrations[v](data);
+        } catch (err) {
+            return [`Upgrading from version ${v} to ${v + 1} failed: ${err.message}`];
+        }
+    }
+    data.version = sceneVersion;
+    return [];
+}
+
+// Checks a current-version scene; returns error messages (empty when valid)
+export function validateScene(data) {
+    const errors = [];
+    const error = (path, message) => errors.push(`${path}: ${message}`);
+
+    if (data.version !== sceneVersion) error('version', `expected ${sceneVersion}, got ${JSON.stringify(data.version)}`);
+    if (data.gridPlane !== undefined && !gridPlanes.includes(data.gridPlane)) error('gridPlane', `expected one of ${gridPlanes.join(', ')}`);
+    ['totalFrames', 'fps'].forEach(key => {
+        if (data[key] !== undefined && !(Number.isFinite(data[key]) && data[key] > 0)) error(key, 'expected a positive number');
+    });
+    ['frameIn', 'frameOut'].forEach(key => {
+        if (data[key] !== undefined && !(Number.isFinite(data[key]) && data[key] >= 0)) error(key, 'expected a frame number of 0 or more');
+    });
+    if (data.playbackMode !== undefined && !playbackModes[data.playbackMode]) {
+        error('playbackMode', `expected one of ${Object.keys(playbackModes).join(', ')}`);
+    }
+
+    const assets = data.assets ?? {};
+    if (!isPlainObject(assets)) {
+        error('assets', 'expected an object keyed by asset id');
+    } else {
+        Object.entries(assets).forEach(([assetId, asset]) => {
+            if (!isPlainObject(asset) || !isPlainObject(asset.object)) error(`assets.${assetId}`, 'expected { name, object } with Object3D JSON');
+        });
+    }
+
+    // First pass collects ids so references can point at objects later in the list
+    const ids = new Map();
+    data.objects.forEach((o, i) => {
+        if (!isPlainObject(o)) return;
+        if (!Number.isInteger(o.id) || o.id < 1) {
+            error(`objects[${i}].id`, o.id === undefined ? 'missing' : `expected a positive integer, got ${JSON.stringify(o.id)}`);
+        } else if (ids.has(o.id)) {
+            error(`objects[${i}].id`, `duplicate id ${o.id} (also used by objects[${ids.get(o.id).index}])`);
+        } else {
+            ids.set(o.id, { index: i, type: o.type });
+        }
+    });
+    const checkReference = (path, id, selfId, expectedType) => {
+        if (id === null || id === undefined) return;
+        if (!ids.has(id)) error(path, `refers to missing object ${JSON.stringify(id)}`);
+        else if (id === selfId) error(path, 'refers to the object itself');
+        else if (expectedType && ids.get(id).type !== expectedType) error(path, `object ${id} is not a ${expectedType}`);
+    };
+
+    data.objects.forEach((o, i) => {
+        const path = `objects[${i}]`;
+        if (!isPlainObject(o)) {
+            error(path, 'expected an object');
+            return;
+        }
+        if (typeof o.name !== 'string') error(`${path}.name`, 'expected a string');
+        if (!objectTypes.includes(o.type)) error(`${path}.type`, `unknown object type ${JSON.stringify(o.type)}`);
+        ['position', 'rotation', 'scale'].forEach(key => {
+            if (!isVector(o[key], 3)) error(`${path}.${key}`, 'expected an array of 3 numbers');
+        });
+        if (o.visible !== undefined && typeof o.visible !== 'boolean') error(`${path}.visible`, 'expected true or false');
+        ['params', 'material', 'light', 'camera'].forEach(key => {
+            if (o[key] !== undefined && o[key] !== null && !isPlainObject(o[key])) error(`${path}.${key}`, 'expected an object');
+        });
+
+        if (o.type === 'imported' && !(typeof o.asset === 'string' && isPlainObject(assets) && assets[o.asset])) {
+            error(`${path}.asset`, `missing imported asset ${JSON.stringify(o.asset)}`);
+        }
+        if (o.type === 'mesh') {
+            const geometry = o.geometry;
+            if (!isPlainObject(geometry) || !Array.isArray(geometry.vertices) || !geometry.vertices.every(v => isVector(v, 3))) {
+                error(`${path}.geometry.vertices`, 'expected an array of [x, y, z] vertices');
+            } else if (!Array.isArray(geometry.faces) || !geometry.faces.every(f => Array.isArray(f) && f.length >= 3 && f.every(v => Number.isInteger(v) && v >= 0 && v < geometry.vertices.length))) {
+                error(`${path}.geometry.faces`, 'expected an array of faces, each listing 3 or more vertex indices');
+            }
+        }
+        if (o.modifiers !== undefined && o.modifiers !== null) {
+            if (!Array.isArray(o.modifiers)) {
+                error(`${path}.modifiers`, 'expected an array of modifiers');
+            } else {
+                // Parameters are clamped on load, so only the shape is checked here
+                o.modifiers.forEach((m, k) => {
+                    if (!isPlainObject(m)) error(`${path}.modifiers[${k}]`, 'expected { type, ...params }');
+                    else if (!modifierTypes[m.type]) error(`${path}.modifiers[${k}].type`, `unknown modifier type ${JSON.stringify(m.type)}`);
+                });
+            }
+        }
+        if (o.type === 'boolean') {
+            if (!isPlainObject(o.boolean)) {
+                error(`${path}.boolean`, 'expected { operation, operands }');
+            } else {
+                if (!booleanOperations[o.boolean.operation]) error(`${path}.boolean.operation`, `expected one of ${Object.keys(booleanOperations).join(', ')}`);
+                if (!Array.isArray(o.boolean.operands)) error(`${path}.boolean.operands`, 'expected an array of object ids');
+                else o.boolean.operands.forEach((id, k) => checkReference(`${path}.boolean.operands[${k}]`, id, o.id));
+            }
+        }
+        if (o.type === 'path' && o.path !== undefined && o.path !== null) {
+            if (!isPlainObject(o.path)) {
+                error(`${path}.path`, 'expected an object');
+            } else {
+                if (o.path.curveType !== undefined && !pathCurveTypes[o.path.curveType]) error(`${path}.path.curveType`, `unknown curve type ${JSON.stringify(o.path.curveType)}`);
+                if (o.path.points !== undefined && !(Array.isArray(o.path.points) && o.path.points.every(p => isVector(p, 3)))) {
+                    error(`${path}.path.points`, 'expected an array of [x, y, z] points');
+                }
+            }
+        }
+
+        checkReference(`${path}.parentId`, o.parentId, o.id);
+        checkReference(`${path}.trackTarget`, o.trackTarget, o.id);
+        if (o.followPath !== undefined && o.followPath !== null) {
+            if (!isPlainObject(o.followPath)) error(`${path}.followPath`, 'expected an object');
+            else if (o.followPath.pathId === undefined || o.followPath.pathId === null) error(`${path}.followPath.pathId`, 'missing');
+            else checkReference(`${path}.followPath.pathId`, o.followPath.pathId, o.id, 'path');
+        }
+    });
+
+    const clips = data.clips ?? {};
+    if (!isPlainObject(clips)) {
+        error('clips', 'expected an object keyed by object id');
+        return errors;
+    }
+    Object.entries(clips).forEach(([objId, objClips]) => {
+        const path = `clips.${objId}`;
+        if (!ids.has(Number(objId))) error(path, `animates missing object ${objId}`);
+        if (!isPlainObject(objClips)) {
+            error(path, 'expected an object keyed by channel');
+            return;
+        }
+        Object.entries(objClips).forEach(([prop, keyframes]) => {
+            const channel = channels[prop];
+            if (!channel) {
+                error(`${path}.${prop}`, 'unknown animation channel');
+                return;
+            }
+            if (!Array.isArray(keyframes)) {
+                error(`${path}.${prop}`, 'expected an array of keyframes');
+                return;
+            }
+            keyframes.forEach((kf, k) => {
+                const kfPath = `${path}.${prop}[${k}]`;
+                if (!isPlainObject(kf)) {
+                    error(kfPath, 'expected { frame, value }');
+                    return;
+                }
+                if (!(Number.isFinite(kf.frame) && kf.frame >= 0)) error(`${kfPath}.frame`, 'expected a frame number of 0 or more');
+                if (!isVector(kf.value, channel.size)) error(`${kfPath}.value`, `expected an array of ${channel.size} number${channel.size > 1 ? 's' : ''}`);
+            });
+        });
+    });
+
+    return errors;
+}
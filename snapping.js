@@ -0,0 +1,45 @@
+import * as THREE from 'three';
+import { meshEdges, faceCenter, faceNormal } from './editmesh.js';
+
+// Snapping to other objects - the elements a translate drag can snap to and the search for the one
+// nearest the pointer. Distances are measured in screen pixels so snapping feels the same at any zoom.
+export const snapTargets = {
+    none: { label: 'Off' },
+    vertex: { label: 'Vertex', icon: '●' },
+    edge: { label: 'Edge Midpoint', icon: '◆' },
+    face: { label: 'Face Center', icon: '▣' },
+    surface: { label: 'Surface', icon: '◒' }
+};
+
+// The point of the dragged selection that lands on the target
+export const snapBases = {
+    pivot: { label: 'Pivot' },
+    closest: { label: 'Closest Vertex' }
+};
+
+// Snap elements of a { vertices, faces } mesh in object space; face centers carry their normal.
+// Surface snapping raycasts instead, so it has no elements.
+export function snapElements(mesh, target) {
+    const point = v => new THREE.Vector3().fromArray(mesh.vertices[v]);
+    if (target === 'vertex') return mesh.vertices.map((v, i) => ({ point: point(i) }));
+    if (target === 'edge') return [...meshEdges(mesh).values()].map(([a, b]) => ({ point: point(a).add(point(b)).multiplyScalar(0.5) }));
+    if (target === 'face') return mesh.faces.map(face => ({ point: faceCenter(mesh, face), normal: faceNormal(mesh, face) }));
+    return [];
+}
+
+// The element whose world point projects closest to the pointer (in NDC), within `radius` pixels of a `width` x `height` pane
+export function nearestOnScreen(elements, camera, pointer, width, height, radius) {
+    let best = null;
+    let bestDistance = radius;
+    const projected = new THREE.Vector3();
+    elements.forEach(element => {
+        projected.copy(element.point).project(camera);
+        if (projected.z < -1 || projected.z > 1) return;
+        const distance = Math.hypot((projected.x - pointer.x) * width / 2, (projected.y - pointer.y) * height / 2);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = element;
+        }
+    });
+    return best;
+}
@@ -20,6 +20,8 @@ export const defaultTheme = {
         axisZ: '#4444ff',
         objectDefault: '#00ff88',
         camera: '#ffcc00',
+        path: '#66ccff',
+        light: '#fff2a8',
         keyframe: '#ff6b6b',
         timeline: '#1e2a3a'
     },
@@ -38,20 +40,42 @@ export const defaultTheme = {
     toolbar: {
         buttons: [
             { id: 'save', icon: '💾', label: 'Save', action: 'save', shortcut: 'Ctrl+S' },
-            { id: 'load', icon: '📂', label: 'Load', action: 'load' },
+            { id: 'projects', icon: '📂', label: 'Projects', action: 'projects', shortcut: 'Ctrl+O' },
+            { id: 'import', icon: '📥', label: 'Import', action: 'import', shortcut: 'Ctrl+I' },
             { id: 'export', icon: '📤', label: 'Export', action: 'export', shortcut: 'Ctrl+E' },
+            { id: 'render', icon: '🎬', label: 'Render', action: 'render' },
             { id: 'sep1', type: 'separator' },
             { id: 'undo', icon: '↩️', label: 'Undo', action: 'undo', shortcut: 'Ctrl+Z' },
             { id: 'redo', icon: '↪️', label: 'Redo', action: 'redo', shortcut: 'Ctrl+Y' },
             { id: 'sep2', type: 'separator' },
+            { id: 'boxSelect', icon: '⬚', label: 'Box Select', action: 'boxSelect', shortcut: 'B' },
+            { id: 'editMode', icon: '◈', label: 'Edit Mesh', action: 'editMode', shortcut: 'Tab' },
             { id: 'copy', icon: '📋', label: 'Copy', action: 'copy', shortcut: 'Ctrl+C' },
             { id: 'paste', icon: '📄', label: 'Paste', action: 'paste', shortcut: 'Ctrl+V' },
             { id: 'duplicate', icon: '🔁', label: 'Duplicate', action: 'duplicate', shortcut: 'Ctrl+D' },
             { id: 'delete', icon: '🗑️', label: 'Delete', action: 'delete', shortcut: 'Del' },
+            { id: 'group', icon: '📁', label: 'Group', action: 'group', shortcut: 'Ctrl+G' },
+            { id: 'ungroup', icon: '🗃️', label: 'Ungroup', action: 'ungroup', shortcut: 'Ctrl+Shift+G' },
             { id: 'sep3', type: 'separator' },
             { id: 'addQuad', icon: '⬜', label: 'Quad', action: 'addQuad' },
+            { id: 'addPlane', icon: '▦', label: 'Plane', action: 'addPlane' },
             { id: 'addCube', icon: '📦', label: 'Cube', action: 'addCube' },
-            { id: 'addCamera', icon: '🎥', label: 'Camera', action: 'addCamera' }
+            { id: 'addSphere', icon: '⚪', label: 'Sphere', action: 'addSphere' },
+            { id: 'addIcosphere', icon: '🔷', label: 'Icosphere', action: 'addIcosphere' },
+            { id: 'addCylinder', icon: '🛢️', label: 'Cylinder', action: 'addCylinder' },
+            { id: 'addCone', icon: '🔺', label: 'Cone', action: 'addCone' },
+            { id: 'addTorus', icon: '🍩', label: 'Torus', action: 'addTorus' },
+            { id: 'addCapsule', icon: '💊', label: 'Capsule', action: 'addCapsule' },
+            { id: 'addCamera', icon: '🎥', label: 'Camera', action: 'addCamera' },
+            { id: 'addPath', icon: '〰️', label: 'Path', action: 'addPath' },
+            { id: 'sep4', type: 'separator' },
+            { id: 'addPointLight', icon: '💡', label: 'Point', action: 'addPointLight' },
+            { id: 'addSpotLight', icon: '🔦', label: 'Spot', action: 'addSpotLight' },
+            { id: 'addDirectionalLight', icon: '☀️', label: 'Sun', action: 'addDirectionalLight' },
+            { id: 'addHemisphereLight', icon: '🌗', label: 'Hemi', action: 'addHemisphereLight' },
+            { id: 'addAmbientLight', icon: '🔆', label: 'Ambient', action: 'addAmbientLight' },
+            { id: 'sep5', type: 'separator' },
+            { id: 'quadView', icon: '⊞', label: 'Quad View', action: 'quadView', shortcut: 'Q' }
         ]
     },
     
@@ -60,7 +84,18 @@ export const defaultTheme = {
             { id: 'grid', title: 'Grid', type: 'gridControl' },
             { id: 'objects', title: 'Objects', type: 'objectList' },
             { id: 'transform', title: 'Transform', type: 'transform' },
-            { id: 'camera', title: 'Camera View', type: 'cameraPreview' }
+            { id: 'align', title: 'Align & Distribute', type: 'align' },
+            { id: 'geometry', title: 'Geometry', type: 'geometryParams' },
+            { id: 'editMesh', title: 'Edit Mesh', type: 'editMesh' },
+            { id: 'modifiers', title: 'Modifiers', type: 'modifiers' },
+            { id: 'boolean', title: 'Boolean', type: 'boolean' },
+            { id: 'material', title: 'Material', type: 'material' },
+            { id: 'light', title: 'Light', type: 'lightProps' },
+            { id: 'lens', title: 'Camera Lens', type: 'cameraLens' },
+            { id: 'path', title: 'Path', type: 'pathProps' },
+            { id: 'constraints', title: 'Constraints', type: 'constraints' },
+            { id: 'camera', title: 'Camera View', type: 'cameraPreview' },
+            { id: 'history', title: 'History', type: 'history' }
         ]
     },
     
@@ -78,8 +113,10 @@ export const defaultTheme = {
         altDragSnap: true,
         snapAngle: 15,
         snapPosition: 0.5,
+        snapRadius: 12, // pixels - how close the pointer must come to a snap target
         multiSelectKey: 'Shift',
-        undoLimit: 50
+        undoLimit: 50, // History entries kept
+        autosaveInterval: 30 // seconds
     },
     
     timeline: {
@@ -91,7 +128,7 @@ export const defaultTheme = {
     
     statusBar: {
         show: true,
-        items: ['mode', 'selection', 'position', 'snap', 'grid', 'frame']
+        items: ['project', 'mode', 'selection', 'position', 'snap', 'grid', 'frame']
     }
 };
 
@@ -191,10 +228,22 @@ function buildTimeline(theme) {
             <button id="tl-play" class="tl-btn">▶</button>
             <button id="tl-stop" class="tl-btn">⏹</button>
             <button id="tl-keyframe" class="tl-btn" title="Add Keyframe">◆</button>
-            <span id="tl-time">0:00 / 0:10</span>
+            <select id="tl-interp" class="tl-select" title="Keyframe interpolation"></select>
+            <button id="tl-graph" class="tl-btn" title="Graph Editor">📈</button>
+            <span class="tl-sep"></span>
+            <select id="tl-mode" class="tl-select" title="Playback mode"></select>
+            <button id="tl-in" class="tl-btn" title="Set In at playhead (I)">⇤</button>
+            <button id="tl-out" class="tl-btn" title="Set Out at playhead (O)">⇥</button>
+            <select id="tl-fps" class="tl-select" title="Frame rate"></select>
+            <input id="tl-duration" class="tl-input" type="number" min="1" step="1" title="Duration (frames)">
+            <span id="tl-time" title="Click to toggle timecode/frames">0:00:00 / 0:10:00</span>
         </div>
         <div class="timeline-ruler" id="timeline-ruler"></div>
         <div class="timeline-tracks" id="timeline-tracks"></div>
+        <div class="timeline-graph" id="timeline-graph">
+            <div class="graph-channels" id="graph-channels"></div>
+            <canvas id="graph-canvas"></canvas>
+        </div>
         <div class="timeline-playhead" id="timeline-playhead"></div>
     `;
 }
@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+
+// Multi-object transforms - pivot choices and the math that carries a selection along with the gizmo.
+// With several objects selected the gizmo drives a proxy at the pivot; each object replays the
+// proxy's change around its own center (the pivot, or its origin for individual origins).
+export const pivotModes = {
+    median: { label: 'Median Point' },
+    bounds: { label: 'Bounding Box Center' },
+    active: { label: 'Active Object' },
+    cursor: { label: '3D Cursor' },
+    individual: { label: 'Individual Origins' }
+};
+
+export const transformSpaces = {
+    world: { label: 'World' },
+    local: { label: 'Local' }
+};
+
+const linearPart = (matrix) => {
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    matrix.decompose(position, quaternion, scale);
+    return new THREE.Matrix4().compose(new THREE.Vector3(), quaternion, scale);
+};
+
+// Rotation and scale the gizmo went through between two world matrices, in the gizmo's starting axes
+export function gizmoDelta(start, now) {
+    return linearPart(start).invert().multiply(linearPart(now));
+}
+
+// New world matrix for an object that started at `world`: the delta is applied in `frame` axes
+// around `center`, then the whole thing is moved by `offset`
+export function carryMatrix(world, center, offset, delta, frame) {
+    const basis = new THREE.Matrix4().makeRotationFromQuaternion(frame);
+    return new THREE.Matrix4()
+        .makeTranslation(center.x + offset.x, center.y + offset.y, center.z + offset.z)
+        .multiply(basis)
+        .multiply(delta)
+        .multiply(basis.clone().invert())
+        .multiply(new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z))
+        .multiply(world);
+}
+
+// Align and distribute - line up or space out world bounding boxes along one axis
+export const alignEdges = {
+    min: { label: 'Min' },
+    center: { label: 'Center' },
+    max: { label: 'Max' }
+};
+
+export const alignReferences = {
+    selection: { label: 'Selection Bounds' },
+    active: { label: 'Active Object' },
+    grid: { label: 'Grid' }
+};
+
+// The axis each grid plane faces along
+export const gridPlaneNormals = { xz: 'y', xy: 'z', yz: 'x' };
+
+export const distributeModes = {
+    spacing: { label: 'Even Spacing' },
+    gaps: { label: 'Even Gaps' }
+};
+
+// A box's min, center or max along 'x', 'y' or 'z'
+export function boxEdge(box, axis, edge) {
+    if (edge === 'min') return box.min[axis];
+    if (edge === 'max') return box.max[axis];
+    return (box.min[axis] + box.max[axis]) / 2;
+}
+
+// How far each box moves along the axis to put its edge at `target`
+export function alignOffsets(boxes, axis, edge, target) {
+    return boxes.map(box => target - boxEdge(box, axis, edge));
+}
+
+// How far each box moves along the axis to put its edge on the nearest grid line, `spacing` apart
+export function gridAlignOffsets(boxes, axis, edge, spacing) {
+    return boxes.map(box => {
+        const value = boxEdge(box, axis, edge);
+        return Math.round(value / spacing) * spacing - value;
+    });
+}
+
+// How far each box moves along the axis so the ones between the outermost two are evenly spaced,
+// center to center or with equal gaps between them; nothing moves with fewer than three
+export function distributeOffsets(boxes, axis, mode) {
+    const offsets = boxes.map(() => 0);
+    if (boxes.length < 3) return offsets;
+
+    const order = [...boxes.keys()].sort((a, b) => boxEdge(boxes[a], axis, 'center') - boxEdge(boxes[b], axis, 'center'));
+    const first = boxes[order[0]];
+    const last = boxes[order[order.length - 1]];
+    if (mode === 'spacing') {
+        const start = boxEdge(first, axis, 'center');
+        const step = (boxEdge(last, axis, 'center') - start) / (order.length - 1);
+        order.forEach((b, i) => { offsets[b] = start + step * i - boxEdge(boxes[b], axis, 'center'); });
+    } else {
+        const sizes = order.map(b => boxes[b].max[axis] - boxes[b].min[axis]);
+        const gap = (last.max[axis] - first.min[axis] - sizes.reduce((sum, size) => sum + size, 0)) / (order.length - 1);
+        let edge = first.min[axis];
+        order.forEach((b, i) => {
+            offsets[b] = edge - boxes[b].min[axis];
+            edge += sizes[i] + gap;
+        });
+    }
+    return offsets;
+}
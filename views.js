@@ -0,0 +1,27 @@
+// Viewport view presets - orthographic views look along an axis from `direction` with a fixed `up`
+// gridPlane: the editing plane that matches the view
+export const viewPresets = {
+    perspective: { label: 'Perspective' },
+    top: { label: 'Top', direction: [0, 1, 0], up: [0, 0, -1], gridPlane: 'xz' },
+    bottom: { label: 'Bottom', direction: [0, -1, 0], up: [0, 0, 1], gridPlane: 'xz' },
+    front: { label: 'Front', direction: [0, 0, 1], up: [0, 1, 0], gridPlane: 'xy' },
+    back: { label: 'Back', direction: [0, 0, -1], up: [0, 1, 0], gridPlane: 'xy' },
+    right: { label: 'Right', direction: [1, 0, 0], up: [0, 1, 0], gridPlane: 'yz' },
+    left: { label: 'Left', direction: [-1, 0, 0], up: [0, 1, 0], gridPlane: 'yz' },
+    camera: { label: 'Camera' }
+};
+
+// Numpad shortcuts; Ctrl picks the opposite side
+export const viewShortcuts = {
+    Numpad7: ['top', 'bottom'],
+    Numpad1: ['front', 'back'],
+    Numpad3: ['right', 'left'],
+    Numpad5: ['perspective', 'perspective']
+};
+
+// Quad layout panes, top-left to bottom-right
+export const quadLayout = ['top', 'front', 'right', 'perspective'];
+
+export function isOrthographicView(view) {
+    return !!viewPresets[view]?.direction;
+}
@@ -0,0 +1,124 @@
+// Minimal WebM writer - muxes VP8/VP9 chunks from a WebCodecs VideoEncoder into a single video track.
+// Frame times come from the chunk timestamps, not from how long each frame took to render.
+
+// WebCodecs codec strings with their Matroska codec IDs, best first
+const codecs = [
+    { codec: 'vp09.00.10.08', id: 'V_VP9' },
+    { codec: 'vp8', id: 'V_VP8' }
+];
+
+// Resolves to the encoder config with the first codec this browser can encode, or null
+export function findWebMConfig(config) {
+    if (!window.VideoEncoder) return Promise.resolve(null);
+    return Promise.all(codecs.map(c => VideoEncoder.isConfigSupported({ ...config, codec: c.codec }).then(result => result.supported, () => false)))
+        .then(supported => {
+            const index = supported.indexOf(true);
+            return index < 0 ? null : { ...config, codec: codecs[index].codec };
+        });
+}
+
+// ==================== EBML ====================
+
+const partSize = part => part.size ?? part.byteLength;
+
+// Element IDs are written with their marker bits, as the spec lists them
+function idBytes(id) {
+    const bytes = [];
+    for (; id > 0; id = Math.floor(id / 256)) bytes.unshift(id % 256);
+    return Uint8Array.from(bytes);
+}
+
+function vint(value) {
+    let length = 1;
+    while (value >= 2 ** (7 * length) - 1) length++;
+    const bytes = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; i--, value = Math.floor(value / 256)) bytes[i] = value % 256;
+    bytes[0] |= 1 << (8 - length);
+    return bytes;
+}
+
+function element(id, parts) {
+    const size = parts.reduce((sum, part) => sum + partSize(part), 0);
+    return new Blob([idBytes(id), vint(size), ...parts]);
+}
+
+function uint(id, value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return element(id, [Uint8Array.from(bytes)]);
+}
+
+function float(id, value) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value);
+    return element(id, [view]);
+}
+
+const string = (id, value) => element(id, [new TextEncoder().encode(value)]);
+
+// ==================== WRITER ====================
+
+// config: the VideoEncoder config from findWebMConfig(); chunks are folded into a Blob cluster by cluster
+export function createWebMWriter(config) {
+    const codecId = codecs.find(c => c.codec === config.codec).id;
+    let clusters = new Blob([]);
+    let cluster = null;
+    let duration = 0;
+
+    const closeCluster = () => {
+        if (!cluster) return;
+        clusters = new Blob([clusters, element(0x1F43B675, [uint(0xE7, cluster.timecode), ...cluster.blocks])]);
+        cluster = null;
+    };
+
+    return {
+        // chunk: EncodedVideoChunk
+        add(chunk) {
+            const timecode = Math.round(chunk.timestamp / 1000);
+            const key = chunk.type === 'key';
+            // Block times are 16-bit offsets from their cluster's; clusters also start at keyframes so players can seek
+            if (!cluster || key || timecode - cluster.timecode > 30000) {
+                closeCluster();
+                cluster = { timecode, blocks: [] };
+            }
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            const relative = timecode - cluster.timecode;
+            const header = Uint8Array.of(0x81, (relative >> 8) & 0xff, relative & 0xff, key ? 0x80 : 0);
+            cluster.blocks.push(element(0xA3, [header, data]));
+            duration = Math.max(duration, timecode + Math.round((chunk.duration || 0) / 1000));
+        },
+
+        // -> Blob
+        finish() {
+            closeCluster();
+            const header = element(0x1A45DFA3, [
+                uint(0x4286, 1), // EBMLVersion
+                uint(0x42F7, 1), // EBMLReadVersion
+                uint(0x42F2, 4), // EBMLMaxIDLength
+                uint(0x42F3, 8), // EBMLMaxSizeLength
+                string(0x4282, 'webm'),
+                uint(0x4287, 2), // DocTypeVersion
+                uint(0x4285, 2) // DocTypeReadVersion
+            ]);
+            const info = element(0x1549A966, [
+                uint(0x2AD7B1, 1e6), // Timestamps in milliseconds
+                string(0x4D80, 'MagicWRX'),
+                string(0x5741, 'MagicWRX'),
+                float(0x4489, duration)
+            ]);
+            const tracks = element(0x1654AE6B, [element(0xAE, [
+                uint(0xD7, 1), // TrackNumber
+                uint(0x73C5, 1), // TrackUID
+                uint(0x83, 1), // TrackType: video
+                string(0x86, codecId),
+                uint(0x23E383, Math.round(1e9 / config.framerate)), // DefaultDuration in ns
+                element(0xE0, [uint(0xB0, config.width), uint(0xBA, config.height)])
+            ])]);
+            return new Blob([header, element(0x18538067, [info, tracks, clusters])], { type: 'video/webm' });
+        }
+    };
+}
@@ -0,0 +1,76 @@
+// Minimal ZIP writer - stores files uncompressed (PNG frames are already compressed)
+
+const crcTable = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Writes the archive as files arrive: each one is folded into a Blob straight away, so callers can
+// drop their bytes and long PNG sequences don't pile up in memory until the end
+export function createZipWriter() {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    let body = new Blob([]);
+    const central = [];
+    let offset = 0;
+    let count = 0;
+
+    return {
+        // data: Uint8Array
+        add(fileName, data) {
+            const name = encoder.encode(fileName);
+            const crc = crc32(data);
+            const size = data.length;
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true); // Version needed
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, size, true);
+            local.setUint32(22, size, true);
+            local.setUint16(26, name.length, true);
+            body = new Blob([body, local, name, data]);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true); // Version made by
+            entry.setUint16(6, 20, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, size, true);
+            entry.setUint32(24, size, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(entry, name);
+
+            offset += 30 + name.length + size;
+            count++;
+        },
+
+        // -> Blob
+        finish() {
+            const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true);
+            end.setUint16(8, count, true);
+            end.setUint16(10, count, true);
+            end.setUint32(12, centralSize, true);
+            end.setUint32(16, offset, true);
+
+            return new Blob([body, ...central, end], { type: 'application/zip' });
+        }
+    };
+}